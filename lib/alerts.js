@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+
+// Lowest to highest; anything above 'info' counts as a disruption
+const SEVERITIES = ['info', 'minor', 'major', 'severe'];
+
+// Raw severity or priority labels seen in advisories, by normalized severity
+const SEVERITY_WORDS = [
+  ['severe', /severe|critical|emergency|suspend/i],
+  ['major', /major|high|significant|urgent/i],
+  ['minor', /minor|moderate|medium|low|delay/i],
+  ['info', /info|advisory|planned|notice|normal/i]
+];
+
+// Wording of an advisory without an explicit severity
+const MESSAGE_SEVERITY = [
+  ['severe', /suspend|cancel|no (light rail |train |bus )?service|not running/i],
+  ['major', /delay|detour|shuttle|bus(es)? (replace|substitut)|single[- ]track|disabled (train|vehicle)/i]
+];
+
+function firstOf(item, keys) {
+  for (const key of keys) {
+    if (item[key] !== undefined && item[key] !== null && item[key] !== '') {
+      return item[key];
+    }
+  }
+  return null;
+}
+
+// Strings from a string, an array of strings or of { name } objects
+function names(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(/\s*[,;]\s*/);
+  return list
+    .map(item => (item && typeof item === 'object' ? firstOf(item, ['name', 'stationName', 'lineName', 'title', 'id']) : item))
+    .filter(item => item !== null && item !== undefined && String(item).trim() !== '')
+    .map(item => String(item).trim());
+}
+
+function stripHtml(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+function parseTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function normalizeSeverity(raw, message) {
+  if (raw !== null) {
+    // Numeric priorities: 1 is the most urgent
+    if (/^\d+$/.test(String(raw))) {
+      return SEVERITIES[Math.max(0, SEVERITIES.length - parseInt(raw))] || 'info';
+    }
+    const match = SEVERITY_WORDS.find(([, pattern]) => pattern.test(raw));
+    if (match) {
+      return match[0];
+    }
+  }
+  const inferred = MESSAGE_SEVERITY.find(([, pattern]) => pattern.test(message));
+  return inferred ? inferred[0] : 'info';
+}
+
+function parseAlert(item) {
+  const title = stripHtml(firstOf(item, ['title', 'header', 'subject', 'headline']));
+  const message = stripHtml(firstOf(item, ['message', 'text', 'description', 'body', 'msg', 'advisory'])) || title;
+  if (!message) {
+    return null;
+  }
+  const rawSeverity = firstOf(item, ['severity', 'priority', 'level', 'impact']);
+  const id = firstOf(item, ['id', 'alertId', 'messageId', 'advisoryId']);
+  return {
+    id: id !== null ? String(id) : crypto.createHash('sha1').update(`${title}\n${message}`).digest('hex').slice(0, 12),
+    lines: names(firstOf(item, ['lines', 'affectedLines', 'line', 'lineName', 'routes', 'route'])),
+    severity: normalizeSeverity(rawSeverity, `${title} ${message}`),
+    rawSeverity: rawSeverity !== null ? String(rawSeverity) : null,
+    stations: names(firstOf(item, ['stations', 'affectedStations', 'stops', 'station', 'stationName'])),
+    title: title || null,
+    message,
+    activeFrom: parseTime(firstOf(item, ['startTime', 'start', 'effectiveStart', 'activeFrom'])),
+    activeUntil: parseTime(firstOf(item, ['endTime', 'end', 'effectiveEnd', 'activeUntil'])),
+    url: firstOf(item, ['url', 'link'])
+  };
+}
+
+/**
+ * Service advisories from a `getSystemStatus` GraphQL payload, normalized to
+ * { id, lines, severity, stations, title, message, activeFrom, activeUntil }.
+ *
+ * The payload is either a list of advisories or an object holding one
+ * (`alerts`, `advisories`, `messages`, ...); field names vary, so each is
+ * read from the first of several candidates. `severity` is one of
+ * SEVERITIES, taken from the advisory's own severity or priority when it has
+ * one and otherwise guessed from its wording.
+ */
+function parseSystemStatus(systemStatus) {
+  let items = systemStatus;
+  if (items && !Array.isArray(items) && typeof items === 'object') {
+    const list = firstOf(items, ['alerts', 'advisories', 'messages', 'items', 'statuses', 'data']);
+    items = list !== null ? list : [items];
+  }
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  return items
+    .filter(item => item && typeof item === 'object')
+    .map(parseAlert)
+    .filter(Boolean);
+}
+
+// "ESSEX STREET LIGHT RAIL STATION" and "Essex St." both -> " ESSEX ST "
+function comparable(name) {
+  const words = String(name)
+    .toUpperCase()
+    .replace(/\b(LIGHT RAIL )?STATION\b/g, '')
+    .replace(/\bSTREET\b/g, 'ST')
+    .replace(/\bAVENUE\b/g, 'AVE')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+  return words ? ` ${words} ` : '';
+}
+
+// Equal, or one name is a run of whole words in the other ("LIGHT RAIL" in "HUDSON BERGEN LIGHT RAIL")
+function sameName(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  return left !== '' && right !== '' && (left.includes(right) || right.includes(left));
+}
+
+// Whether an advisory is in effect at `now`
+function isActive(alert, now) {
+  return (!alert.activeFrom || new Date(alert.activeFrom) <= now) && (!alert.activeUntil || new Date(alert.activeUntil) > now);
+}
+
+// Whether an advisory concerns a station on one of `lines`. Advisories that
+// name no lines (or no stations) apply to every line (or station). For a
+// station whose lines aren't known, an advisory about particular lines only
+// counts when it names the station itself.
+function alertAffects(alert, { lines = [], stationName = null }) {
+  const namesStation = alert.stations.some(station => stationName && sameName(station, stationName));
+  const lineMatch = alert.lines.length === 0 ||
+    (lines.length === 0 ? namesStation : alert.lines.some(line => lines.some(candidate => sameName(line, candidate))));
+  return lineMatch && (alert.stations.length === 0 || !stationName || namesStation);
+}
+
+// { active, severity, count, headline } for the advisories affecting a board
+function disruptionSummary(alerts) {
+  const disruptive = alerts.filter(alert => alert.severity !== 'info');
+  if (disruptive.length === 0) {
+    return { active: false, severity: null, count: 0, headline: null };
+  }
+  const worst = disruptive.reduce((max, alert) =>
+    SEVERITIES.indexOf(alert.severity) > SEVERITIES.indexOf(max.severity) ? alert : max);
+  return { active: true, severity: worst.severity, count: disruptive.length, headline: worst.title || worst.message };
+}
+
+module.exports = {
+  SEVERITIES,
+  alertAffects,
+  disruptionSummary,
+  isActive,
+  parseSystemStatus
+};
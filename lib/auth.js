@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Each scope includes the ones before it
+const SCOPES = ['read', 'admin'];
+// Query parameters that carry credentials, blanked out before a URL is logged
+const SECRET_PARAMS = ['api_key'];
+
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+function parseKeys(value) {
+  return (value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+/**
+ * API-key auth with `read` and `admin` scopes.
+ *
+ * Clients send `Authorization: Bearer <key>` or `X-API-Key: <key>`, or
+ * `?api_key=` where headers can't be set (EventSource, WebSocket).
+ * `identify()` puts `{ id, scope, presentedKey }` on `req.client`; `id`
+ * names the key (never the key itself) or the client IP, for rate limiting
+ * and logs.
+ *
+ * A scope is only enforced once keys exist for it, so a LAN install keeps
+ * working until keys are configured; admin keys alone leave reads open.
+ * Routes created with `{ always: true }` stay closed (503) until a key for
+ * their scope is set.
+ */
+class ApiAuth {
+  constructor({ readKeys = [], adminKeys = [] } = {}) {
+    this.keys = [
+      ...readKeys.map(key => ({ digest: digest(key), scope: 'read' })),
+      ...adminKeys.map(key => ({ digest: digest(key), scope: 'admin' }))
+    ];
+    this.keys.forEach(key => {
+      key.id = `key:${key.digest.toString('hex').slice(0, 8)}`;
+    });
+  }
+
+  // API_READ_KEYS and API_ADMIN_KEYS are comma-separated; ADMIN_TOKEN is one more admin key
+  static fromEnv(env = process.env) {
+    return new ApiAuth({
+      readKeys: parseKeys(env.API_READ_KEYS),
+      adminKeys: [...parseKeys(env.API_ADMIN_KEYS), ...parseKeys(env.ADMIN_TOKEN)]
+    });
+  }
+
+  // A scope is enforced once keys have been issued for it
+  enforces(scope) {
+    return this.keys.some(key => key.scope === scope);
+  }
+
+  tokenFrom(req) {
+    const header = req.headers.authorization || '';
+    const bearer = /^Bearer (.+)$/i.exec(header);
+    if (bearer) {
+      return bearer[1].trim();
+    }
+    if (req.headers['x-api-key']) {
+      return req.headers['x-api-key'];
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('api_key');
+  }
+
+  // { id, scope } for a request: the matching key, or its IP with no scope
+  resolve(req) {
+    const token = this.tokenFrom(req);
+    if (token) {
+      const tokenDigest = digest(token);
+      // Compare against every key so timing doesn't reveal which one matched
+      const key = this.keys.reduce((found, candidate) =>
+        crypto.timingSafeEqual(candidate.digest, tokenDigest) ? candidate : found, null);
+      if (key) {
+        return { id: key.id, scope: key.scope, presentedKey: true };
+      }
+    }
+    return { id: `ip:${req.ip || req.socket.remoteAddress}`, scope: null, presentedKey: !!token };
+  }
+
+  // Whether a client may use a `scope` route
+  allows(client, scope, { always = false } = {}) {
+    if (!always && !this.enforces(scope)) {
+      return true;
+    }
+    return client.scope !== null && SCOPES.indexOf(client.scope) >= SCOPES.indexOf(scope);
+  }
+
+  identify() {
+    return (req, res, next) => {
+      req.client = this.resolve(req);
+      next();
+    };
+  }
+
+  // Middleware that rejects clients without `scope`
+  require(scope, { always = false } = {}) {
+    return (req, res, next) => {
+      const client = req.client || this.resolve(req);
+      if (always && !this.enforces(scope)) {
+        return res.status(503).json({ error: 'Endpoint disabled', message: `Set API_ADMIN_KEYS or ADMIN_TOKEN to enable ${scope} endpoints` });
+      }
+      if (this.allows(client, scope, { always })) {
+        return next();
+      }
+      if (client.scope === null) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: client.presentedKey ? 'Invalid API key' : 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key"'
+        });
+      }
+      res.status(403).json({ error: 'Forbidden', message: `This endpoint needs the ${scope} scope` });
+    };
+  }
+}
+
+// A request URL safe to log: "/api/stream?api_key=abc&mode=bus" -> "/api/stream?api_key=REDACTED&mode=bus"
+function redactUrl(url) {
+  const parsed = new URL(url, 'http://localhost');
+  if (!SECRET_PARAMS.some(name => parsed.searchParams.has(name))) {
+    return url;
+  }
+  for (const name of SECRET_PARAMS) {
+    if (parsed.searchParams.has(name)) {
+      parsed.searchParams.set(name, 'REDACTED');
+    }
+  }
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+module.exports = {
+  ApiAuth,
+  SCOPES,
+  redactUrl
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { servesStation, stopsBetween } = require('./hblr-topology');
+const { formatClock } = require('./time');
+const { logger } = require('./logger');
+
+const DEFAULT_COMMUTE_FILE = path.join(__dirname, '..', 'config', 'commute.json');
+// Used to estimate ride time when an option has no rideMinutes
+const MINUTES_PER_STOP = 2;
+// Departures considered per option
+const CANDIDATES_PER_OPTION = 3;
+
+function loadCommuteConfig(env = process.env) {
+  const file = env.COMMUTE_FILE || DEFAULT_COMMUTE_FILE;
+  if (!fs.existsSync(file)) {
+    if (env.COMMUTE_FILE) {
+      throw new Error(`Commute file not found: ${file}`);
+    }
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+/**
+ * Ranks ways to reach a destination from cached light rail departures and
+ * the ferry schedule.
+ *
+ * Each configured option is one way of getting there: walk to a ferry
+ * terminal or light rail station, ride, optionally transfer (e.g. PATH at
+ * Exchange Place, with the average wait folded into transferMinutes) and walk
+ * to the destination. For every upcoming departure that can still be caught
+ * we work out when to leave and when you'd arrive; options are ranked by
+ * arrival time, then by the latest leave-by time.
+ */
+class CommutePlanner {
+  constructor({ config, registry, ferryScheduler, now = () => new Date() }) {
+    this.config = config;
+    this.registry = registry;
+    this.ferryScheduler = ferryScheduler;
+    this.now = now;
+    this.validate();
+  }
+
+  // Options that point at stations or routes this deployment doesn't have
+  // are skipped with a warning rather than failing startup
+  validate() {
+    this.unavailable = new Map();
+    for (const [destinationId, destination] of Object.entries(this.config.destinations || {})) {
+      for (const option of destination.options || []) {
+        const problem = this.checkOption(option);
+        if (problem) {
+          logger.warn(`⚠️ Commute option "${option.id}" for ${destinationId} disabled: ${problem}`);
+          this.unavailable.set(option, problem);
+        }
+      }
+    }
+  }
+
+  checkOption(option) {
+    if (option.type === 'ferry') {
+      return this.ferryScheduler.schedule.getRoute(option.route) ? null : `unknown ferry route "${option.route}"`;
+    }
+    if (option.type === 'light-rail') {
+      const lightRail = this.registry.get('light-rail');
+      const station = lightRail && lightRail.getStation(option.station);
+      if (!station) {
+        return `unknown light rail station "${option.station}"`;
+      }
+      if (option.rideMinutes === undefined && stopsBetween(station.name, option.alightAt) === null) {
+        return `can't estimate the ride from ${station.name} to ${option.alightAt}; set rideMinutes`;
+      }
+      return null;
+    }
+    return `unsupported type "${option.type}"`;
+  }
+
+  listDestinations() {
+    return Object.entries(this.config.destinations || {}).map(([id, destination]) => ({
+      id,
+      name: destination.name || id,
+      isDefault: id === this.config.defaultDestination,
+      options: (destination.options || []).map(option => ({
+        id: option.id,
+        type: option.type,
+        label: option.label,
+        available: !this.unavailable.has(option)
+      }))
+    }));
+  }
+
+  getDestination(destinationId = this.config.defaultDestination) {
+    const destination = (this.config.destinations || {})[destinationId];
+    return destination ? { id: destinationId, ...destination } : null;
+  }
+
+  // One ranked candidate per catchable departure
+  buildCandidate(option, now, { departureAt, arrivalAt, vehicle, description, to }) {
+    const leaveBy = addMinutes(departureAt, -(option.walkToMinutes || 0));
+    const arriveAt = addMinutes(arrivalAt, (option.transferMinutes || 0) + (option.walkFromMinutes || 0));
+    const leaveInMinutes = Math.max(0, Math.floor((leaveBy - now) / 60000));
+    const departureTime = formatClock(departureAt, { hour12: true });
+
+    return {
+      optionId: option.id,
+      type: option.type,
+      label: option.label || option.id,
+      description,
+      leaveBy: leaveBy.toISOString(),
+      leaveByTime: formatClock(leaveBy, { hour12: true }),
+      leaveInMinutes,
+      departureAt: departureAt.toISOString(),
+      departureTime,
+      arrivalAt: arriveAt.toISOString(),
+      arrivalTime: formatClock(arriveAt, { hour12: true }),
+      totalMinutes: Math.round((arriveAt - now) / 60000),
+      legs: [
+        { type: 'walk', minutes: option.walkToMinutes || 0 },
+        { type: option.type, description, departureAt: departureAt.toISOString(), arrivalAt: arrivalAt.toISOString(), to },
+        ...(option.transferMinutes ? [{ type: 'transfer', minutes: option.transferMinutes }] : []),
+        { type: 'walk', minutes: option.walkFromMinutes || 0 }
+      ],
+      summary: `${leaveInMinutes === 0 ? 'Leave now' : `Leave in ${leaveInMinutes} min`} for the ${departureTime} ${vehicle}`
+    };
+  }
+
+  ferryCandidates(option, now) {
+    const route = this.ferryScheduler.getRoute(option.route);
+    return this.ferryScheduler.getUpcomingTrips(option.route, now)
+      .filter(trip => addMinutes(trip.departureAt, -(option.walkToMinutes || 0)) >= now)
+      .slice(0, CANDIDATES_PER_OPTION)
+      .map(trip => this.buildCandidate(option, now, {
+        departureAt: trip.departureAt,
+        arrivalAt: trip.arrivalAt || addMinutes(trip.departureAt, option.rideMinutes || 0),
+        vehicle: 'ferry',
+        description: route.name,
+        to: route.destination
+      }));
+  }
+
+  lightRailCandidates(option, now) {
+    const lightRail = this.registry.get('light-rail');
+    const station = lightRail.getStation(option.station);
+    // The station may have been removed through the runtime config
+    if (!station) {
+      return [];
+    }
+    const data = lightRail.getCachedData(station.id);
+    // Old boards could suggest a train that has already been and gone
+    if (data.stale) {
+      return [];
+    }
+
+    const rideMinutes = option.rideMinutes !== undefined
+      ? option.rideMinutes
+      : stopsBetween(station.name, option.alightAt) * MINUTES_PER_STOP;
+
+    const trains = lightRail.directions
+      .flatMap(direction => data[direction])
+      .filter(train => servesStation(station.name, train.destination, option.alightAt))
+      .map(train => ({ train, departureAt: lightRail.getDepartureDate(train.time, train.scheduledTime, now) }))
+      .filter(({ departureAt }) => departureAt && addMinutes(departureAt, -(option.walkToMinutes || 0)) >= now)
+      .sort((a, b) => a.departureAt - b.departureAt);
+
+    return trains.slice(0, CANDIDATES_PER_OPTION).map(({ train, departureAt }) => this.buildCandidate(option, now, {
+      departureAt,
+      arrivalAt: addMinutes(departureAt, rideMinutes),
+      vehicle: 'light rail',
+      description: `${station.name} to ${train.destination}`,
+      to: option.alightAt
+    }));
+  }
+
+  plan(destinationId, { limit = 5 } = {}) {
+    const destination = this.getDestination(destinationId);
+    if (!destination) {
+      return null;
+    }
+
+    const now = this.now();
+    const candidates = [];
+    const options = (destination.options || []).filter(option => !this.unavailable.has(option));
+    for (const option of options) {
+      candidates.push(...(option.type === 'ferry' ? this.ferryCandidates(option, now) : this.lightRailCandidates(option, now)));
+    }
+
+    candidates.sort((a, b) => (a.arrivalAt < b.arrivalAt ? -1 : a.arrivalAt > b.arrivalAt ? 1 : b.leaveBy.localeCompare(a.leaveBy)));
+
+    const lightRail = this.registry.get('light-rail');
+    const stationIds = [...new Set(options.filter(option => option.type === 'light-rail').map(option => option.station))];
+
+    return {
+      destination: destination.id,
+      name: destination.name || destination.id,
+      generatedAt: now.toISOString(),
+      best: candidates[0] || null,
+      options: candidates.slice(0, limit),
+      sources: {
+        lightRail: Object.fromEntries(stationIds.filter(stationId => lightRail.lastData[stationId]).map(stationId => {
+          const { status, lastUpdated } = lightRail.lastData[stationId];
+          return [stationId, { status, lastUpdated, ...lightRail.dataAge(stationId) }];
+        }))
+      }
+    };
+  }
+}
+
+module.exports = {
+  CommutePlanner,
+  loadCommuteConfig
+};
@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const { SCRAPERS, DepartureVisionScraper } = require('./scrapers');
+const { DEFAULT_CIRCUIT_BREAKER, DEFAULT_RETRY } = require('./resilience');
+const { FORMATS, LEVELS } = require('./logger');
+const { resolveStations } = require('./stations');
+const { DEFAULT_LOCALE, LOCALES, TEMPLATE_KEYS } = require('./countdown');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'scraper.json');
+const FETCH_MODES = ['browser', 'direct'];
+
+// Built-in settings, before the config file and environment are applied
+const DEFAULT_CONFIG = {
+  scraping: {
+    // Between schedule windows; null keeps the schedule file's intervalMinutes (3 minutes without one)
+    intervalMinutes: null,
+    fetchMode: 'browser',
+    userAgent: DepartureVisionScraper.userAgent,
+    // Replaces the captured GraphQL endpoint, e.g. to point at a mock server
+    graphqlUrl: null,
+    maxDataAgeSeconds: 15 * 60,
+    attempts: DEFAULT_RETRY.attempts,
+    retryDelaySeconds: DEFAULT_RETRY.baseDelayMs / 1000
+  },
+  circuitBreaker: {
+    failureThreshold: DEFAULT_CIRCUIT_BREAKER.failureThreshold,
+    cooldownMinutes: DEFAULT_CIRCUIT_BREAKER.cooldownMs / 60000
+  },
+  browser: {
+    recycleScrapes: 50,
+    maxMemoryMb: 1024
+  },
+  onDemand: {
+    enabled: true,
+    maxAgeSeconds: 120,
+    waitSeconds: 30
+  },
+  logging: {
+    level: 'info',
+    format: 'json'
+  },
+  // Countdown wording when a request doesn't pick a language; templates override it per locale
+  countdown: {
+    locale: DEFAULT_LOCALE,
+    compact: false,
+    templates: {}
+  },
+  // Page address and form tab per mode, for when NJ Transit moves things around.
+  // `stations` (and `defaultStation`) replace the mode's stations from stations.json or env; null keeps those.
+  modes: Object.fromEntries(Object.entries(SCRAPERS).map(([mode, ScraperClass]) => [
+    mode,
+    {
+      baseUrl: ScraperClass.baseUrl,
+      ...(ScraperClass.tab ? { tab: { ...ScraperClass.tab } } : {}),
+      stations: null,
+      defaultStation: null
+    }
+  ]))
+};
+
+const positive = value => typeof value === 'number' && value > 0 ? null : 'expected a positive number';
+const positiveInteger = value => Number.isInteger(value) && value > 0 ? null : 'expected a positive whole number';
+const boolean = value => typeof value === 'boolean' ? null : 'expected true or false';
+const text = value => typeof value === 'string' && value.trim() ? null : 'expected a non-empty string';
+const url = value => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'expected an http(s) URL';
+  } catch (error) {
+    return 'expected an http(s) URL';
+  }
+};
+const optional = check => value => value === null ? null : check(value);
+// Origin names, or station objects with at least a name (see config/stations.json)
+const stationList = value => Array.isArray(value) && value.length > 0 &&
+  value.every(entry => (typeof entry === 'string' && entry.trim()) || (isObject(entry) && typeof entry.name === 'string' && entry.name.trim()))
+  ? null
+  : 'expected a non-empty list of station names or { "name": ... } objects';
+const oneOf = choices => value => choices.includes(value) ? null : `expected one of: ${choices.join(', ')}`;
+
+// Validator for every setting; paths under modes.<mode> and countdown.templates.<locale> apply to each one
+const SCHEMA = {
+  'scraping.intervalMinutes': optional(positive),
+  'scraping.fetchMode': oneOf(FETCH_MODES),
+  'scraping.userAgent': text,
+  'scraping.graphqlUrl': optional(url),
+  'scraping.maxDataAgeSeconds': positive,
+  'scraping.attempts': positiveInteger,
+  'scraping.retryDelaySeconds': positive,
+  'circuitBreaker.failureThreshold': positiveInteger,
+  'circuitBreaker.cooldownMinutes': positive,
+  'browser.recycleScrapes': positiveInteger,
+  'browser.maxMemoryMb': positive,
+  'onDemand.enabled': boolean,
+  'onDemand.maxAgeSeconds': positive,
+  'onDemand.waitSeconds': positive,
+  'logging.level': oneOf(Object.keys(LEVELS)),
+  'logging.format': oneOf(FORMATS),
+  'countdown.locale': oneOf(Object.keys(LOCALES)),
+  'countdown.compact': boolean,
+  ...Object.fromEntries(TEMPLATE_KEYS.flatMap(key => [
+    [`countdown.templates.*.${key}`, text],
+    [`countdown.templates.*.compact.${key}`, text]
+  ])),
+  'modes.*.baseUrl': url,
+  'modes.*.tab.buttonId': text,
+  'modes.*.tab.label': text,
+  'modes.*.stations': optional(stationList),
+  'modes.*.defaultStation': optional(text)
+};
+
+// Environment variables and the settings they override
+const ENV_VARS = {
+  SCRAPE_INTERVAL_MINUTES: 'scraping.intervalMinutes',
+  FETCH_MODE: 'scraping.fetchMode',
+  SCRAPER_USER_AGENT: 'scraping.userAgent',
+  NJT_GRAPHQL_URL: 'scraping.graphqlUrl',
+  MAX_DATA_AGE_SECONDS: 'scraping.maxDataAgeSeconds',
+  SCRAPE_ATTEMPTS: 'scraping.attempts',
+  SCRAPE_RETRY_DELAY_SECONDS: 'scraping.retryDelaySeconds',
+  CIRCUIT_FAILURE_THRESHOLD: 'circuitBreaker.failureThreshold',
+  CIRCUIT_COOLDOWN_MINUTES: 'circuitBreaker.cooldownMinutes',
+  BROWSER_RECYCLE_SCRAPES: 'browser.recycleScrapes',
+  BROWSER_MAX_MEMORY_MB: 'browser.maxMemoryMb',
+  ON_DEMAND_SCRAPES: 'onDemand.enabled',
+  ON_DEMAND_MAX_AGE_SECONDS: 'onDemand.maxAgeSeconds',
+  ON_DEMAND_WAIT_SECONDS: 'onDemand.waitSeconds',
+  LOG_LEVEL: 'logging.level',
+  LOG_FORMAT: 'logging.format',
+  COUNTDOWN_LOCALE: 'countdown.locale',
+  COUNTDOWN_COMPACT: 'countdown.compact'
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Deep merge where objects merge key by key and anything else replaces
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+// [['scraping.attempts', 3], ...] for every leaf setting
+function leaves(config, prefix = '') {
+  return Object.entries(config).flatMap(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return isObject(value) ? leaves(value, keyPath) : [[keyPath, value]];
+  });
+}
+
+function schemaPath(keyPath) {
+  return keyPath
+    .replace(/^modes\.[^.]+\./, 'modes.*.')
+    .replace(/^countdown\.templates\.[^.]+\./, 'countdown.templates.*.');
+}
+
+// Every problem with a config, as readable messages. `sources` names where each setting came from.
+function validateConfig(config, sources = {}) {
+  const errors = [];
+  for (const mode of Object.keys(config.modes || {})) {
+    if (!SCRAPERS[mode]) {
+      errors.push(`modes.${mode}: unknown mode, expected one of: ${Object.keys(SCRAPERS).join(', ')}`);
+    }
+  }
+  for (const [mode, modeConfig] of Object.entries(config.modes || {})) {
+    if (!SCRAPERS[mode] || !isObject(modeConfig)) continue;
+    const { stations = null, defaultStation = null } = modeConfig;
+    if (stations === null) {
+      if (defaultStation !== null) {
+        errors.push(`modes.${mode}.defaultStation: only applies together with modes.${mode}.stations`);
+      }
+    } else if (!stationList(stations)) {
+      try {
+        resolveStations(mode, stations, { defaultLine: SCRAPERS[mode].defaultLine, defaultStation });
+      } catch (error) {
+        errors.push(`modes.${mode}.stations: ${error.message}`);
+      }
+    }
+  }
+  for (const locale of Object.keys((config.countdown && config.countdown.templates) || {})) {
+    if (!LOCALES[locale]) {
+      errors.push(`countdown.templates.${locale}: unknown language, expected one of: ${Object.keys(LOCALES).join(', ')}`);
+    }
+  }
+  for (const [keyPath, value] of leaves(config)) {
+    if (keyPath.startsWith('modes.') && !SCRAPERS[keyPath.split('.')[1]]) continue;
+    if (keyPath.startsWith('countdown.templates.') && !LOCALES[keyPath.split('.')[2]]) continue;
+    const check = SCHEMA[schemaPath(keyPath)];
+    const problem = check ? check(value) : 'unknown setting';
+    if (problem) {
+      const source = sources[keyPath] && sources[keyPath] !== 'default' ? ` (from ${sources[keyPath]})` : '';
+      errors.push(`${keyPath}${source}: ${problem}, got ${JSON.stringify(value)}`);
+    }
+  }
+  return errors;
+}
+
+// Settings from environment variables, converted to the type their default has.
+// `sources` names the variable behind each one.
+function envLayer(env) {
+  const values = {};
+  const sources = {};
+  for (const [name, keyPath] of Object.entries(ENV_VARS)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') continue;
+
+    let value = raw;
+    const current = keyPath.split('.').reduce((node, key) => node[key], DEFAULT_CONFIG);
+    // Settings that default to null, like the scrape interval, are numbers when they read as valid ones
+    if (typeof current === 'number' || (current === null && !SCHEMA[keyPath](Number(raw)))) {
+      value = Number(raw);
+    } else if (typeof current === 'boolean') {
+      value = raw === 'true' ? true : raw === 'false' ? false : raw;
+    }
+    setPath(values, keyPath, value);
+    sources[keyPath] = `env ${name}`;
+  }
+  return { source: 'env', values, sources };
+}
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node = node[key] = node[key] || {};
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Scraper settings layered as defaults, then the config file (CONFIG_FILE,
+ * default config/scraper.json, optional), then environment variables, then
+ * changes made at runtime through the admin API. Runtime changes live in
+ * memory only and are lost on restart.
+ *
+ * Every layer is validated together; `load()` throws a ConfigError listing
+ * all problems so a bad setting stops the service at startup.
+ */
+class RuntimeConfig {
+  constructor(layers) {
+    this.layers = layers;
+    this.runtime = {};
+    Object.assign(this, this.compose(this.runtime));
+    const errors = validateConfig(this.config, this.sources);
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+  }
+
+  static load(env = process.env) {
+    const file = env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+    const layers = [{ source: 'default', values: DEFAULT_CONFIG }];
+
+    if (fs.existsSync(file)) {
+      let values;
+      try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new ConfigError([`${file}: ${error.message}`]);
+      }
+      layers.push({ source: `file ${env.CONFIG_FILE || 'config/scraper.json'}`, values });
+    } else if (env.CONFIG_FILE) {
+      throw new ConfigError([`Config file not found: ${file}`]);
+    }
+
+    layers.push(envLayer(env));
+    return new RuntimeConfig(layers);
+  }
+
+  // Effective settings and, for each one, the layer it came from
+  compose(runtime) {
+    let config = {};
+    const sources = {};
+    for (const layer of [...this.layers, { source: 'runtime', values: runtime }]) {
+      config = mergeConfig(config, layer.values);
+      for (const [keyPath] of leaves(layer.values)) {
+        sources[keyPath] = (layer.sources && layer.sources[keyPath]) || layer.source;
+      }
+    }
+    return { config, sources };
+  }
+
+  // Apply a partial config on top of the current one. Throws a ConfigError and
+  // changes nothing if the result is invalid.
+  update(patch) {
+    if (!isObject(patch)) {
+      throw new ConfigError(['Expected a JSON object of settings']);
+    }
+    const runtime = mergeConfig(this.runtime, patch);
+    const { config, sources } = this.compose(runtime);
+    const errors = validateConfig(config, sources);
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+    this.runtime = runtime;
+    this.config = config;
+    this.sources = sources;
+    return config;
+  }
+}
+
+module.exports = {
+  ConfigError,
+  DEFAULT_CONFIG,
+  ENV_VARS,
+  RuntimeConfig,
+  mergeConfig,
+  validateConfig
+};
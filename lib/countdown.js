@@ -0,0 +1,162 @@
+// Countdown wording ("in 5 mins", "en 5 min", "5m") shared by every endpoint
+
+// Template keys: the countdown itself, then the fixed labels
+const TEMPLATE_KEYS = ['now', 'minute', 'minutes', 'hour', 'hours', 'hoursMinutes', 'unknown', 'serviceEnded', 'noDepartures'];
+
+// Built-in templates per locale, full and compact (for small e-ink displays).
+// {hours} and {minutes} split the countdown ("in {hours}h {minutes}m"); {total} is it in minutes.
+const LOCALES = {
+  en: {
+    full: {
+      now: 'Now',
+      minute: 'in 1 min',
+      minutes: 'in {minutes} mins',
+      hour: 'in 1 hour',
+      hours: 'in {hours} hours',
+      hoursMinutes: 'in {hours}h {minutes}m',
+      unknown: 'Unknown',
+      serviceEnded: 'Service ended',
+      noDepartures: 'No trains'
+    },
+    compact: {
+      now: 'Now',
+      minute: '1m',
+      minutes: '{minutes}m',
+      hour: '1h',
+      hours: '{hours}h',
+      hoursMinutes: '{hours}h{minutes}m',
+      unknown: '--',
+      serviceEnded: 'Ended',
+      noDepartures: '--'
+    }
+  },
+  es: {
+    full: {
+      now: 'Ahora',
+      minute: 'en 1 min',
+      minutes: 'en {minutes} min',
+      hour: 'en 1 hora',
+      hours: 'en {hours} horas',
+      hoursMinutes: 'en {hours} h {minutes} min',
+      unknown: 'Desconocido',
+      serviceEnded: 'Servicio terminado',
+      noDepartures: 'Sin trenes'
+    },
+    compact: {
+      now: 'Ya',
+      minute: '1m',
+      minutes: '{minutes}m',
+      hour: '1h',
+      hours: '{hours}h',
+      hoursMinutes: '{hours}h{minutes}m',
+      unknown: '--',
+      serviceEnded: 'Fin',
+      noDepartures: '--'
+    }
+  }
+};
+const DEFAULT_LOCALE = 'en';
+
+class UnsupportedLocaleError extends Error {
+  constructor(locale) {
+    super(`Unsupported language "${locale}", expected one of: ${Object.keys(LOCALES).join(', ')}`);
+    this.name = 'UnsupportedLocaleError';
+  }
+}
+
+// "es-MX" -> "es" when supported, else null
+function supportedLocale(tag) {
+  const base = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES[base] ? base : null;
+}
+
+/**
+ * The locale for a request: `?lang=` when given (throws an
+ * UnsupportedLocaleError for one we don't have), otherwise the most
+ * preferred supported language in the Accept-Language header, otherwise
+ * `fallback`.
+ */
+function negotiateLocale(lang, acceptLanguage, fallback = DEFAULT_LOCALE) {
+  if (lang) {
+    const locale = supportedLocale(lang);
+    if (!locale) {
+      throw new UnsupportedLocaleError(lang);
+    }
+    return locale;
+  }
+
+  const preferences = String(acceptLanguage || '')
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.split(';');
+      const quality = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { locale: supportedLocale(tag), q: quality ? parseFloat(quality[1]) : 1, index };
+    })
+    .filter(preference => preference.locale && preference.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  return preferences.length > 0 ? preferences[0].locale : fallback;
+}
+
+/**
+ * Renders minutes-until as countdown text in one locale, full or compact.
+ *
+ * `templates` overrides the built-in wording per locale, e.g.
+ * { en: { minutes: '{minutes} min', compact: { now: 'Due' } } }; keys are
+ * TEMPLATE_KEYS and anything not overridden keeps the built-in text.
+ */
+class CountdownFormatter {
+  constructor({ locale = DEFAULT_LOCALE, compact = false, templates = {} } = {}) {
+    if (!LOCALES[locale]) {
+      throw new UnsupportedLocaleError(locale);
+    }
+    const overrides = templates[locale] || {};
+    this.locale = locale;
+    this.compact = compact;
+    this.templates = compact
+      ? { ...LOCALES[locale].compact, ...(overrides.compact || {}) }
+      : { ...LOCALES[locale].full, ...withoutCompact(overrides) };
+  }
+
+  // A fixed label such as 'serviceEnded' or 'noDepartures'
+  text(key) {
+    return this.templates[key];
+  }
+
+  // Whole minutes until a departure -> "Now", "in 1 min", "in 2h 5m", ...; null -> unknown
+  format(minutesUntil) {
+    if (minutesUntil === null || minutesUntil === undefined || Number.isNaN(minutesUntil)) {
+      return this.templates.unknown;
+    }
+    const total = Math.round(minutesUntil);
+    if (total <= 0) {
+      return this.fill('now', total);
+    }
+    if (total < 60) {
+      return this.fill(total === 1 ? 'minute' : 'minutes', total);
+    }
+    const hours = Math.floor(total / 60);
+    if (total % 60 === 0) {
+      return this.fill(hours === 1 ? 'hour' : 'hours', total);
+    }
+    return this.fill('hoursMinutes', total);
+  }
+
+  fill(key, total) {
+    const values = { total, hours: Math.floor(total / 60), minutes: total < 60 ? total : total % 60 };
+    return this.templates[key].replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+  }
+}
+
+function withoutCompact({ compact, ...templates }) {
+  return templates;
+}
+
+module.exports = {
+  CountdownFormatter,
+  DEFAULT_LOCALE,
+  LOCALES,
+  TEMPLATE_KEYS,
+  UnsupportedLocaleError,
+  negotiateLocale,
+  supportedLocale
+};
@@ -0,0 +1,55 @@
+// Parse the ?limit=, ?destination= and ?after= query parameters shared by the departure routes
+
+const { parseClock } = require('./departure-model');
+const { zonedParts, zonedTimeToDate } = require('./time');
+
+class InvalidFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFilterError';
+  }
+}
+
+// Accepts an ISO timestamp, 24h "HH:MM" or 12h "h:mm AM" (the latter two meaning today in New York)
+function parseAfter(value, now = new Date()) {
+  if (/^\d{1,2}:\d{2}/.test(value) && !value.includes('T')) {
+    const clock = parseClock(value);
+    if (clock === null) {
+      return null;
+    }
+    return zonedTimeToDate({ ...zonedParts(now), ...clock, second: 0 });
+  }
+
+  const after = new Date(value);
+  return isNaN(after.getTime()) ? null : after;
+}
+
+function parseDepartureFilters(query, defaultLimit = null, now = new Date()) {
+  const filters = { limit: defaultLimit, destination: null, after: null };
+
+  if (query.limit !== undefined) {
+    if (!/^\d+$/.test(query.limit) || parseInt(query.limit) < 1) {
+      throw new InvalidFilterError('limit must be a positive integer');
+    }
+    filters.limit = parseInt(query.limit);
+  }
+
+  if (query.destination !== undefined) {
+    filters.destination = String(query.destination).trim() || null;
+  }
+
+  if (query.after !== undefined) {
+    filters.after = parseAfter(String(query.after).trim(), now);
+    if (!filters.after) {
+      throw new InvalidFilterError('after must be an ISO timestamp, HH:MM or h:mm AM/PM');
+    }
+  }
+
+  return filters;
+}
+
+module.exports = {
+  InvalidFilterError,
+  parseClock,
+  parseDepartureFilters
+};
@@ -0,0 +1,128 @@
+const { addDays, zonedParts, zonedTimeToDate } = require('./time');
+
+// Normalized departure statuses, whatever wording the board used
+const DEPARTURE_STATUSES = ['on-time', 'delayed', 'boarding', 'cancelled'];
+
+// A train counts as delayed from this many minutes behind schedule
+const DELAYED_AFTER_MINUTES = 1;
+
+const STATUS_WORDS = [
+  ['cancelled', /cancel/i],
+  ['boarding', /board|all aboard/i],
+  ['delayed', /delay|late/i]
+];
+
+// "11:27 PM", "11:27PM" or "23:27" -> { hour, minute }
+function parseClock(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(AM|PM)?$/i);
+  if (!match) {
+    return null;
+  }
+  let hour = parseInt(match[1]);
+  const minute = parseInt(match[2]);
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = hour % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+  }
+  return hour > 23 || minute > 59 ? null : { hour, minute };
+}
+
+// "8/2/2025 11:27:00 PM" (New York time) or an ISO timestamp -> Date
+function parseScheduledTime(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  const match = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM)?)$/i);
+  const clock = match && parseClock(match[4]);
+  if (!clock) {
+    return null;
+  }
+  const [month, day, year] = match.slice(1, 4).map(Number);
+  // Reject dates such as 2/30 rather than rolling them into the next month
+  if (new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day || month < 1 || month > 12) {
+    return null;
+  }
+  const second = /:\d{2}:(\d{2})/.exec(match[4]);
+  return zonedTimeToDate({ year, month, day, ...clock, second: second ? parseInt(second[1]) : 0 });
+}
+
+// "11:27 PM" -> the occurrence of that New York clock time closest to `reference`
+function resolveClockTime(value, reference) {
+  const clock = parseClock(value);
+  if (!clock || !reference) {
+    return null;
+  }
+  const day = zonedParts(reference);
+  const candidates = [-1, 0, 1].map(offset => zonedTimeToDate({ ...addDays(day, offset), ...clock }));
+  return candidates.reduce((best, candidate) =>
+    Math.abs(candidate - reference) < Math.abs(best - reference) ? candidate : best
+  );
+}
+
+// The board's status text, e.g. "All Aboard" or "Delayed", as one of DEPARTURE_STATUSES
+function normalizeStatus(status, delayMinutes = null) {
+  const match = STATUS_WORDS.find(([, pattern]) => pattern.test(status || ''));
+  if (match) {
+    return match[0];
+  }
+  return delayMinutes !== null && delayMinutes >= DELAYED_AFTER_MINUTES ? 'delayed' : 'on-time';
+}
+
+/**
+ * When a scraped train leaves, worked out in America/New_York whatever TZ
+ * the container runs in.
+ *
+ * `scheduledTime` is a full date ("8/2/2025 11:27:00 PM"); `time` is the
+ * board's current estimate as a bare clock time ("11:44 PM"), read as the
+ * occurrence nearest the scheduled time, or else nearest `reference` (when
+ * the board was scraped). Returns { scheduledAt, estimatedAt } as Dates or
+ * null; without an estimate, the train is expected on schedule.
+ */
+function departureTimes({ time = null, scheduledTime = null }, reference) {
+  const scheduledAt = parseScheduledTime(scheduledTime);
+  const estimatedAt = resolveClockTime(time, scheduledAt || reference) || scheduledAt;
+  return { scheduledAt, estimatedAt };
+}
+
+/**
+ * The normalized model added to every departure on a board:
+ *
+ *   scheduledAt       ISO timestamp of the timetabled departure, or null
+ *   estimatedAt       ISO timestamp of the expected departure, or null
+ *   delayMinutes      estimatedAt - scheduledAt in whole minutes (null if
+ *                     either is unknown or the train is cancelled)
+ *   minutesUntil      whole minutes from `now` to estimatedAt (0 once due), or null
+ *   departureStatus   one of DEPARTURE_STATUSES
+ *
+ * The board's own `status` text is left as it is.
+ */
+function normalizeDeparture(train, { now, scrapedAt = now }) {
+  const { scheduledAt, estimatedAt } = departureTimes(train, new Date(scrapedAt));
+  let delayMinutes = scheduledAt && estimatedAt ? Math.round((estimatedAt - scheduledAt) / 60000) : null;
+  // Some boards put the status ("Cancelled") where the time would be
+  const departureStatus = normalizeStatus(train.status || (parseClock(train.time) ? null : train.time), delayMinutes);
+  if (departureStatus === 'cancelled') {
+    delayMinutes = null;
+  }
+  return {
+    scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+    estimatedAt: estimatedAt ? estimatedAt.toISOString() : null,
+    delayMinutes,
+    minutesUntil: estimatedAt ? Math.max(0, Math.round((estimatedAt - now) / 60000)) : null,
+    departureStatus
+  };
+}
+
+module.exports = {
+  DEPARTURE_STATUSES,
+  departureTimes,
+  normalizeDeparture,
+  normalizeStatus,
+  parseClock,
+  parseScheduledTime,
+  resolveClockTime
+};
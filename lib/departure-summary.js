@@ -0,0 +1,55 @@
+// Compact per-direction summaries shared by the REST routes and the MQTT publisher
+const { CountdownFormatter } = require('./countdown');
+
+const DEFAULT_COUNTDOWN = new CountdownFormatter();
+
+function departureSummary(train) {
+  return {
+    status: train.calculatedStatus || train.status,
+    destination: train.destination,
+    time: train.time,
+    originalStatus: train.status,
+    scheduledTime: train.scheduledTime,
+    scheduledAt: train.scheduledAt,
+    estimatedAt: train.estimatedAt,
+    delayMinutes: train.delayMinutes,
+    minutesUntil: train.minutesUntil,
+    departureStatus: train.departureStatus
+  };
+}
+
+// Summarize the next train in one direction for Home Assistant sensors.
+// The second and third trains are separate attributes for template sensors;
+// `disruption` is true while a service alert affects the station's line.
+// `countdown` words the status when there is no next train.
+function nextDepartureSummary(data, direction, countdown = DEFAULT_COUNTDOWN) {
+  const departures = data[direction];
+  const next = departures.length > 0 ? departures[0] : null;
+  const disruption = data.disruption || { active: false, severity: null, headline: null };
+  return {
+    status: next ? next.calculatedStatus || next.status : countdown.text('noDepartures'),
+    destination: next ? next.destination : '',
+    time: next ? next.time : '',
+    lastUpdated: data.lastUpdated,
+    stale: data.stale,
+    dataAgeSeconds: data.dataAgeSeconds,
+    originalStatus: next ? next.status : '',
+    scheduledTime: next ? next.scheduledTime : '',
+    scheduledAt: next ? next.scheduledAt : null,
+    estimatedAt: next ? next.estimatedAt : null,
+    delayMinutes: next ? next.delayMinutes : null,
+    minutesUntil: next ? next.minutesUntil : null,
+    departureStatus: next ? next.departureStatus : null,
+    disruption: disruption.active,
+    disruptionSeverity: disruption.severity,
+    disruptionMessage: disruption.headline,
+    second: departures[1] ? departureSummary(departures[1]) : null,
+    third: departures[2] ? departureSummary(departures[2]) : null,
+    departures: departures.map(departureSummary)
+  };
+}
+
+module.exports = {
+  departureSummary,
+  nextDepartureSummary
+};
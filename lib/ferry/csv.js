@@ -0,0 +1,54 @@
+// Minimal RFC 4180 CSV parser for GTFS text files: quoted fields, escaped quotes, CRLF, BOM
+
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+// Parse CSV text with a header row into an array of objects
+function parseCsv(text) {
+  const [header, ...rows] = parseRows(text.replace(/^﻿/, ''));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()])));
+}
+
+module.exports = { parseCsv };
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+
+const WEEKDAY_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Namespace feed service ids so they can't collide with hand-written services
+const serviceKey = serviceId => `gtfs:${serviceId}`;
+
+function readTable(dir, name, required = true) {
+  const file = path.join(dir, name);
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`GTFS feed in ${dir} is missing ${name}`);
+    }
+    return [];
+  }
+  return parseCsv(fs.readFileSync(file, 'utf8'));
+}
+
+// GTFS times may run past 24:00:00 for trips after midnight; keep them as service-day minutes
+function gtfsTimeToMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time);
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// A route end matches a stop by exact stop_id or by case-insensitive substring of stop_name
+function stopMatcher(stops, selector) {
+  const needle = String(selector).toLowerCase();
+  const ids = new Set(
+    stops
+      .filter(stop => stop.stop_id === selector || stop.stop_name.toLowerCase().includes(needle))
+      .map(stop => stop.stop_id)
+  );
+  if (ids.size === 0) {
+    throw new Error(`No GTFS stop matches "${selector}"`);
+  }
+  return ids;
+}
+
+/**
+ * Import ferry trips from a GTFS static feed directory.
+ *
+ * `routes` lists the origin/destination pairs to extract:
+ *   [{ id, name, from, to }]  (from/to are stop ids or stop name fragments)
+ * Every trip that calls at `from` and later at `to` becomes a departure on
+ * that route under the trip's service_id (prefixed "gtfs:"). calendar.txt and
+ * calendar_dates.txt become services and date exceptions.
+ */
+function importGtfs(dir, routes) {
+  const stops = readTable(dir, 'stops.txt');
+  const trips = readTable(dir, 'trips.txt');
+  const stopTimes = readTable(dir, 'stop_times.txt');
+  const calendar = readTable(dir, 'calendar.txt', false);
+  const calendarDates = readTable(dir, 'calendar_dates.txt', false);
+
+  const tripsById = new Map(trips.map(trip => [trip.trip_id, trip]));
+  const callsByTrip = new Map();
+  for (const stopTime of stopTimes) {
+    if (!callsByTrip.has(stopTime.trip_id)) {
+      callsByTrip.set(stopTime.trip_id, []);
+    }
+    callsByTrip.get(stopTime.trip_id).push(stopTime);
+  }
+  for (const calls of callsByTrip.values()) {
+    calls.sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence));
+  }
+
+  const importedRoutes = routes.map(route => {
+    const fromStops = stopMatcher(stops, route.from);
+    const toStops = stopMatcher(stops, route.to);
+    const routeTrips = [];
+
+    for (const [tripId, calls] of callsByTrip) {
+      const fromIndex = calls.findIndex(call => fromStops.has(call.stop_id));
+      if (fromIndex === -1) continue;
+      const toCall = calls.slice(fromIndex + 1).find(call => toStops.has(call.stop_id));
+      if (!toCall) continue;
+
+      const fromCall = calls[fromIndex];
+      const trip = tripsById.get(tripId) || {};
+      routeTrips.push({
+        serviceId: serviceKey(trip.service_id),
+        departure: gtfsTimeToMinutes(fromCall.departure_time || fromCall.arrival_time),
+        arrival: gtfsTimeToMinutes(toCall.arrival_time || toCall.departure_time),
+        // Feed ids, so realtime output can refer to the static feed
+        gtfs: { tripId, routeId: trip.route_id || null, originStopId: fromCall.stop_id, destinationStopId: toCall.stop_id }
+      });
+    }
+
+    return {
+      id: route.id,
+      name: route.name || `${route.from} to ${route.to}`,
+      origin: route.originName || route.from,
+      destination: route.destinationName || route.to,
+      trips: routeTrips.filter(trip => trip.departure !== null)
+    };
+  });
+
+  const services = {};
+  for (const row of calendar) {
+    services[serviceKey(row.service_id)] = {
+      name: row.service_id,
+      days: WEEKDAY_COLUMNS.map(column => row[column] === '1'),
+      startDate: row.start_date || null,
+      endDate: row.end_date || null
+    };
+  }
+
+  // exception_type 1 = service added on that date, 2 = removed
+  const exceptions = {};
+  for (const row of calendarDates) {
+    const serviceId = serviceKey(row.service_id);
+    if (!services[serviceId]) {
+      services[serviceId] = { name: row.service_id, days: WEEKDAY_COLUMNS.map(() => false), startDate: null, endDate: null };
+    }
+    const entry = exceptions[row.date] || (exceptions[row.date] = { added: [], removed: [], holiday: null });
+    (row.exception_type === '1' ? entry.added : entry.removed).push(serviceId);
+  }
+
+  return { routes: importedRoutes, services, exceptions };
+}
+
+module.exports = {
+  gtfsTimeToMinutes,
+  importGtfs
+};
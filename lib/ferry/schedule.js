@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { importGtfs, gtfsTimeToMinutes } = require('./gtfs');
+const { logger } = require('../logger');
+
+const DEFAULT_SCHEDULE_FILE = path.join(__dirname, '..', '..', 'config', 'ferry', 'schedules.json');
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "2025-12-25" or "20251225" -> "20251225"
+function toDateKey(value) {
+  const key = String(value).replace(/-/g, '');
+  if (!/^\d{8}$/.test(key)) {
+    throw new Error(`Invalid schedule date: ${value}`);
+  }
+  return key;
+}
+
+/**
+ * Ferry timetables: routes with trips tagged by service id, services with
+ * weekday patterns and optional date ranges (for seasonal swaps), and
+ * per-date exceptions (holidays, GTFS calendar_dates).
+ */
+class FerrySchedule {
+  constructor({ routes = [], services = {}, exceptions = {}, defaultRoute = null }) {
+    this.routes = new Map(routes.map(route => [route.id, route]));
+    this.services = services;
+    this.exceptions = exceptions;
+    this.defaultRouteId = defaultRoute || (routes[0] && routes[0].id) || null;
+  }
+
+  getRoute(routeId = this.defaultRouteId) {
+    return this.routes.get(routeId) || null;
+  }
+
+  // Services running on a calendar day, and the holiday that changed them (if any)
+  activeServices(dateKey, weekday) {
+    const active = new Set();
+    for (const [serviceId, service] of Object.entries(this.services)) {
+      if (!service.days[weekday]) continue;
+      if (service.startDate && dateKey < service.startDate) continue;
+      if (service.endDate && dateKey > service.endDate) continue;
+      active.add(serviceId);
+    }
+
+    const exception = this.exceptions[dateKey];
+    if (exception) {
+      exception.removed.forEach(serviceId => active.delete(serviceId));
+      exception.added.forEach(serviceId => active.add(serviceId));
+    }
+
+    return { serviceIds: Array.from(active), holiday: exception ? exception.holiday : null };
+  }
+
+  // Trips on a route for one calendar day, sorted by departure minute
+  departuresOn(routeId, dateKey, weekday) {
+    const route = this.getRoute(routeId);
+    if (!route) {
+      return [];
+    }
+    const { serviceIds } = this.activeServices(dateKey, weekday);
+    return route.trips
+      .filter(trip => serviceIds.includes(trip.serviceId))
+      .sort((a, b) => a.departure - b.departure);
+  }
+
+  serviceName(serviceIds) {
+    return serviceIds.map(serviceId => (this.services[serviceId] && this.services[serviceId].name) || serviceId).join(', ') || 'No service';
+  }
+
+  merge(other) {
+    for (const [routeId, route] of other.routes) {
+      if (this.routes.has(routeId)) {
+        throw new Error(`Duplicate ferry route id: ${routeId}`);
+      }
+      this.routes.set(routeId, route);
+    }
+    Object.assign(this.services, other.services);
+    for (const [dateKey, exception] of Object.entries(other.exceptions)) {
+      const entry = this.exceptions[dateKey] || (this.exceptions[dateKey] = { added: [], removed: [], holiday: null });
+      entry.added.push(...exception.added);
+      entry.removed.push(...exception.removed);
+      entry.holiday = entry.holiday || exception.holiday;
+    }
+    this.defaultRouteId = this.defaultRouteId || other.defaultRouteId;
+    return this;
+  }
+}
+
+// Build a FerrySchedule from the hand-maintained JSON format (see config/ferry/schedules.json)
+function parseScheduleConfig(config) {
+  const services = {};
+  for (const [serviceId, service] of Object.entries(config.services || {})) {
+    const days = (service.days || []).map(day => DAY_NAMES.indexOf(day.toLowerCase().slice(0, 3)));
+    if (days.includes(-1)) {
+      throw new Error(`Ferry service "${serviceId}" has an invalid day in ${JSON.stringify(service.days)}`);
+    }
+    services[serviceId] = {
+      name: service.name || serviceId,
+      days: DAY_NAMES.map((_, index) => days.includes(index)),
+      startDate: service.startDate ? toDateKey(service.startDate) : null,
+      endDate: service.endDate ? toDateKey(service.endDate) : null
+    };
+  }
+
+  const requireService = (serviceId, context) => {
+    if (!services[serviceId]) {
+      throw new Error(`${context} refers to unknown ferry service "${serviceId}"`);
+    }
+  };
+
+  const routes = (config.routes || []).map(route => {
+    const trips = [];
+    for (const [serviceId, times] of Object.entries(route.departures || {})) {
+      requireService(serviceId, `Ferry route "${route.id}"`);
+      for (const time of times) {
+        const departure = gtfsTimeToMinutes(time);
+        if (departure === null) {
+          throw new Error(`Ferry route "${route.id}" has an invalid departure time "${time}"`);
+        }
+        trips.push({
+          serviceId,
+          departure,
+          arrival: route.travelMinutes ? departure + route.travelMinutes : null
+        });
+      }
+    }
+    return {
+      id: route.id,
+      name: route.name || route.id,
+      origin: route.origin || null,
+      destination: route.destination || null,
+      trips
+    };
+  });
+
+  const exceptions = {};
+  const exceptionFor = date => {
+    const dateKey = toDateKey(date);
+    return exceptions[dateKey] || (exceptions[dateKey] = { added: [], removed: [], holiday: null });
+  };
+
+  // A holiday replaces whatever would normally run that day with one service
+  for (const holiday of config.holidays || []) {
+    requireService(holiday.service, `Holiday ${holiday.date}`);
+    const entry = exceptionFor(holiday.date);
+    entry.removed.push(...Object.keys(services).filter(serviceId => serviceId !== holiday.service));
+    entry.added.push(holiday.service);
+    entry.holiday = holiday.name || 'Holiday';
+  }
+
+  for (const exception of config.exceptions || []) {
+    requireService(exception.service, `Exception on ${exception.date}`);
+    if (exception.type !== 'added' && exception.type !== 'removed') {
+      throw new Error(`Exception on ${exception.date} must have type "added" or "removed"`);
+    }
+    exceptionFor(exception.date)[exception.type].push(exception.service);
+  }
+
+  return new FerrySchedule({ routes, services, exceptions, defaultRoute: config.defaultRoute });
+}
+
+/**
+ * Load ferry schedules from FERRY_SCHEDULE_FILE (default
+ * config/ferry/schedules.json). When the file has a "gtfs" section, or
+ * FERRY_GTFS_DIR is set, routes are also imported from that GTFS feed.
+ */
+function loadFerrySchedule(env = process.env) {
+  const file = env.FERRY_SCHEDULE_FILE || DEFAULT_SCHEDULE_FILE;
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const schedule = parseScheduleConfig(config);
+
+  const gtfs = config.gtfs || {};
+  const gtfsDir = env.FERRY_GTFS_DIR || (gtfs.dir && path.resolve(path.dirname(file), gtfs.dir));
+  if (gtfsDir) {
+    if (!gtfs.routes || gtfs.routes.length === 0) {
+      throw new Error(`${file} needs gtfs.routes to know which ferry routes to import from ${gtfsDir}`);
+    }
+    const imported = importGtfs(gtfsDir, gtfs.routes);
+    schedule.merge(new FerrySchedule(imported));
+    logger.info(`Imported ${imported.routes.length} ferry route(s) from GTFS feed ${gtfsDir}`);
+  }
+
+  logger.info(`Loaded ${schedule.routes.size} ferry route(s) from ${file}`);
+  return schedule;
+}
+
+module.exports = {
+  FerrySchedule,
+  loadFerrySchedule,
+  parseScheduleConfig
+};
@@ -0,0 +1,153 @@
+const {
+  addDays,
+  dateKey,
+  formatClock,
+  isoDate,
+  zonedParts,
+  zonedTimeToDate
+} = require('../time');
+const { CountdownFormatter } = require('../countdown');
+
+/**
+ * Next-departure lookups against a FerrySchedule.
+ *
+ * Trips belong to a service day and are timed in minutes after that day's
+ * midnight in America/New_York, so a 24:15 trip on Friday's schedule leaves
+ * at 00:15 Saturday. Lookups therefore consider yesterday's service day (for
+ * its after-midnight trips) as well as today's, regardless of container TZ.
+ * Statuses are worded by a CountdownFormatter built from the `countdown`
+ * settings, unless a caller passes its own. `now` can be injected for tests.
+ */
+class FerryScheduler {
+  constructor(schedule, { now = () => new Date(), countdown = {} } = {}) {
+    this.schedule = schedule;
+    this.now = now;
+    this.configure({ countdown });
+  }
+
+  // Apply changed runtime settings
+  configure({ countdown = {} }) {
+    this.countdown = new CountdownFormatter(countdown);
+  }
+
+  listRoutes() {
+    return Array.from(this.schedule.routes.values()).map(route => ({
+      id: route.id,
+      name: route.name,
+      origin: route.origin,
+      destination: route.destination,
+      isDefault: route.id === this.schedule.defaultRouteId
+    }));
+  }
+
+  getRoute(routeId = this.schedule.defaultRouteId) {
+    const route = this.schedule.getRoute(routeId);
+    if (!route) {
+      throw new Error(`Unknown ferry route: ${routeId}`);
+    }
+    return route;
+  }
+
+  // Service name and holiday for a calendar day
+  describeServiceDay(day) {
+    const { serviceIds, holiday } = this.schedule.activeServices(dateKey(day), day.weekday);
+    return { scheduleType: this.schedule.serviceName(serviceIds), holiday };
+  }
+
+  // Trips on a route leaving after `now`, as absolute instants, in departure order
+  getUpcomingTrips(routeId, now = this.now()) {
+    const route = this.getRoute(routeId);
+    const today = zonedParts(now);
+    const serviceDays = [addDays(today, -1), addDays(today, 0)];
+
+    const trips = [];
+    for (const day of serviceDays) {
+      const { scheduleType } = this.describeServiceDay(day);
+      for (const trip of this.schedule.departuresOn(route.id, dateKey(day), day.weekday)) {
+        const departureAt = zonedTimeToDate({ ...day, hour: 0, minute: trip.departure });
+        if (departureAt <= now) continue;
+
+        trips.push({
+          serviceDate: isoDate(day),
+          serviceId: trip.serviceId,
+          scheduleType,
+          departureAt,
+          arrivalAt: trip.arrival !== null ? zonedTimeToDate({ ...day, hour: 0, minute: trip.arrival }) : null,
+          minutesUntil: Math.ceil((departureAt - now) / 60000),
+          gtfs: trip.gtfs || null
+        });
+      }
+    }
+
+    return trips.sort((a, b) => a.departureAt - b.departureAt);
+  }
+
+  formatStatus(minutesUntil, countdown = this.countdown) {
+    return countdown.format(minutesUntil);
+  }
+
+  getNextDeparture(routeId, { countdown = this.countdown } = {}) {
+    const now = this.now();
+    const route = this.getRoute(routeId);
+    const { scheduleType, holiday } = this.describeServiceDay(addDays(zonedParts(now), 0));
+    // After midnight the next boat may still run on yesterday's schedule
+    const [nextTrip] = this.getUpcomingTrips(route.id, now);
+
+    if (!nextTrip) {
+      return {
+        status: countdown.text('serviceEnded'),
+        nextDepartureTime: '--:--',
+        nextDepartureTime12h: '--:--',
+        nextDepartureAt: null,
+        minutesUntil: null,
+        route: route.id,
+        scheduleType,
+        holiday,
+        lastUpdated: now.toISOString()
+      };
+    }
+
+    return {
+      status: this.formatStatus(nextTrip.minutesUntil, countdown),
+      nextDepartureTime: formatClock(nextTrip.departureAt),
+      nextDepartureTime12h: formatClock(nextTrip.departureAt, { hour12: true }),
+      nextDepartureAt: nextTrip.departureAt.toISOString(),
+      minutesUntil: nextTrip.minutesUntil,
+      serviceDate: nextTrip.serviceDate,
+      route: route.id,
+      scheduleType: nextTrip.scheduleType,
+      holiday,
+      lastUpdated: now.toISOString()
+    };
+  }
+
+  getAllUpcomingDepartures(count = 3, routeId, { countdown = this.countdown } = {}) {
+    const now = this.now();
+    const route = this.getRoute(routeId);
+    const { scheduleType, holiday } = this.describeServiceDay(addDays(zonedParts(now), 0));
+
+    const upcoming = this.getUpcomingTrips(route.id, now)
+      .slice(0, count)
+      .map(trip => ({
+        departureTime: formatClock(trip.departureAt),
+        departureTime12h: formatClock(trip.departureAt, { hour12: true }),
+        departureAt: trip.departureAt.toISOString(),
+        arrivalTime: trip.arrivalAt ? formatClock(trip.arrivalAt) : null,
+        arrivalAt: trip.arrivalAt ? trip.arrivalAt.toISOString() : null,
+        minutesUntil: trip.minutesUntil,
+        serviceDate: trip.serviceDate,
+        scheduleType: trip.scheduleType,
+        status: this.formatStatus(trip.minutesUntil, countdown)
+      }));
+
+    return {
+      upcoming: upcoming,
+      route: route.id,
+      scheduleType,
+      holiday,
+      lastUpdated: now.toISOString()
+    };
+  }
+}
+
+module.exports = FerryScheduler;
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const STATION_PLACEHOLDER = '{{station}}';
+const LINE_PLACEHOLDER = '{{line}}';
+// Template key of the page's system status query; station ids never start with '#'
+const STATUS_KEY = '#status';
+
+// Request headers worth replaying; cookies and hop-by-hop headers are left behind
+const REPLAY_HEADERS = ['content-type', 'accept', 'authorization', 'origin', 'referer'];
+
+class GraphQLRequestError extends Error {
+  constructor(message, { status = null, needsAuth = false } = {}) {
+    super(message);
+    this.name = 'GraphQLRequestError';
+    this.status = status;
+    // True when the endpoint wants fresh tokens that only a browser session can provide
+    this.needsAuth = needsAuth;
+  }
+}
+
+// Minimal GraphQL-over-HTTP client built on the global fetch
+class GraphQLClient {
+  constructor({ timeoutMs = 15000, userAgent = null } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.userAgent = userAgent;
+  }
+
+  async request(endpoint, body, headers = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          accept: 'application/json',
+          ...(this.userAgent ? { 'user-agent': this.userAgent } : {}),
+          ...headers
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+      throw new GraphQLRequestError(`GraphQL request failed: ${message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new GraphQLRequestError(`GraphQL endpoint rejected the request (${response.status})`, {
+        status: response.status,
+        needsAuth: true
+      });
+    }
+    if (!response.ok) {
+      throw new GraphQLRequestError(`GraphQL endpoint returned ${response.status}`, { status: response.status });
+    }
+
+    const payload = await response.json();
+    if (payload.errors && payload.errors.length > 0 && !payload.data) {
+      const message = payload.errors.map(error => error.message).join('; ');
+      throw new GraphQLRequestError(`GraphQL errors: ${message}`, {
+        status: response.status,
+        needsAuth: /token|unauthori[sz]ed|forbidden|authenticat/i.test(message)
+      });
+    }
+    return payload;
+  }
+}
+
+// Replace every variable equal to the captured station or line with a placeholder
+function templatize(value, station) {
+  if (typeof value === 'string') {
+    const upper = value.trim().toUpperCase();
+    if (upper === station.name.toUpperCase()) return STATION_PLACEHOLDER;
+    if (station.line && upper === station.line.toUpperCase()) return LINE_PLACEHOLDER;
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => templatize(item, station));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, templatize(item, station)]));
+  }
+  return value;
+}
+
+function fillTemplate(value, station) {
+  if (value === STATION_PLACEHOLDER) return station.name;
+  if (value === LINE_PLACEHOLDER) return station.line;
+  if (Array.isArray(value)) {
+    return value.map(item => fillTemplate(item, station));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillTemplate(item, station)]));
+  }
+  return value;
+}
+
+function hasPlaceholder(value) {
+  return JSON.stringify(value).includes(STATION_PLACEHOLDER);
+}
+
+// The replayable parts of an intercepted POST, or null when it isn't a GraphQL query
+function parseRequest({ url, postData, headers = {} }) {
+  let body;
+  try {
+    body = JSON.parse(postData);
+  } catch (error) {
+    return null;
+  }
+  if (!body || typeof body.query !== 'string') {
+    return null;
+  }
+  return {
+    endpoint: url,
+    operationName: body.operationName || null,
+    query: body.query,
+    variables: body.variables || {},
+    headers: Object.fromEntries(
+      Object.entries(headers).filter(([name]) => REPLAY_HEADERS.includes(name.toLowerCase()))
+    ),
+    capturedAt: new Date().toISOString()
+  };
+}
+
+function requestFor(template, variables) {
+  const body = { query: template.query, variables };
+  if (template.operationName) {
+    body.operationName = template.operationName;
+  }
+  return { endpoint: template.endpoint, headers: template.headers || {}, body };
+}
+
+/**
+ * Departure queries captured from browser sessions, replayable over HTTP.
+ *
+ * A query whose variables contain the station name is stored once per mode
+ * with `{{station}}`/`{{line}}` placeholders and reused for every station.
+ * Otherwise (e.g. the site sends an internal stop code) it is only reused for
+ * the station it was captured from. Templates are persisted to `file` so a
+ * restart can go straight to direct fetches.
+ *
+ * The page's system status query (service advisories) is kept per mode
+ * alongside them and replayed as captured.
+ */
+class QueryTemplateStore {
+  constructor(file = null) {
+    this.file = file;
+    this.templates = {};
+    this.load();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      this.templates = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      logger.info(`Loaded GraphQL query templates from ${this.file}`);
+    } catch (error) {
+      logger.error(`Failed to read GraphQL query templates from ${this.file}`, { error: error.message });
+    }
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.templates, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save GraphQL query templates to ${this.file}`, { error: error.message });
+    }
+  }
+
+  // Record the POST that produced a departure board in the browser
+  capture(mode, station, request) {
+    const parsed = parseRequest(request);
+    if (!parsed) {
+      return null;
+    }
+
+    const template = { ...parsed, variables: templatize(parsed.variables, station), capturedFrom: station.id };
+    const key = hasPlaceholder(template.variables) ? '*' : station.id;
+    this.templates[mode] = { ...this.templates[mode], [key]: template };
+    this.save();
+    return template;
+  }
+
+  // Record the POST that returned the page's system status
+  captureStatus(mode, request) {
+    const template = parseRequest(request);
+    if (!template) {
+      return null;
+    }
+    const previous = (this.templates[mode] || {})[STATUS_KEY];
+    this.templates[mode] = { ...this.templates[mode], [STATUS_KEY]: template };
+    // The page sends it on every load; only write when it changed
+    if (!previous || previous.query !== template.query || previous.endpoint !== template.endpoint) {
+      this.save();
+    }
+    return template;
+  }
+
+  // Build the request body for a station, or null when nothing usable was captured
+  build(mode, station) {
+    const templates = this.templates[mode] || {};
+    const template = templates[station.id] || templates['*'];
+    if (!template) {
+      return null;
+    }
+    return requestFor(template, fillTemplate(template.variables, station));
+  }
+
+  // The captured system status request, or null
+  buildStatus(mode) {
+    const template = (this.templates[mode] || {})[STATUS_KEY];
+    return template ? requestFor(template, template.variables) : null;
+  }
+}
+
+module.exports = {
+  GraphQLClient,
+  GraphQLRequestError,
+  QueryTemplateStore
+};
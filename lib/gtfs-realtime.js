@@ -0,0 +1,261 @@
+const { transit_realtime: GtfsRealtime } = require('gtfs-realtime-bindings');
+const { alertAffects } = require('./alerts');
+const { slugify } = require('./stations');
+const { dateKey, formatClock, zonedParts } = require('./time');
+
+const { FeedMessage } = GtfsRealtime;
+const { ScheduleRelationship } = GtfsRealtime.TripDescriptor;
+const { Cause, Effect, SeverityLevel } = GtfsRealtime.Alert;
+
+// Scraped modes in the feed and the GTFS route_id their departures run on
+const ROUTE_IDS = { 'light-rail': 'HBLR' };
+const DIRECTION_IDS = { northbound: 0, southbound: 1 };
+const FERRY_TRIPS_PER_ROUTE = 10;
+
+const SEVERITY_LEVELS = {
+  info: SeverityLevel.INFO,
+  minor: SeverityLevel.WARNING,
+  major: SeverityLevel.WARNING,
+  severe: SeverityLevel.SEVERE
+};
+
+// Advisory wording -> GTFS-RT effect, first match wins
+const EFFECT_WORDS = [
+  [Effect.NO_SERVICE, /suspend|cancel|no (light rail |train |bus )?service|not running/i],
+  [Effect.ACCESSIBILITY_ISSUE, /elevator|escalator|ramp|accessib/i],
+  [Effect.DETOUR, /detour|shuttle|bus(es)? (replace|substitut)/i],
+  [Effect.SIGNIFICANT_DELAYS, /delay/i],
+  [Effect.REDUCED_SERVICE, /single[- ]track|reduced|less frequent/i],
+  [Effect.STOP_MOVED, /relocat|moved to/i]
+];
+
+const CAUSE_WORDS = [
+  [Cause.TECHNICAL_PROBLEM, /disabled (train|vehicle)|signal|mechanical|power/i],
+  [Cause.MAINTENANCE, /maintenance|track work|single[- ]track/i],
+  [Cause.CONSTRUCTION, /construction/i],
+  [Cause.WEATHER, /weather|snow|storm|flood/i],
+  [Cause.POLICE_ACTIVITY, /police/i],
+  [Cause.MEDICAL_EMERGENCY, /medical/i]
+];
+
+const routeIdFor = (scraper, station) => station.gtfsRouteId || ROUTE_IDS[scraper.mode];
+const seconds = date => Math.floor(date.getTime() / 1000);
+const text = value => ({ translation: [{ text: value, language: 'en' }] });
+
+function matchWords(table, message, fallback) {
+  const match = table.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : fallback;
+}
+
+// "HH:MM:SS" after the service day's midnight, e.g. "24:15:00" for a trip after midnight
+function serviceTime(date, serviceDay) {
+  const parts = zonedParts(date);
+  const dayOffset = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day) - Date.UTC(serviceDay.year, serviceDay.month - 1, serviceDay.day)) / 86400000);
+  return [parts.hour + dayOffset * 24, parts.minute, parts.second].map(value => String(value).padStart(2, '0')).join(':');
+}
+
+/**
+ * A GTFS-Realtime feed (https://gtfs.org/realtime/) built from what the
+ * service already knows:
+ *
+ *   trip updates  one TripUpdate per train on each fresh light rail board,
+ *                 with a single StopTimeUpdate for the monitored station,
+ *                 and per upcoming ferry trip from the FerryScheduler
+ *   alerts        the light rail service alerts, with active periods and the
+ *                 route and configured stops they concern
+ *
+ * DepartureVision has no GTFS trip ids, so scraped trains get synthetic ones
+ * ("light-rail:essex-street:20250802:2327:tonnelle-avenue") and carry their
+ * route, direction and start date for matching against the static feed.
+ * Stops use a station's `gtfsStopId` when configured, otherwise its id.
+ * Ferry trips imported from a GTFS feed keep their own trip, route and stop
+ * ids. `now` can be injected for tests.
+ */
+class GtfsRealtimeFeed {
+  constructor({ registry, ferryScheduler = null, now = () => new Date() }) {
+    this.registry = registry;
+    this.ferryScheduler = ferryScheduler;
+    this.now = now;
+  }
+
+  // Feed scrapers, i.e. the enabled modes with a GTFS route
+  scrapers() {
+    return this.registry.list().filter(scraper => ROUTE_IDS[scraper.mode]);
+  }
+
+  header(now) {
+    return {
+      gtfsRealtimeVersion: '2.0',
+      incrementality: GtfsRealtime.FeedHeader.Incrementality.FULL_DATASET,
+      timestamp: seconds(now)
+    };
+  }
+
+  // FeedMessage with every scraped departure and ferry prediction
+  tripUpdates(now = this.now()) {
+    const entities = [];
+    for (const scraper of this.scrapers()) {
+      for (const station of scraper.stations) {
+        entities.push(...this.boardTripUpdates(scraper, station));
+      }
+    }
+    if (this.ferryScheduler) {
+      for (const route of this.ferryScheduler.listRoutes()) {
+        entities.push(...this.ferryTripUpdates(route.id, now));
+      }
+    }
+    return FeedMessage.fromObject({ header: this.header(now), entity: entities });
+  }
+
+  // FeedMessage with the service alerts of every feed mode
+  alerts(now = this.now()) {
+    const entities = [];
+    for (const scraper of this.scrapers()) {
+      entities.push(...this.alertEntities(scraper));
+    }
+    return FeedMessage.fromObject({ header: this.header(now), entity: entities });
+  }
+
+  boardTripUpdates(scraper, station) {
+    const data = scraper.getCachedData(station.id);
+    // Stale boards are left out rather than passed off as realtime
+    if (!data || data.stale) {
+      return [];
+    }
+    const routeId = routeIdFor(scraper, station);
+    const stopId = station.gtfsStopId || station.id;
+    const timestamp = seconds(new Date(data.lastUpdated));
+
+    const entities = [];
+    for (const direction of scraper.directions) {
+      for (const train of data[direction]) {
+        // The board's normalized model (see lib/departure-model.js)
+        if (!train.estimatedAt) continue;
+        const estimatedAt = new Date(train.estimatedAt);
+        const startedAt = train.scheduledAt ? new Date(train.scheduledAt) : estimatedAt;
+        const day = zonedParts(startedAt);
+        const tripId = [scraper.mode, station.id, dateKey(day), formatClock(startedAt).replace(':', ''), slugify(train.destination || 'unknown')].join(':');
+        const cancelled = train.departureStatus === 'cancelled';
+
+        const trip = {
+          tripId,
+          routeId,
+          startDate: dateKey(day),
+          scheduleRelationship: cancelled ? ScheduleRelationship.CANCELED : ScheduleRelationship.SCHEDULED
+        };
+        if (DIRECTION_IDS[direction] !== undefined) {
+          trip.directionId = DIRECTION_IDS[direction];
+        }
+
+        const departure = { time: seconds(estimatedAt) };
+        if (train.scheduledAt) {
+          departure.delay = Math.round((estimatedAt - startedAt) / 1000);
+        }
+        entities.push({
+          id: tripId,
+          tripUpdate: {
+            trip,
+            stopTimeUpdate: cancelled ? [] : [{ stopId, departure }],
+            timestamp
+          }
+        });
+      }
+    }
+    return entities;
+  }
+
+  // Ferry predictions are the timetable, so they carry times but no delay
+  ferryTripUpdates(routeId, now) {
+    const route = this.ferryScheduler.getRoute(routeId);
+    return this.ferryScheduler.getUpcomingTrips(route.id, now)
+      .slice(0, FERRY_TRIPS_PER_ROUTE)
+      .map(trip => {
+        const gtfs = trip.gtfs || {};
+        const [year, month, day] = trip.serviceDate.split('-').map(Number);
+        const serviceDay = { year, month, day };
+        const tripId = gtfs.tripId || `ferry:${route.id}:${dateKey(serviceDay)}:${serviceTime(trip.departureAt, serviceDay).slice(0, 5).replace(':', '')}`;
+
+        const stopTimeUpdate = [{
+          stopId: gtfs.originStopId || slugify(route.origin || `${route.id} origin`),
+          departure: { time: seconds(trip.departureAt) }
+        }];
+        if (trip.arrivalAt) {
+          stopTimeUpdate.push({
+            stopId: gtfs.destinationStopId || slugify(route.destination || `${route.id} destination`),
+            arrival: { time: seconds(trip.arrivalAt) }
+          });
+        }
+
+        return {
+          id: tripId,
+          tripUpdate: {
+            trip: {
+              tripId,
+              routeId: gtfs.routeId || route.id,
+              startDate: dateKey(serviceDay),
+              startTime: serviceTime(trip.departureAt, serviceDay),
+              scheduleRelationship: ScheduleRelationship.SCHEDULED
+            },
+            stopTimeUpdate,
+            timestamp: seconds(now)
+          }
+        };
+      });
+  }
+
+  // Alerts on the mode's line: the configured stops they name, or else the whole route
+  alertEntities(scraper) {
+    return scraper.alerts
+      .map(alert => {
+        const onRoute = scraper.stations.filter(station =>
+          alertAffects(alert, { lines: scraper.linesFor(station), stationName: null }));
+        const named = alert.stations.length === 0 ? [] : onRoute.filter(station =>
+          alertAffects(alert, { lines: scraper.linesFor(station), stationName: station.name }));
+        const informedEntity = named.length > 0
+          ? named.map(station => ({ routeId: routeIdFor(scraper, station), stopId: station.gtfsStopId || station.id }))
+          : Array.from(new Set(onRoute.map(station => routeIdFor(scraper, station)))).map(routeId => ({ routeId }));
+        return { alert, informedEntity };
+      })
+      .filter(({ informedEntity }) => informedEntity.length > 0)
+      .map(({ alert, informedEntity }) => {
+        const wording = `${alert.title || ''} ${alert.message}`;
+        const entity = {
+          id: `${scraper.mode}:${alert.id}`,
+          alert: {
+            informedEntity,
+            cause: matchWords(CAUSE_WORDS, wording, Cause.UNKNOWN_CAUSE),
+            effect: matchWords(EFFECT_WORDS, wording, Effect.UNKNOWN_EFFECT),
+            severityLevel: SEVERITY_LEVELS[alert.severity] || SeverityLevel.UNKNOWN_SEVERITY,
+            headerText: text(alert.title || alert.message),
+            descriptionText: text(alert.message)
+          }
+        };
+        if (alert.activeFrom || alert.activeUntil) {
+          const period = {};
+          if (alert.activeFrom) period.start = seconds(new Date(alert.activeFrom));
+          if (alert.activeUntil) period.end = seconds(new Date(alert.activeUntil));
+          entity.alert.activePeriod = [period];
+        }
+        if (alert.url) {
+          entity.alert.url = text(alert.url);
+        }
+        return entity;
+      });
+  }
+
+  // Binary protobuf for GTFS-RT consumers
+  static encode(message) {
+    return Buffer.from(FeedMessage.encode(message).finish());
+  }
+
+  // Readable JSON for debugging: enum names, numeric timestamps, empty lists kept
+  static toJSON(message) {
+    return FeedMessage.toObject(message, { enums: String, longs: Number, arrays: true });
+  }
+
+  static decode(buffer) {
+    return FeedMessage.decode(buffer);
+  }
+}
+
+module.exports = GtfsRealtimeFeed;
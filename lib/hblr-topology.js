@@ -0,0 +1,124 @@
+/**
+ * Station order of the Hudson-Bergen Light Rail, south to north.
+ *
+ * The two southern branches (Bayonne and West Side) join at Liberty State
+ * Park and continue up the shared trunk to Tonnelle Avenue. A route is one
+ * branch followed by the trunk; direction between two stations on the same
+ * route is simply which way the index moves.
+ */
+
+const BRANCHES = {
+  bayonne: [
+    { name: '8TH STREET' },
+    { name: '22ND STREET' },
+    { name: '34TH STREET' },
+    { name: '45TH STREET' },
+    { name: 'DANFORTH AVENUE', aliases: ['DANFORTH AVE'] },
+    { name: 'RICHARD STREET' }
+  ],
+  'west-side': [
+    { name: 'WEST SIDE AVENUE', aliases: ['WEST SIDE AVE', 'WEST SIDE'] },
+    { name: 'MARTIN LUTHER KING DRIVE', aliases: ['MARTIN LUTHER KING JR DRIVE', 'MLK DRIVE'] },
+    { name: 'GARFIELD AVENUE', aliases: ['GARFIELD AVE'] }
+  ]
+};
+
+const TRUNK = [
+  { name: 'LIBERTY STATE PARK' },
+  { name: 'JERSEY AVENUE', aliases: ['JERSEY AVE'] },
+  { name: 'MARIN BOULEVARD', aliases: ['MARIN BLVD'] },
+  { name: 'ESSEX STREET' },
+  { name: 'EXCHANGE PLACE' },
+  { name: 'HARBORSIDE' },
+  { name: 'HARSIMUS COVE' },
+  { name: 'NEWPORT', aliases: ['PAVONIA NEWPORT', 'PAVONIA'] },
+  { name: 'HOBOKEN TERMINAL', aliases: ['HOBOKEN'] },
+  { name: '2ND STREET', aliases: ['SECOND STREET'] },
+  { name: '9TH STREET CONGRESS STREET', aliases: ['9TH STREET CONGRESS', '9TH STREET'] },
+  { name: 'LINCOLN HARBOR' },
+  { name: 'PORT IMPERIAL' },
+  { name: 'BERGENLINE AVENUE', aliases: ['BERGENLINE AVE', 'BERGENLINE'] },
+  { name: 'TONNELLE AVENUE', aliases: ['TONNELLE AVE', 'TONNELLE'] }
+];
+
+// Each route runs south to north: branch stations, then the trunk
+const ROUTES = Object.entries(BRANCHES).map(([branch, stations]) => ({
+  branch,
+  stations: [...stations, ...TRUNK].map(station => station.name)
+}));
+
+// Every spelling we recognize, longest first so "22ND STREET" wins over "2ND STREET"
+const ALIASES = [...Object.values(BRANCHES).flat(), ...TRUNK]
+  .flatMap(station => [station.name, ...(station.aliases || [])].map(alias => ({ alias, name: station.name })))
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ alias, name }) => ({ name, pattern: new RegExp(`(^| )${alias}( |$)`) }));
+
+function normalize(text) {
+  return String(text || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+}
+
+// Map a board header or origin ("HOBOKEN TERMINAL LIGHT RAIL STATION") to its canonical station name
+function findStation(text) {
+  const normalized = normalize(text);
+  const match = ALIASES.find(({ pattern }) => pattern.test(normalized));
+  return match ? match.name : null;
+}
+
+/**
+ * Work out whether a train from `origin` heading for `destination` is
+ * northbound or southbound. Returns 'unknown' when either end is not in the
+ * model or the two are not on a common route (e.g. opposite branches).
+ */
+function classifyDirection(origin, destination) {
+  const from = findStation(origin);
+  const to = findStation(destination);
+  if (!from || !to || from === to) {
+    return 'unknown';
+  }
+
+  const route = ROUTES.find(candidate => candidate.stations.includes(from) && candidate.stations.includes(to));
+  if (!route) {
+    return 'unknown';
+  }
+
+  return route.stations.indexOf(to) > route.stations.indexOf(from) ? 'northbound' : 'southbound';
+}
+
+// Number of stops from `origin` to `destination` along a common route, or null
+function stopsBetween(origin, destination) {
+  const from = findStation(origin);
+  const to = findStation(destination);
+  if (!from || !to) {
+    return null;
+  }
+
+  const route = ROUTES.find(candidate => candidate.stations.includes(from) && candidate.stations.includes(to));
+  return route ? Math.abs(route.stations.indexOf(to) - route.stations.indexOf(from)) : null;
+}
+
+// Whether a train from `origin` bound for `terminus` calls at `stop` on the way
+function servesStation(origin, terminus, stop) {
+  const toStop = stopsBetween(origin, stop);
+  const toTerminus = stopsBetween(origin, terminus);
+  if (!toStop || !toTerminus) {
+    return false;
+  }
+  const direction = classifyDirection(origin, stop);
+  return direction !== 'unknown' &&
+    direction === classifyDirection(origin, terminus) &&
+    toStop <= toTerminus &&
+    stopsBetween(stop, terminus) !== null;
+}
+
+module.exports = {
+  BRANCHES,
+  TRUNK,
+  ROUTES,
+  classifyDirection,
+  findStation,
+  servesStation,
+  stopsBetween
+};
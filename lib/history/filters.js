@@ -0,0 +1,45 @@
+// Parse the query parameters shared by /api/history and /api/stats/reliability
+const { InvalidFilterError, parseClock } = require('../departure-filters');
+
+const DEFAULT_DAYS = 7;
+
+function parseHistoryFilters(query, { now = new Date(), defaultLimit = 100 } = {}) {
+  const filters = {
+    direction: query.direction ? String(query.direction) : null,
+    destination: query.destination ? String(query.destination).trim() || null : null,
+    clock: null,
+    days: DEFAULT_DAYS,
+    limit: defaultLimit
+  };
+
+  if (query.days !== undefined) {
+    if (!/^\d+$/.test(query.days) || parseInt(query.days) < 1) {
+      throw new InvalidFilterError('days must be a positive integer');
+    }
+    filters.days = parseInt(query.days);
+  }
+
+  if (query.limit !== undefined) {
+    if (!/^\d+$/.test(query.limit) || parseInt(query.limit) < 1) {
+      throw new InvalidFilterError('limit must be a positive integer');
+    }
+    filters.limit = parseInt(query.limit);
+  }
+
+  // ?time=7:45 picks one scheduled departure, e.g. "how late is the 7:45 usually?"
+  if (query.time !== undefined) {
+    const clock = parseClock(String(query.time).trim());
+    if (clock === null) {
+      throw new InvalidFilterError('time must be HH:MM or h:mm AM/PM');
+    }
+    // Minutes after midnight, as HistoryStore.query() compares them
+    filters.clock = clock.hour * 60 + clock.minute;
+  }
+
+  filters.since = new Date(now.getTime() - filters.days * 24 * 60 * 60 * 1000);
+  return filters;
+}
+
+module.exports = {
+  parseHistoryFilters
+};
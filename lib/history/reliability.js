@@ -0,0 +1,107 @@
+const { isoDate, zonedParts } = require('../time');
+
+// A train leaving within this many minutes of schedule counts as on time
+const ON_TIME_THRESHOLD_MINUTES = 5;
+// Longer gaps are overnight breaks in service, not headways
+const MAX_HEADWAY_MINUTES = 120;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// On-time percentage and delay figures for a set of departure records
+function summarize(records, onTimeMinutes = ON_TIME_THRESHOLD_MINUTES) {
+  const delays = records.filter(record => record.delayMinutes !== null).map(record => record.delayMinutes);
+  const onTime = delays.filter(delay => delay <= onTimeMinutes).length;
+  return {
+    trains: records.length,
+    cancelled: records.filter(record => record.cancelled).length,
+    onTimePercent: delays.length ? round((onTime / delays.length) * 100) : null,
+    averageDelayMinutes: delays.length ? round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length) : null,
+    medianDelayMinutes: median(delays),
+    maxDelayMinutes: delays.length ? Math.max(...delays) : null
+  };
+}
+
+function groupBy(records, keyOf) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return groups;
+}
+
+// Gaps between consecutive departures on the same service day, by actual (estimated) time
+function headways(records) {
+  const gaps = [];
+  let longest = null;
+  const byDay = groupBy(
+    records.filter(record => !record.cancelled && (record.estimatedAt || record.scheduledAt)),
+    record => isoDate(zonedParts(new Date(record.scheduledAt || record.estimatedAt)))
+  );
+
+  for (const dayRecords of byDay.values()) {
+    const times = dayRecords.map(record => new Date(record.estimatedAt || record.scheduledAt)).sort((a, b) => a - b);
+    for (let i = 1; i < times.length; i++) {
+      const gap = Math.round((times[i] - times[i - 1]) / 60000);
+      if (gap > MAX_HEADWAY_MINUTES) continue;
+      gaps.push(gap);
+      if (!longest || gap > longest.minutes) {
+        longest = { minutes: gap, from: times[i - 1].toISOString(), to: times[i].toISOString() };
+      }
+    }
+  }
+
+  return {
+    gaps: gaps.length,
+    averageMinutes: gaps.length ? round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) : null,
+    medianMinutes: median(gaps),
+    longest
+  };
+}
+
+/**
+ * Reliability report per mode, station and direction: overall on-time
+ * percentage and delay, the same broken down by scheduled hour and weekday
+ * (New York time), and headway gaps.
+ */
+function reliabilityReport(records, { onTimeMinutes = ON_TIME_THRESHOLD_MINUTES } = {}) {
+  const groups = groupBy(records, record => `${record.mode}|${record.stationId}|${record.direction}`);
+
+  return Array.from(groups.values()).map(groupRecords => {
+    const { mode, stationId, direction } = groupRecords[0];
+    const scheduled = groupRecords.filter(record => record.scheduledAt);
+    const partsOf = record => zonedParts(new Date(record.scheduledAt));
+
+    const byHour = Array.from(groupBy(scheduled, record => partsOf(record).hour))
+      .sort(([a], [b]) => a - b)
+      .map(([hour, hourRecords]) => ({ hour, ...summarize(hourRecords, onTimeMinutes) }));
+    const byWeekday = Array.from(groupBy(scheduled, record => partsOf(record).weekday))
+      .sort(([a], [b]) => a - b)
+      .map(([weekday, dayRecords]) => ({ weekday: WEEKDAYS[weekday], ...summarize(dayRecords, onTimeMinutes) }));
+
+    return {
+      mode,
+      stationId,
+      direction,
+      ...summarize(groupRecords, onTimeMinutes),
+      byHour,
+      byWeekday,
+      headways: headways(groupRecords)
+    };
+  });
+}
+
+module.exports = {
+  ON_TIME_THRESHOLD_MINUTES,
+  reliabilityReport,
+  summarize
+};
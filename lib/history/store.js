@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { isoDate, zonedParts } = require('../time');
+const { parseScheduledTime, resolveClockTime } = require('../departure-model');
+const { logger } = require('../logger');
+
+const DEFAULT_HISTORY_DIR = path.join(__dirname, '..', '..', 'data', 'history');
+const DEFAULT_RETENTION_DAYS = 30;
+// Boards older than this aren't restored after a restart; their trains have long gone
+const RESTORE_MAX_AGE_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Append-only departure history, one JSONL file per New York calendar day.
+ *
+ * Every successful scrape is written as a `scrape` record with the trains on
+ * the board. When a train drops off the board a `departure` record is written
+ * with its last estimated time and status, the delay against its scheduled
+ * time and when it disappeared. Departure records within the retention window
+ * are kept in memory for the history and reliability routes.
+ */
+class HistoryStore {
+  constructor(registry, { dir = DEFAULT_HISTORY_DIR, retentionDays = DEFAULT_RETENTION_DAYS, now = () => new Date() } = {}) {
+    this.registry = registry;
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this.now = now;
+    this.departures = [];
+    // Trains currently on each board: "mode/stationId" -> Map(key -> train)
+    this.active = new Map();
+    this.lastRecorded = new Map();
+    this.pruneTimer = null;
+
+    for (const scraper of registry.list()) {
+      scraper.on('status', ({ mode, stationId, status, lastUpdated }) => {
+        if (status === 'success') {
+          this.recordScrape(mode, stationId, lastUpdated);
+        }
+      });
+    }
+  }
+
+  static fromEnv(registry, env = process.env) {
+    if (env.HISTORY_ENABLED === 'false') {
+      return null;
+    }
+    return new HistoryStore(registry, {
+      dir: env.HISTORY_DIR || DEFAULT_HISTORY_DIR,
+      retentionDays: parseInt(env.HISTORY_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+    });
+  }
+
+  start() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.prune();
+    this.load();
+    this.pruneTimer = setInterval(() => this.prune(), 6 * 60 * 60 * 1000);
+    logger.info(`📚 Recording departure history in ${this.dir} (${this.departures.length} departures loaded)`);
+  }
+
+  stop() {
+    clearInterval(this.pruneTimer);
+  }
+
+  fileFor(date) {
+    return path.join(this.dir, `${isoDate(zonedParts(date))}.jsonl`);
+  }
+
+  append(record) {
+    try {
+      fs.appendFileSync(this.fileFor(new Date(record.at)), JSON.stringify(record) + '\n');
+    } catch (error) {
+      logger.error(`Failed to write departure history to ${this.dir}`, { error: error.message });
+    }
+  }
+
+  // Daily files, oldest first
+  files() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    return fs.readdirSync(this.dir)
+      .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+      .sort()
+      .map(name => path.join(this.dir, name));
+  }
+
+  *readRecords(file) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // A torn final line from a crash mid-write
+      }
+    }
+  }
+
+  // Reload departures, and the boards of recent scrapes so trains already on them aren't double-counted
+  load() {
+    const now = this.now();
+    const lastBoards = new Map();
+
+    for (const file of this.files()) {
+      for (const record of this.readRecords(file)) {
+        if (record.type === 'departure') {
+          this.departures.push(record);
+        } else if (record.type === 'scrape') {
+          lastBoards.set(`${record.mode}/${record.stationId}`, record);
+        }
+      }
+    }
+
+    for (const [boardKey, record] of lastBoards) {
+      if (now - new Date(record.at) > RESTORE_MAX_AGE_MS) continue;
+      this.active.set(boardKey, new Map(record.trains.map(train => [this.trainKey(train), train])));
+      this.lastRecorded.set(boardKey, record.at);
+    }
+  }
+
+  // Drop files, and in-memory departures, older than the retention window
+  prune() {
+    const cutoff = new Date(this.now().getTime() - this.retentionDays * DAY_MS);
+    const cutoffFile = this.fileFor(cutoff);
+    for (const file of this.files()) {
+      if (file < cutoffFile) {
+        fs.unlinkSync(file);
+      }
+    }
+    this.departures = this.departures.filter(record => new Date(record.disappearedAt) >= cutoff);
+  }
+
+  trainKey(train) {
+    return [train.direction, train.destination, train.scheduledTime || train.time].join('|');
+  }
+
+  recordScrape(mode, stationId, lastUpdated) {
+    const boardKey = `${mode}/${stationId}`;
+    if (this.lastRecorded.get(boardKey) === lastUpdated) {
+      return;
+    }
+    this.lastRecorded.set(boardKey, lastUpdated);
+
+    const scraper = this.registry.get(mode);
+    const board = scraper.lastData[stationId];
+    const previous = this.active.get(boardKey) || new Map();
+    const current = new Map();
+
+    for (const direction of scraper.directions) {
+      for (const departure of board[direction]) {
+        const train = { direction, ...departure };
+        const key = this.trainKey(train);
+        const seen = previous.get(key);
+        current.set(key, { ...train, firstSeenAt: seen ? seen.firstSeenAt : lastUpdated, lastSeenAt: lastUpdated });
+      }
+    }
+
+    this.append({ type: 'scrape', at: lastUpdated, mode, stationId, trains: Array.from(current.values()) });
+
+    for (const [key, train] of previous) {
+      if (!current.has(key)) {
+        this.recordDeparture(mode, stationId, train, lastUpdated);
+      }
+    }
+    this.active.set(boardKey, current);
+  }
+
+  recordDeparture(mode, stationId, train, disappearedAt) {
+    const { direction, firstSeenAt, lastSeenAt, ...departure } = train;
+    const scheduledAt = parseScheduledTime(train.scheduledTime);
+    const estimatedAt = resolveClockTime(train.time, scheduledAt || new Date(lastSeenAt));
+    const cancelled = /cancel/i.test(train.status || '');
+
+    const record = {
+      type: 'departure',
+      at: disappearedAt,
+      mode,
+      stationId,
+      direction,
+      ...departure,
+      scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+      estimatedAt: estimatedAt ? estimatedAt.toISOString() : null,
+      delayMinutes: scheduledAt && estimatedAt && !cancelled ? Math.round((estimatedAt - scheduledAt) / 60000) : null,
+      cancelled,
+      firstSeenAt,
+      lastSeenAt,
+      disappearedAt
+    };
+    this.departures.push(record);
+    this.append(record);
+  }
+
+  // Departure records matching a query, oldest first
+  query({ mode = null, stationId = null, direction = null, destination = null, clock = null, since = null } = {}) {
+    const needle = destination ? destination.toUpperCase() : null;
+    return this.departures.filter(record =>
+      (!mode || record.mode === mode) &&
+      (!stationId || record.stationId === stationId) &&
+      (!direction || record.direction === direction) &&
+      (!needle || (record.destination || '').toUpperCase().includes(needle)) &&
+      (!since || new Date(record.scheduledAt || record.disappearedAt) >= since) &&
+      (clock === null || (record.scheduledAt && clockMinutes(new Date(record.scheduledAt)) === clock))
+    );
+  }
+}
+
+// Minutes after midnight, New York time
+function clockMinutes(date) {
+  const { hour, minute } = zonedParts(date);
+  return hour * 60 + minute;
+}
+
+module.exports = {
+  HistoryStore,
+  clockMinutes
+};
@@ -0,0 +1,151 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'pretty'];
+
+// Correlation fields (requestId, scrapeId, ...) for everything logged inside withLogContext()
+const context = new AsyncLocalStorage();
+
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function logContext() {
+  return context.getStore() || {};
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.stage ? { stage: error.stage } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+// Log fields from the optional second argument: an object's keys, an Error under `error`, anything else under `data`
+function fieldsFrom(data) {
+  if (data === undefined || data === null) {
+    return {};
+  }
+  if (data instanceof Error) {
+    return { error: serializeError(data) };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { data };
+  }
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+}
+
+/**
+ * Leveled logger writing one JSON object per line (or readable lines with
+ * LOG_FORMAT=pretty):
+ *
+ *   {"time":"...","level":"info","msg":"Scrape completed","mode":"rail","scrapeId":"3f9c2a1b",...}
+ *
+ * `child()` adds fixed fields such as the mode; fields set with
+ * withLogContext() follow the async call chain, so every line logged while a
+ * request or a station scrape is running carries its correlation ID.
+ * Warnings and errors go to stderr.
+ */
+class Logger {
+  constructor({ level = 'info', format = 'json' } = {}, fields = {}, settings = null) {
+    // Shared with child loggers, so configure() on the root applies everywhere
+    this.settings = settings || {};
+    this.fields = fields;
+    if (!settings) {
+      this.configure({ level, format });
+    }
+  }
+
+  configure({ level = this.settings.level, format = this.settings.format }) {
+    if (!LEVELS[level]) {
+      throw new Error(`Invalid log level "${level}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid log format "${format}", expected one of: ${FORMATS.join(', ')}`);
+    }
+    this.settings.level = level;
+    this.settings.format = format;
+  }
+
+  child(fields) {
+    return new Logger({}, { ...this.fields, ...fields }, this.settings);
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.settings.level];
+  }
+
+  log(level, message, data) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.fields,
+      ...logContext(),
+      ...fieldsFrom(data)
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(this.format(entry) + '\n');
+  }
+
+  format(entry) {
+    if (this.settings.format === 'json') {
+      return safeStringify(entry);
+    }
+    const { time, level, msg, mode, ...rest } = entry;
+    const prefix = mode ? `[${mode}] ` : '';
+    const extra = Object.keys(rest).length > 0 ? ` ${safeStringify(rest)}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${prefix}${msg}${extra}`;
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+}
+
+// JSON.stringify that survives circular references and BigInts
+function safeStringify(value) {
+  const seen = new WeakSet();
+  return JSON.stringify(value, (key, item) => {
+    if (typeof item === 'bigint') {
+      return item.toString();
+    }
+    if (item && typeof item === 'object') {
+      if (seen.has(item)) {
+        return '[Circular]';
+      }
+      seen.add(item);
+    }
+    return item;
+  });
+}
+
+// Shared root logger; server.js applies the `logging` runtime settings (LOG_LEVEL, LOG_FORMAT)
+const logger = new Logger();
+
+module.exports = {
+  LEVELS,
+  FORMATS,
+  Logger,
+  logContext,
+  logger,
+  withLogContext
+};
@@ -0,0 +1,154 @@
+const client = require('prom-client');
+
+// Browser scrapes take tens of seconds, direct fetches well under one
+const DURATION_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120];
+
+/**
+ * Prometheus metrics for scraper health, served from GET /metrics.
+ *
+ * Scrape durations and outcomes are recorded from each scraper's 'status'
+ * events as they happen. Data age, departures on the board, fetch sources and
+ * browser usage are read from the registry whenever Prometheus scrapes us.
+ */
+class MetricsCollector {
+  constructor(registry) {
+    this.registry = registry;
+    this.prometheus = new client.Registry();
+    client.collectDefaultMetrics({ register: this.prometheus, prefix: 'transit_scrapers_' });
+
+    this.scrapeDuration = new client.Histogram({
+      name: 'transit_scrape_duration_seconds',
+      help: 'Time taken to scrape one station',
+      labelNames: ['mode', 'station', 'result'],
+      buckets: DURATION_BUCKETS,
+      registers: [this.prometheus]
+    });
+
+    this.scrapes = new client.Counter({
+      name: 'transit_scrapes_total',
+      help: 'Station scrapes by result (success, no_data, error) and failure stage',
+      labelNames: ['mode', 'station', 'result', 'stage'],
+      registers: [this.prometheus]
+    });
+
+    this.dataAge = new client.Gauge({
+      name: 'transit_data_age_seconds',
+      help: 'Seconds since a station board was last successfully scraped',
+      labelNames: ['mode', 'station'],
+      registers: [this.prometheus],
+      collect: () => this.collectBoards(this.dataAge, (board, now) => (now - new Date(board.lastUpdated)) / 1000)
+    });
+
+    this.departures = new client.Gauge({
+      name: 'transit_departures',
+      help: 'Departures currently on a station board',
+      labelNames: ['mode', 'station', 'direction'],
+      registers: [this.prometheus],
+      collect: () => this.collectBoards(this.departures, (board, now, direction) => board[direction].length)
+    });
+
+    this.fetches = new client.Counter({
+      name: 'transit_fetches_total',
+      help: 'Scrapes served directly over GraphQL or through the browser, and direct-to-browser fallbacks',
+      labelNames: ['mode', 'source'],
+      registers: [this.prometheus],
+      collect: () => this.collectFetches()
+    });
+
+    this.selectorRank = new client.Gauge({
+      name: 'transit_selector_locator_rank',
+      help: 'Locator that found each DepartureVision form element on the latest scrape: 0 preferred, higher a fallback, -1 not found',
+      labelNames: ['mode', 'step'],
+      registers: [this.prometheus],
+      collect: () => this.collectSelectors()
+    });
+
+    this.browserUp = new client.Gauge({
+      name: 'transit_browser_up',
+      help: 'Whether the shared headless browser is running',
+      registers: [this.prometheus],
+      collect: () => this.collectBrowser()
+    });
+
+    this.browserPages = new client.Gauge({
+      name: 'transit_browser_pages',
+      help: 'Pages open in the shared headless browser',
+      registers: [this.prometheus]
+    });
+
+    this.browserMemory = new client.Gauge({
+      name: 'transit_browser_memory_bytes',
+      help: 'Resident memory of the headless browser and its child processes',
+      registers: [this.prometheus]
+    });
+
+    for (const scraper of registry.list()) {
+      scraper.on('status', ({ mode, stationId, status, failureStage, durationMs }) => {
+        this.scrapes.inc({ mode, station: stationId, result: status, stage: failureStage || '' });
+        if (durationMs !== undefined) {
+          this.scrapeDuration.observe({ mode, station: stationId, result: status }, durationMs / 1000);
+        }
+      });
+    }
+  }
+
+  // Set a per-station gauge (per direction when it has a direction label) from every scraped board
+  collectBoards(gauge, valueOf) {
+    gauge.reset();
+    const now = Date.now();
+    const perDirection = gauge.labelNames.includes('direction');
+
+    for (const scraper of this.registry.list()) {
+      for (const [stationId, board] of Object.entries(scraper.lastData)) {
+        if (!board.lastUpdated) continue;
+        const labels = { mode: scraper.mode, station: stationId };
+        if (!perDirection) {
+          gauge.set(labels, valueOf(board, now));
+          continue;
+        }
+        for (const direction of scraper.directions) {
+          gauge.set({ ...labels, direction }, valueOf(board, now, direction));
+        }
+      }
+    }
+  }
+
+  collectFetches() {
+    this.fetches.reset();
+    for (const scraper of this.registry.list()) {
+      if (!scraper.fetchStats) continue;
+      const { direct, browser, fallbacks } = scraper.fetchStats;
+      this.fetches.inc({ mode: scraper.mode, source: 'direct' }, direct);
+      this.fetches.inc({ mode: scraper.mode, source: 'browser' }, browser);
+      this.fetches.inc({ mode: scraper.mode, source: 'fallback' }, fallbacks);
+    }
+  }
+
+  collectSelectors() {
+    this.selectorRank.reset();
+    for (const scraper of this.registry.list()) {
+      if (!scraper.locatorReport) continue;
+      for (const [step, { rank }] of Object.entries(scraper.locatorReport.steps)) {
+        this.selectorRank.set({ mode: scraper.mode, step }, rank);
+      }
+    }
+  }
+
+  async collectBrowser() {
+    const { connected, pages, memoryBytes } = await this.registry.browserStats();
+    this.browserUp.set(connected ? 1 : 0);
+    this.browserPages.set(pages);
+    // 0 while the browser isn't running or memory can't be read (non-Linux hosts)
+    this.browserMemory.set(memoryBytes || 0);
+  }
+
+  get contentType() {
+    return this.prometheus.contentType;
+  }
+
+  metrics() {
+    return this.prometheus.metrics();
+  }
+}
+
+module.exports = MetricsCollector;
@@ -0,0 +1,287 @@
+const mqtt = require('mqtt');
+const { nextDepartureSummary } = require('./departure-summary');
+const { logger } = require('./logger');
+
+const PUBLISH_INTERVAL_MS = 60 * 1000;
+// Departures published per direction; HA attributes have a size limit
+const MQTT_DEPARTURE_LIMIT = 5;
+// How long stop() waits for the broker to acknowledge the offline message
+const OFFLINE_PUBLISH_TIMEOUT_MS = 2000;
+
+function titleCase(text) {
+  return text.replace(/(^|[-\s])(\w)/g, (_, separator, letter) => `${separator === '-' ? ' ' : separator}${letter.toUpperCase()}`);
+}
+
+/**
+ * Publishes departures, the next ferry and scraper health to MQTT, plus
+ * Home Assistant MQTT discovery configs so the sensors appear on their own.
+ *
+ * Topics (all retained, under `baseTopic`):
+ *   <base>/status                              online/offline (last will)
+ *   <base>/<mode>/<station>/<direction>        next departures in one direction
+ *   <base>/<mode>/<station>/health             last scrape result
+ *   <base>/ferry/next                          FerryScheduler.getNextDeparture()
+ */
+class MqttPublisher {
+  constructor({
+    url,
+    username = null,
+    password = null,
+    clientId = null,
+    baseTopic = 'transit-scrapers',
+    discoveryPrefix = 'homeassistant',
+    discovery = true,
+    registry,
+    ferryScheduler = null
+  }) {
+    this.url = url;
+    this.options = {
+      username: username || undefined,
+      password: password || undefined,
+      clientId: clientId || `transit-scrapers-${Math.random().toString(16).slice(2, 10)}`
+    };
+    this.baseTopic = baseTopic.replace(/\/+$/, '');
+    this.discoveryPrefix = discoveryPrefix;
+    this.discovery = discovery;
+    this.registry = registry;
+    this.ferryScheduler = ferryScheduler;
+    this.client = null;
+    this.publishTimer = null;
+    this.listeners = [];
+  }
+
+  get availabilityTopic() {
+    return `${this.baseTopic}/status`;
+  }
+
+  stationTopic(mode, stationId) {
+    return `${this.baseTopic}/${mode}/${stationId}`;
+  }
+
+  start() {
+    logger.info(`Connecting to MQTT broker at ${this.url}...`);
+    this.client = mqtt.connect(this.url, {
+      ...this.options,
+      will: { topic: this.availabilityTopic, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => {
+      logger.info('📨 Connected to MQTT broker');
+      this.publish(this.availabilityTopic, 'online');
+      if (this.discovery) {
+        this.publishDiscovery();
+      }
+      this.publishAll();
+    });
+    this.client.on('error', error => {
+      logger.error('MQTT error', { error: error.message });
+    });
+
+    for (const scraper of this.registry.list()) {
+      const onDepartures = ({ mode, stationId }) => this.publishStation(mode, stationId);
+      const onStatus = ({ mode, stationId }) => this.publishHealth(mode, stationId);
+      // Stations changed through the runtime config get their sensors straight away
+      const onStations = () => {
+        if (this.discovery) {
+          this.publishDiscovery();
+        }
+        this.publishAll();
+      };
+      scraper.on('departures', onDepartures);
+      scraper.on('status', onStatus);
+      scraper.on('stations', onStations);
+      this.listeners.push([scraper, onDepartures, onStatus, onStations]);
+    }
+
+    // Countdowns and the ferry move on even when no scrape happens
+    this.publishTimer = setInterval(() => this.publishAll(), PUBLISH_INTERVAL_MS);
+  }
+
+  async stop() {
+    clearInterval(this.publishTimer);
+    for (const [scraper, onDepartures, onStatus, onStations] of this.listeners) {
+      scraper.off('departures', onDepartures);
+      scraper.off('status', onStatus);
+      scraper.off('stations', onStations);
+    }
+    this.listeners = [];
+    if (this.client) {
+      // A disconnected client never gets the acknowledgement, so don't hold up shutdown for it;
+      // the broker publishes the last will instead
+      if (this.client.connected) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, OFFLINE_PUBLISH_TIMEOUT_MS);
+          this.client.publish(this.availabilityTopic, 'offline', { retain: true, qos: 1 }, () => {
+            clearTimeout(timer);
+            resolve();
+          });
+        });
+      }
+      await new Promise(resolve => this.client.end(true, {}, resolve));
+    }
+  }
+
+  publish(topic, payload) {
+    if (!this.client || !this.client.connected) {
+      return;
+    }
+    const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    this.client.publish(topic, message, { retain: true }, error => {
+      if (error) {
+        logger.error(`MQTT publish to ${topic} failed`, { error: error.message });
+      }
+    });
+  }
+
+  publishAll() {
+    for (const scraper of this.registry.list()) {
+      for (const station of scraper.stations) {
+        this.publishStation(scraper.mode, station.id);
+        this.publishHealth(scraper.mode, station.id);
+      }
+    }
+    this.publishFerry();
+  }
+
+  publishStation(mode, stationId) {
+    const scraper = this.registry.get(mode);
+    const data = scraper.getCachedData(stationId, { limit: MQTT_DEPARTURE_LIMIT });
+
+    for (const direction of scraper.directions) {
+      const summary = nextDepartureSummary(data, direction, scraper.countdown);
+      this.publish(`${this.stationTopic(mode, stationId)}/${direction}`, {
+        ...summary,
+        departureTime: summary.estimatedAt
+      });
+    }
+  }
+
+  publishHealth(mode, stationId) {
+    const scraper = this.registry.get(mode);
+    const { status, lastUpdated, error = null } = scraper.lastData[stationId];
+    const { stale, dataAgeSeconds } = scraper.dataAge(stationId);
+    this.publish(`${this.stationTopic(mode, stationId)}/health`, {
+      status,
+      lastUpdated,
+      error,
+      stale,
+      dataAgeSeconds,
+      problem: (status !== 'success' && status !== 'initializing') || (stale && lastUpdated !== null)
+    });
+  }
+
+  publishFerry() {
+    if (!this.ferryScheduler) {
+      return;
+    }
+    const ferry = this.ferryScheduler.getNextDeparture();
+    this.publish(`${this.baseTopic}/ferry/next`, { ...ferry, departureTime: ferry.nextDepartureAt });
+  }
+
+  // Home Assistant MQTT discovery: one device per station, one for the ferry
+  publishDiscovery() {
+    for (const scraper of this.registry.list()) {
+      for (const station of scraper.stations) {
+        const topic = this.stationTopic(scraper.mode, station.id);
+        const nodeId = `${scraper.mode}_${station.id}`.replace(/-/g, '_');
+        const device = {
+          identifiers: [`transit_scrapers_${nodeId}`],
+          name: `${scraper.name} ${titleCase(station.id)}`,
+          manufacturer: 'NJ Transit',
+          model: scraper.name
+        };
+
+        for (const direction of scraper.directions) {
+          const label = titleCase(direction);
+          this.publishSensor('sensor', nodeId, direction, {
+            name: label,
+            device,
+            state_topic: `${topic}/${direction}`,
+            value_template: '{{ value_json.status }}',
+            json_attributes_topic: `${topic}/${direction}`,
+            icon: scraper.mode === 'bus' ? 'mdi:bus' : 'mdi:train'
+          });
+          this.publishSensor('sensor', nodeId, `${direction}_departure`, {
+            name: `${label} departure`,
+            device,
+            device_class: 'timestamp',
+            state_topic: `${topic}/${direction}`,
+            value_template: '{{ value_json.departureTime or None }}'
+          });
+          this.publishSensor('sensor', nodeId, `${direction}_minutes`, {
+            name: `${label} minutes`,
+            device,
+            device_class: 'duration',
+            unit_of_measurement: 'min',
+            state_topic: `${topic}/${direction}`,
+            value_template: '{{ value_json.minutesUntil if value_json.minutesUntil is not none else None }}'
+          });
+        }
+
+        this.publishSensor('binary_sensor', nodeId, 'scraper_problem', {
+          name: 'Scraper problem',
+          device,
+          device_class: 'problem',
+          entity_category: 'diagnostic',
+          state_topic: `${topic}/health`,
+          value_template: "{{ 'ON' if value_json.problem else 'OFF' }}",
+          json_attributes_topic: `${topic}/health`
+        });
+        this.publishSensor('sensor', nodeId, 'last_updated', {
+          name: 'Last updated',
+          device,
+          device_class: 'timestamp',
+          entity_category: 'diagnostic',
+          state_topic: `${topic}/health`,
+          value_template: '{{ value_json.lastUpdated or None }}'
+        });
+      }
+    }
+
+    if (this.ferryScheduler) {
+      const device = {
+        identifiers: ['transit_scrapers_ferry'],
+        name: 'Paulus Hook Ferry',
+        manufacturer: 'NY Waterway',
+        model: 'Ferry schedule'
+      };
+      const topic = `${this.baseTopic}/ferry/next`;
+
+      this.publishSensor('sensor', 'ferry', 'next', {
+        name: 'Next ferry',
+        device,
+        state_topic: topic,
+        value_template: '{{ value_json.status }}',
+        json_attributes_topic: topic,
+        icon: 'mdi:ferry'
+      });
+      this.publishSensor('sensor', 'ferry', 'departure', {
+        name: 'Next ferry departure',
+        device,
+        device_class: 'timestamp',
+        state_topic: topic,
+        value_template: '{{ value_json.departureTime or None }}'
+      });
+      this.publishSensor('sensor', 'ferry', 'minutes', {
+        name: 'Next ferry minutes',
+        device,
+        device_class: 'duration',
+        unit_of_measurement: 'min',
+        state_topic: topic,
+        value_template: '{{ value_json.minutesUntil if value_json.minutesUntil is not none else None }}'
+      });
+    }
+  }
+
+  publishSensor(component, nodeId, objectId, config) {
+    const uniqueId = `transit_scrapers_${nodeId}_${objectId}`;
+    this.publish(`${this.discoveryPrefix}/${component}/transit_scrapers_${nodeId}/${objectId}/config`, {
+      unique_id: uniqueId,
+      object_id: uniqueId,
+      availability_topic: this.availabilityTopic,
+      ...config
+    });
+  }
+}
+
+module.exports = MqttPublisher;
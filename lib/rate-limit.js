@@ -0,0 +1,98 @@
+const { logger } = require('./logger');
+
+// Forget clients after this many requests, once their bucket has refilled
+const PRUNE_EVERY = 1000;
+
+// 60000 -> "minute", 3600000 -> "hour", 900000 -> "15 minutes"
+function describeWindow(windowMs) {
+  const minutes = Math.round(windowMs / 60000);
+  if (minutes % 60 === 0) {
+    return minutes === 60 ? 'hour' : `${minutes / 60} hours`;
+  }
+  return minutes === 1 ? 'minute' : `${minutes} minutes`;
+}
+
+/**
+ * Per-client token bucket: up to `max` requests at once, refilling at
+ * `max` per `windowMs`. Clients are told how many requests they have left
+ * through RateLimit-* headers, and get a 429 with Retry-After when empty.
+ *
+ * `middleware()` keys buckets on `req.client.id` (see ApiAuth), falling back
+ * to the client IP. A `max` of 0 turns the limiter off.
+ */
+class RateLimiter {
+  constructor({ name, max, windowMs, now = () => Date.now() }) {
+    this.name = name;
+    this.max = max;
+    this.windowMs = windowMs;
+    this.now = now;
+    this.buckets = new Map();
+    this.requests = 0;
+    this.rejected = 0;
+  }
+
+  get enabled() {
+    return this.max > 0;
+  }
+
+  // Spend one token for `clientId`: { allowed, remaining, retryAfterMs }
+  take(clientId) {
+    const now = this.now();
+    const refillPerMs = this.max / this.windowMs;
+    const bucket = this.buckets.get(clientId) || { tokens: this.max, updatedAt: now };
+    bucket.tokens = Math.min(this.max, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(clientId, bucket);
+
+    if (++this.requests % PRUNE_EVERY === 0) {
+      this.prune(now);
+    }
+
+    if (bucket.tokens < 1) {
+      this.rejected++;
+      return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+  }
+
+  // Drop buckets that would be full by now; they behave the same as new ones
+  prune(now = this.now()) {
+    const refillPerMs = this.max / this.windowMs;
+    for (const [clientId, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= this.max) {
+        this.buckets.delete(clientId);
+      }
+    }
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        return next();
+      }
+      const clientId = req.client ? req.client.id : `ip:${req.ip}`;
+      const { allowed, remaining, retryAfterMs } = this.take(clientId);
+      res.set('RateLimit-Limit', String(this.max));
+      res.set('RateLimit-Remaining', String(remaining));
+      if (allowed) {
+        return next();
+      }
+
+      const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+      logger.info(`🚦 Rate limited ${this.name} request from ${clientId}`, { method: req.method, path: req.path });
+      res.set('Retry-After', String(retryAfterSeconds));
+      res.status(429).json({
+        error: 'Too many requests',
+        message: `At most ${this.max} ${this.name} requests per ${describeWindow(this.windowMs)}; retry in ${retryAfterSeconds}s`,
+        retryAfterSeconds
+      });
+    };
+  }
+
+  getStats() {
+    return { max: this.max, windowSeconds: this.windowMs / 1000, clients: this.buckets.size, rejected: this.rejected };
+  }
+}
+
+module.exports = RateLimiter;
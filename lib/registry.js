@@ -0,0 +1,331 @@
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const path = require('path');
+const { SCRAPERS } = require('./scrapers');
+const { loadStations, resolveStations } = require('./stations');
+const { QueryTemplateStore } = require('./graphql');
+const { loadSchedulePolicy } = require('./schedule-policy');
+const { RuntimeConfig } = require('./config');
+const { logger } = require('./logger');
+const { TraceStore } = require('./traces');
+
+const DEFAULT_QUERY_TEMPLATES_FILE = path.join(__dirname, '..', 'data', 'graphql-queries.json');
+
+// Delay between starting each mode's schedule so their first scrapes don't overlap
+const START_STAGGER_MS = 15000;
+
+// Constructor and configure() options for one mode's scraper from the runtime config
+function scraperOptions(config, mode) {
+  const { scraping, circuitBreaker, onDemand, countdown } = config;
+  const { baseUrl, tab } = config.modes[mode] || {};
+  return {
+    scrapeIntervalMinutes: scraping.intervalMinutes,
+    maxDataAgeSeconds: scraping.maxDataAgeSeconds,
+    retry: {
+      attempts: scraping.attempts,
+      baseDelayMs: scraping.retryDelaySeconds * 1000
+    },
+    circuitBreaker: {
+      failureThreshold: circuitBreaker.failureThreshold,
+      cooldownMs: circuitBreaker.cooldownMinutes * 60 * 1000
+    },
+    onDemand: onDemand.enabled ? {
+      maxAgeSeconds: onDemand.maxAgeSeconds,
+      waitMs: onDemand.waitSeconds * 1000
+    } : null,
+    countdown,
+    fetchMode: scraping.fetchMode,
+    userAgent: scraping.userAgent,
+    graphqlEndpoint: scraping.graphqlUrl,
+    baseUrl,
+    tab
+  };
+}
+
+// A mode's stations from the runtime config (modes.<mode>.stations), or null to use stations.json/env
+function configuredStations(config, mode) {
+  const { stations = null, defaultStation = null } = config.modes[mode] || {};
+  return stations ? resolveStations(mode, stations, { defaultLine: SCRAPERS[mode].defaultLine, defaultStation }) : null;
+}
+
+/**
+ * Builds one scraper per enabled transit mode, shares a single headless
+ * browser between them and drives their schedules.
+ *
+ * A mode is enabled when it has stations configured (light rail always does,
+ * thanks to its Essex Street fallback). The browser is launched lazily, so
+ * in direct fetch mode it only starts when a scraper has to fall back to it.
+ * If Chromium crashes it is relaunched on the next request, and it is
+ * recycled after a number of scrapes or when its memory use grows too large.
+ */
+class ScraperRegistry {
+  constructor() {
+    this.browser = null;
+    this.browserLaunch = null;
+    // Pages open when the browser launched (the initial blank tab)
+    this.browserBaselinePages = 0;
+    this.browserLifecycle = {
+      launches: 0,
+      disconnects: 0,
+      recycles: 0,
+      scrapesSinceLaunch: 0,
+      launchedAt: null,
+      lastRecycleReason: null
+    };
+    this.scrapers = new Map();
+    // Stations per mode from stations.json or env, for when the config stops overriding them
+    this.loadedStations = new Map();
+    this.traceStore = null;
+    this.startTimers = [];
+  }
+
+  // Instantiate every known scraper that has stations configured, with settings from a RuntimeConfig
+  discover(env = process.env, config = RuntimeConfig.load(env).config) {
+    const queryStore = new QueryTemplateStore(env.GRAPHQL_QUERIES_FILE || DEFAULT_QUERY_TEMPLATES_FILE);
+    // Failed scrapes are traced to disk with SCRAPE_TRACES=true
+    const traceStore = this.traceStore = TraceStore.fromEnv(env);
+    this.configureBrowser(config);
+
+    for (const [mode, ScraperClass] of Object.entries(SCRAPERS)) {
+      const loaded = loadStations(mode, {
+        defaultLine: ScraperClass.defaultLine,
+        fallbackStations: ScraperClass.fallbackStations
+      }, env);
+      this.loadedStations.set(mode, loaded);
+      const stationConfig = configuredStations(config, mode) || loaded;
+
+      if (stationConfig) {
+        this.register(new ScraperClass({
+          ...stationConfig,
+          ...scraperOptions(config, mode),
+          schedulePolicy: loadSchedulePolicy(mode, env),
+          queryStore,
+          traceStore
+        }));
+      }
+    }
+    return this;
+  }
+
+  // Relaunch Chromium after this many browser scrapes, or once it uses this much memory
+  configureBrowser({ browser }) {
+    this.browserRecycleScrapes = browser.recycleScrapes;
+    this.browserMaxMemoryBytes = browser.maxMemoryMb * 1024 * 1024;
+  }
+
+  // Apply a changed runtime config to every scraper, restarting running schedules.
+  // Modes that weren't enabled at startup stay off until a restart.
+  applyConfig(config) {
+    this.configureBrowser(config);
+    for (const scraper of this.list()) {
+      scraper.configure(scraperOptions(config, scraper.mode));
+      const stationConfig = configuredStations(config, scraper.mode) || this.loadedStations.get(scraper.mode);
+      if (stationConfig) {
+        scraper.setStations(stationConfig);
+      }
+      scraper.restartScheduledScraping();
+    }
+  }
+
+  register(scraper) {
+    if (this.scrapers.has(scraper.mode)) {
+      throw new Error(`A scraper for mode "${scraper.mode}" is already registered`);
+    }
+    this.scrapers.set(scraper.mode, scraper);
+    logger.info(`Registered ${scraper.mode} scraper with ${scraper.stations.length} station(s)`, { mode: scraper.mode });
+    return scraper;
+  }
+
+  get(mode) {
+    return this.scrapers.get(mode) || null;
+  }
+
+  list() {
+    return Array.from(this.scrapers.values());
+  }
+
+  // Launch the shared browser once, however many scrapers ask for it at the same time.
+  // Each call counts as one browser scrape towards recycling.
+  getBrowser() {
+    if (!this.browserLaunch) {
+      this.browserLaunch = this.ensureBrowser().finally(() => {
+        this.browserLaunch = null;
+      });
+    }
+    return this.browserLaunch.then(browser => {
+      this.browserLifecycle.scrapesSinceLaunch++;
+      return browser;
+    });
+  }
+
+  async ensureBrowser() {
+    if (this.browser && this.browser.connected) {
+      const reason = await this.recycleReason();
+      if (!reason) {
+        return this.browser;
+      }
+      logger.info(`♻️ Recycling browser: ${reason}`);
+      this.browserLifecycle.recycles++;
+      this.browserLifecycle.lastRecycleReason = reason;
+      await this.closeBrowser();
+    }
+    return this.launchBrowser();
+  }
+
+  // Why the browser should be relaunched now, or null. Never while another scrape has a page open.
+  async recycleReason() {
+    const { scrapesSinceLaunch } = this.browserLifecycle;
+    let reason = null;
+    if (scrapesSinceLaunch >= this.browserRecycleScrapes) {
+      reason = `${scrapesSinceLaunch} scrapes since launch`;
+    } else {
+      const browserProcess = this.browser.process();
+      const memoryBytes = browserProcess ? processTreeRss(browserProcess.pid) : null;
+      if (memoryBytes && memoryBytes > this.browserMaxMemoryBytes) {
+        reason = `using ${Math.round(memoryBytes / 1024 / 1024)} MB`;
+      }
+    }
+    if (!reason) {
+      return null;
+    }
+    const pages = (await this.browser.pages()).length;
+    return pages <= this.browserBaselinePages ? reason : null;
+  }
+
+  async closeBrowser() {
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) {
+      browser.removeAllListeners('disconnected');
+      try {
+        await browser.close();
+      } catch (error) {
+        logger.error('Failed to close browser', { error });
+      }
+    }
+  }
+
+  async launchBrowser() {
+    try {
+      logger.info('Initializing headless browser...');
+      this.browser = await puppeteer.launch({
+        headless: "new",
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--disable-gpu'
+        ]
+      });
+      logger.info('Browser initialized successfully');
+      this.browserBaselinePages = (await this.browser.pages()).length;
+      this.browserLifecycle.launches++;
+      this.browserLifecycle.scrapesSinceLaunch = 0;
+      this.browserLifecycle.launchedAt = new Date().toISOString();
+
+      // A crashed browser is relaunched by the next getBrowser() call
+      const browser = this.browser;
+      browser.on('disconnected', () => {
+        logger.error('⚠️ Browser disconnected unexpectedly; it will be relaunched on the next scrape');
+        this.browserLifecycle.disconnects++;
+        if (this.browser === browser) {
+          this.browser = null;
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to initialize browser', { error });
+      throw error;
+    }
+    return this.browser;
+  }
+
+  // Open pages, resident memory of the process tree (Linux only) and launch/recycle counts, for metrics and /api/status
+  async browserStats() {
+    if (!this.browser || !this.browser.connected) {
+      return { connected: false, pages: 0, memoryBytes: null, ...this.browserLifecycle };
+    }
+    const pages = (await this.browser.pages()).length;
+    const browserProcess = this.browser.process();
+    return {
+      connected: true,
+      pages,
+      memoryBytes: browserProcess ? processTreeRss(browserProcess.pid) : null,
+      ...this.browserLifecycle
+    };
+  }
+
+  async init() {
+    for (const scraper of this.list()) {
+      await scraper.init(() => this.getBrowser());
+    }
+
+    // Browser-only scrapers need Chromium straight away, so fail fast at startup
+    if (this.list().some(scraper => scraper.fetchMode !== 'direct')) {
+      await this.ensureBrowser();
+    }
+  }
+
+  startAll() {
+    this.list().forEach((scraper, index) => {
+      this.startTimers.push(setTimeout(() => {
+        if (!scraper.paused && !scraper.scheduledScraping) {
+          scraper.startScheduledScraping();
+        }
+      }, index * START_STAGGER_MS));
+    });
+  }
+
+  stopAll() {
+    this.startTimers.forEach(timer => clearTimeout(timer));
+    this.startTimers = [];
+    for (const scraper of this.list()) {
+      scraper.stopScheduledScraping();
+    }
+  }
+
+  async close() {
+    this.stopAll();
+    for (const scraper of this.list()) {
+      await scraper.close();
+    }
+    await this.closeBrowser();
+  }
+}
+
+// Sum VmRSS over a process and its descendants using /proc, or null where unavailable
+function processTreeRss(rootPid) {
+  try {
+    const parents = new Map();
+    const rss = new Map();
+    for (const entry of fs.readdirSync('/proc')) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        const status = fs.readFileSync(`/proc/${entry}/status`, 'utf8');
+        const ppid = status.match(/^PPid:\s+(\d+)/m);
+        const vmRss = status.match(/^VmRSS:\s+(\d+) kB/m);
+        parents.set(Number(entry), ppid ? Number(ppid[1]) : 0);
+        rss.set(Number(entry), vmRss ? Number(vmRss[1]) * 1024 : 0);
+      } catch (error) {
+        // The process exited while we were looking
+      }
+    }
+
+    let total = 0;
+    for (const pid of rss.keys()) {
+      for (let current = pid; current; current = parents.get(current)) {
+        if (current === rootPid) {
+          total += rss.get(pid);
+          break;
+        }
+      }
+    }
+    return total;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = ScraperRegistry;
@@ -0,0 +1,122 @@
+// Retry backoff and a circuit breaker for scraping a flaky upstream
+
+const DEFAULT_RETRY = {
+  // Total tries per station scrape, including the first
+  attempts: 3,
+  baseDelayMs: 5000,
+  maxDelayMs: 60000
+};
+
+const DEFAULT_CIRCUIT_BREAKER = {
+  // Consecutive failed station scrapes (after retries) that open the circuit
+  failureThreshold: 5,
+  cooldownMs: 5 * 60 * 1000,
+  // Each failed probe doubles the cooldown up to this
+  maxCooldownMs: 60 * 60 * 1000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait for a promise for at most `ms`; resolves true if it settled in time
+function settlesWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true, () => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Exponential backoff with jitter: somewhere between half and all of base * 2^(attempt - 1), capped
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+/**
+ * Stops hammering an upstream that is down.
+ *
+ * closed    - normal operation
+ * open      - too many consecutive failures; callers should wait until
+ *             `retryAt` before trying again
+ * half_open - the cooldown has passed and the next attempt is a probe: success
+ *             closes the circuit, failure re-opens it with a doubled cooldown
+ */
+class CircuitBreaker {
+  constructor(options = {}, now = () => Date.now()) {
+    this.options = { ...DEFAULT_CIRCUIT_BREAKER, ...options };
+    this.now = now;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.cooldownMs = this.options.cooldownMs;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.opens = 0;
+  }
+
+  // New thresholds apply from now on; an open circuit keeps its current cooldown
+  configure(options = {}) {
+    this.options = { ...DEFAULT_CIRCUIT_BREAKER, ...options };
+    if (this.state === 'closed') {
+      this.cooldownMs = this.options.cooldownMs;
+    }
+  }
+
+  // Whether an attempt may go ahead now; moves an expired open circuit to half_open
+  canAttempt() {
+    if (this.state === 'open' && this.now() >= this.retryAt) {
+      this.state = 'half_open';
+    }
+    return this.state !== 'open';
+  }
+
+  // Milliseconds until the circuit lets an attempt through
+  remainingMs() {
+    return this.state === 'open' ? Math.max(0, this.retryAt - this.now()) : 0;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.cooldownMs = this.options.cooldownMs;
+    this.openedAt = null;
+    this.retryAt = null;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.state === 'half_open') {
+      this.cooldownMs = Math.min(this.cooldownMs * 2, this.options.maxCooldownMs);
+      this.open();
+    } else if (this.state === 'closed' && this.consecutiveFailures >= this.options.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.state = 'open';
+    this.opens++;
+    this.openedAt = this.now();
+    this.retryAt = this.openedAt + this.cooldownMs;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.options.failureThreshold,
+      cooldownMinutes: Math.round(this.cooldownMs / 60000),
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      opens: this.opens
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  DEFAULT_CIRCUIT_BREAKER,
+  DEFAULT_RETRY,
+  backoffDelay,
+  settlesWithin,
+  sleep
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { WEBHOOK_FORMATS } = require('./webhooks');
+
+// What a rule watches for
+const TRIGGERS = ['departure', 'no_departures', 'ferry'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+  daily: DAYS,
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun']
+};
+
+class RuleError extends Error {
+  constructor(errors) {
+    super(`Invalid rule:\n  ${errors.join('\n  ')}`);
+    this.name = 'RuleError';
+    this.errors = errors;
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// "07:30" -> 450
+function minuteOfDay(value) {
+  const match = typeof value === 'string' && value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// "weekdays", ["mon", "Sat"] or ["weekends", "fri"] -> day names in week order
+function parseDays(value, errors) {
+  const entries = Array.isArray(value) ? value : [value];
+  const days = new Set();
+  for (const entry of entries) {
+    const key = String(entry).trim().toLowerCase();
+    const set = DAY_SETS[key] || (DAYS.includes(key.slice(0, 3)) ? [key.slice(0, 3)] : null);
+    if (!set) {
+      errors.push(`days: unknown day "${entry}" (use mon..sun, weekdays, weekends or daily)`);
+      continue;
+    }
+    set.forEach(day => days.add(day));
+  }
+  return DAYS.filter(day => days.has(day));
+}
+
+function parseWebhook(value, errors) {
+  if (!isObject(value)) {
+    errors.push('webhook: expected an object with at least a url');
+    return null;
+  }
+  const webhook = { format: value.format || 'json', url: value.url };
+  if (!isHttpUrl(value.url)) {
+    errors.push('webhook.url: expected an http(s) URL');
+  }
+  if (!WEBHOOK_FORMATS.includes(webhook.format)) {
+    errors.push(`webhook.format: expected one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (value.headers !== undefined) {
+    if (!isObject(value.headers) || Object.values(value.headers).some(header => typeof header !== 'string')) {
+      errors.push('webhook.headers: expected an object of strings');
+    } else {
+      webhook.headers = value.headers;
+    }
+  }
+  // ntfy extras: notification title, priority (1-5 or min..urgent) and tags
+  for (const key of ['title', 'priority']) {
+    if (value[key] !== undefined) {
+      webhook[key] = String(value[key]);
+    }
+  }
+  if (value.tags !== undefined) {
+    webhook.tags = Array.isArray(value.tags) ? value.tags.map(String) : String(value.tags).split(',').map(tag => tag.trim());
+  }
+  return webhook;
+}
+
+/**
+ * Validate a rule as posted to the rules API and fill in its defaults.
+ *
+ *   {
+ *     "name": "Leave for the northbound train",
+ *     "trigger": "departure",            // departure | no_departures | ferry
+ *     "mode": "light-rail",               // departure and no_departures; default light-rail
+ *     "station": "essex-street",          // default: the mode's default station
+ *     "direction": "northbound",          // optional, every direction when omitted
+ *     "destination": "hoboken",           // optional, part of the destination name
+ *     "route": "hoboken-wtc",             // ferry only; default route when omitted
+ *     "minMinutes": 8, "maxMinutes": 12,  // departure and ferry
+ *     "days": "weekdays", "from": "07:00", "to": "09:00",
+ *     "message": "{{destination}} leaves {{status}}",
+ *     "webhook": { "format": "ntfy", "url": "https://ntfy.sh/my-commute" }
+ *   }
+ *
+ * Station, direction and route are checked against `registry` and
+ * `ferryScheduler`. Throws a RuleError listing every problem.
+ */
+function parseRule(input, { registry, ferryScheduler }, { id = null } = {}) {
+  if (!isObject(input)) {
+    throw new RuleError(['expected a JSON object']);
+  }
+
+  const errors = [];
+  const rule = {
+    id: id || input.id || crypto.randomBytes(4).toString('hex'),
+    name: null,
+    enabled: input.enabled === undefined ? true : input.enabled,
+    trigger: input.trigger
+  };
+  if (!/^[\w-]{1,64}$/.test(rule.id)) {
+    errors.push('id: expected letters, digits, - and _ only');
+  }
+  if (typeof rule.enabled !== 'boolean') {
+    errors.push('enabled: expected true or false');
+  }
+  if (!TRIGGERS.includes(rule.trigger)) {
+    errors.push(`trigger: expected one of: ${TRIGGERS.join(', ')}`);
+  }
+
+  if (rule.trigger === 'ferry') {
+    rule.route = input.route || null;
+    try {
+      rule.route = ferryScheduler.getRoute(rule.route || undefined).id;
+    } catch (error) {
+      errors.push(`route: ${error.message}`);
+    }
+  } else if (rule.trigger) {
+    rule.mode = input.mode || 'light-rail';
+    const scraper = registry.get(rule.mode);
+    if (!scraper) {
+      errors.push(`mode: unknown transit mode "${rule.mode}"`);
+    } else {
+      rule.station = input.station || scraper.defaultStationId;
+      if (!scraper.getStation(rule.station)) {
+        errors.push(`station: unknown ${rule.mode} station "${rule.station}"`);
+      }
+      rule.direction = input.direction || null;
+      if (rule.direction && !scraper.directions.includes(rule.direction)) {
+        errors.push(`direction: expected one of: ${scraper.directions.join(', ')}`);
+      }
+    }
+    if (input.destination !== undefined && input.destination !== null && !isText(input.destination)) {
+      errors.push('destination: expected a non-empty string');
+    }
+    rule.destination = input.destination || null;
+  }
+
+  if (rule.trigger === 'departure' || rule.trigger === 'ferry') {
+    rule.minMinutes = input.minMinutes === undefined ? 0 : input.minMinutes;
+    rule.maxMinutes = input.maxMinutes;
+    for (const key of ['minMinutes', 'maxMinutes']) {
+      if (typeof rule[key] !== 'number' || rule[key] < 0) {
+        errors.push(`${key}: expected a number of minutes`);
+      }
+    }
+    if (rule.minMinutes > rule.maxMinutes) {
+      errors.push('minMinutes: must not be more than maxMinutes');
+    }
+  }
+
+  rule.days = input.days === undefined ? DAYS : parseDays(input.days, errors);
+  rule.from = input.from || null;
+  rule.to = input.to || null;
+  if ((rule.from === null) !== (rule.to === null)) {
+    errors.push('from/to: give both ends of the time window, or neither');
+  }
+  for (const key of ['from', 'to']) {
+    if (rule[key] !== null && minuteOfDay(rule[key]) === null) {
+      errors.push(`${key}: expected a time like "07:30"`);
+    }
+  }
+
+  if (input.message !== undefined && input.message !== null && !isText(input.message)) {
+    errors.push('message: expected a non-empty string');
+  }
+  rule.message = input.message || null;
+  rule.webhook = parseWebhook(input.webhook, errors);
+  rule.name = isText(input.name) ? input.name.trim() : `${rule.trigger} rule ${rule.id}`;
+
+  if (errors.length > 0) {
+    throw new RuleError(errors);
+  }
+  return rule;
+}
+
+// Whether `parts` (zoned { weekday, hour, minute }) falls on the rule's days and time window.
+// A window whose end is before its start runs past midnight.
+function isScheduled(rule, { weekday, hour, minute }) {
+  if (!rule.days.includes(DAYS[weekday])) {
+    return false;
+  }
+  if (!rule.from) {
+    return true;
+  }
+  const at = hour * 60 + minute;
+  const from = minuteOfDay(rule.from);
+  const to = minuteOfDay(rule.to);
+  return from <= to ? at >= from && at < to : at >= from || at < to;
+}
+
+module.exports = {
+  RuleError,
+  TRIGGERS,
+  isScheduled,
+  parseRule
+};
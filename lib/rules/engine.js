@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const { formatClock, zonedParts } = require('../time');
+const { logger } = require('../logger');
+const { RuleError, isScheduled, parseRule } = require('./definition');
+const { sendWebhook } = require('./webhooks');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', '..', 'data', 'rules.json');
+const TICK_INTERVAL_MS = 60 * 1000;
+// How long a fired train or ferry trip is remembered; both are long gone by then
+const FIRED_TTL_MS = 12 * 60 * 60 * 1000;
+
+// "{{destination}} {{status}}" with fields of the event
+function fillMessage(template, event) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (event[key] === undefined || event[key] === null ? '' : String(event[key])));
+}
+
+function defaultMessage(event) {
+  switch (event.type) {
+    case 'departure':
+      return `${event.destination} ${event.status} (${event.time}) from ${event.stationName}${event.direction === 'departures' ? '' : `, ${event.direction}`}`;
+    case 'no_departures':
+      return `No ${event.direction ? `${event.direction} ` : ''}departures on the ${event.stationName} board`;
+    default:
+      return `${event.routeName} ferry ${event.status} (${event.departureTime})`;
+  }
+}
+
+/**
+ * User-defined notification rules, checked after every scrapeData() run of
+ * their mode and once a minute (the ferry tick, which also catches
+ * countdowns moving between scrapes).
+ *
+ * A matching rule posts to its webhook (see ./webhooks) once per train or
+ * ferry trip, and once per stretch of an empty board for `no_departures`.
+ * A failed delivery is retried the next time the rule still matches.
+ *
+ * Rules are created through the rules API (see parseRule in ./definition)
+ * and saved to `file`. `now` and `send` can be injected for tests.
+ */
+class RuleEngine {
+  constructor({ registry, ferryScheduler, file = null, now = () => new Date(), send = sendWebhook }) {
+    this.registry = registry;
+    this.ferryScheduler = ferryScheduler;
+    this.file = file;
+    this.now = now;
+    this.send = send;
+    this.rules = new Map();
+    // Rule id -> { fired: Map(key -> firedAt ms), stats }
+    this.state = new Map();
+    this.tickTimer = null;
+    this.listeners = [];
+    this.load();
+  }
+
+  static fromEnv({ registry, ferryScheduler }, env = process.env) {
+    return new RuleEngine({ registry, ferryScheduler, file: env.RULES_FILE || DEFAULT_RULES_FILE });
+  }
+
+  start() {
+    for (const scraper of this.registry.list()) {
+      const onScrape = ({ mode }) => this.evaluate({ mode });
+      scraper.on('scrape', onScrape);
+      this.listeners.push([scraper, onScrape]);
+    }
+    this.tickTimer = setInterval(() => this.evaluate(), TICK_INTERVAL_MS);
+    if (this.rules.size > 0) {
+      logger.info(`🔔 ${this.rules.size} notification rule(s) loaded`, { rules: Array.from(this.rules.keys()) });
+    }
+  }
+
+  stop() {
+    clearInterval(this.tickTimer);
+    for (const [scraper, onScrape] of this.listeners) {
+      scraper.off('scrape', onScrape);
+    }
+    this.listeners = [];
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to read notification rules from ${this.file}`, { error: error.message });
+      return;
+    }
+    for (const input of saved) {
+      try {
+        this.put(parseRule(input, this));
+      } catch (error) {
+        // e.g. a station that has since been removed from the config
+        logger.warn(`⚠️ Notification rule "${input.id}" skipped: ${error.message}`, { errors: error.errors });
+      }
+    }
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(Array.from(this.rules.values()), null, 2));
+    } catch (error) {
+      logger.error(`Failed to save notification rules to ${this.file}`, { error: error.message });
+    }
+  }
+
+  put(rule) {
+    this.rules.set(rule.id, rule);
+    this.state.set(rule.id, {
+      fired: new Map(),
+      stats: { fired: 0, failures: 0, lastFiredAt: null, lastDelivery: null }
+    });
+    return rule;
+  }
+
+  describe(rule) {
+    return { ...rule, state: this.state.get(rule.id).stats };
+  }
+
+  list() {
+    return Array.from(this.rules.values()).map(rule => this.describe(rule));
+  }
+
+  get(ruleId) {
+    const rule = this.rules.get(ruleId);
+    return rule ? this.describe(rule) : null;
+  }
+
+  // Throws RuleError for invalid input or an id already in use
+  create(input) {
+    const rule = parseRule(input, this);
+    if (this.rules.has(rule.id)) {
+      throw new RuleError([`id: a rule with id "${rule.id}" already exists`]);
+    }
+    this.put(rule);
+    this.save();
+    logger.info(`🔔 Notification rule "${rule.name}" created`, { ruleId: rule.id, trigger: rule.trigger });
+    return this.describe(rule);
+  }
+
+  // Replace a rule's definition, forgetting what it has fired; null for unknown ids
+  replace(ruleId, input) {
+    if (!this.rules.has(ruleId)) {
+      return null;
+    }
+    const rule = this.put(parseRule(input, this, { id: ruleId }));
+    this.save();
+    logger.info(`🔔 Notification rule "${rule.name}" updated`, { ruleId });
+    return this.describe(rule);
+  }
+
+  remove(ruleId) {
+    if (!this.rules.delete(ruleId)) {
+      return false;
+    }
+    this.state.delete(ruleId);
+    this.save();
+    logger.info(`🔔 Notification rule ${ruleId} deleted`, { ruleId });
+    return true;
+  }
+
+  // Current matches of a rule, ignoring its days and time window: [{ key, event }]
+  matches(rule, now) {
+    if (rule.trigger === 'ferry') {
+      const route = this.ferryScheduler.getRoute(rule.route);
+      return this.ferryScheduler.getUpcomingTrips(route.id, now)
+        .filter(trip => trip.minutesUntil >= rule.minMinutes && trip.minutesUntil <= rule.maxMinutes)
+        .map(trip => ({
+          key: `${route.id}|${trip.departureAt.toISOString()}`,
+          event: {
+            type: 'ferry',
+            route: route.id,
+            routeName: route.name,
+            origin: route.origin,
+            destination: route.destination,
+            departureAt: trip.departureAt.toISOString(),
+            departureTime: formatClock(trip.departureAt, { hour12: true }),
+            minutesUntil: trip.minutesUntil,
+            status: this.ferryScheduler.formatStatus(trip.minutesUntil)
+          }
+        }));
+    }
+
+    const scraper = this.registry.get(rule.mode);
+    const data = scraper.getCachedData(rule.station, { destination: rule.destination });
+    // Nothing to go on until a scrape succeeds, and old boards could be wrong
+    if (!data || !data.lastUpdated || data.stale) {
+      return [];
+    }
+    const directions = rule.direction ? [rule.direction] : scraper.directions;
+
+    if (rule.trigger === 'no_departures') {
+      if (data.status !== 'success' || directions.some(direction => data[direction].length > 0)) {
+        return [];
+      }
+      return [{
+        key: 'empty',
+        event: { type: 'no_departures', mode: rule.mode, stationId: data.stationId, stationName: data.stationName, direction: rule.direction, lastUpdated: data.lastUpdated }
+      }];
+    }
+
+    return directions.flatMap(direction => data[direction].map(train => ({ direction, train })))
+      .map(({ direction, train }) => {
+        const departureAt = scraper.getDepartureDate(train.time, train.scheduledTime, now);
+        return { direction, train, departureAt, minutesUntil: departureAt ? Math.round((departureAt - now) / 60000) : null };
+      })
+      .filter(({ minutesUntil }) => minutesUntil !== null && minutesUntil >= rule.minMinutes && minutesUntil <= rule.maxMinutes)
+      .map(({ direction, train, departureAt, minutesUntil }) => ({
+        key: [direction, train.destination, train.scheduledTime || train.time].join('|'),
+        event: {
+          type: 'departure',
+          mode: rule.mode,
+          stationId: data.stationId,
+          stationName: data.stationName,
+          direction,
+          destination: train.destination,
+          time: train.time,
+          scheduledTime: train.scheduledTime || null,
+          status: train.calculatedStatus,
+          departureAt: departureAt.toISOString(),
+          minutesUntil
+        }
+      }));
+  }
+
+  // Whether the latest successful board for a no_departures rule lists trains.
+  // A failed scrape keeps that board, so it can't make the rule look cleared.
+  hadDepartures(rule) {
+    const scraper = this.registry.get(rule.mode);
+    const data = scraper.getCachedData(rule.station, { destination: rule.destination });
+    const directions = rule.direction ? [rule.direction] : scraper.directions;
+    return Boolean(data && data.lastUpdated) && directions.some(direction => data[direction].length > 0);
+  }
+
+  notification(rule, event, now, test = false) {
+    return {
+      rule: { id: rule.id, name: rule.name },
+      message: rule.message ? fillMessage(rule.message, event) : defaultMessage(event),
+      event,
+      firedAt: now.toISOString(),
+      test
+    };
+  }
+
+  async deliver(rule, notification) {
+    const delivery = await this.send(rule.webhook, notification);
+    const state = this.state.get(rule.id);
+    if (state) {
+      state.stats.lastDelivery = { at: notification.firedAt, test: notification.test, ...delivery };
+      if (!delivery.ok) {
+        state.stats.failures++;
+      } else if (!notification.test) {
+        state.stats.fired++;
+        state.stats.lastFiredAt = notification.firedAt;
+      }
+    }
+    if (delivery.ok) {
+      logger.info(`🔔 ${rule.name}: ${notification.message}`, { ruleId: rule.id, test: notification.test });
+    } else {
+      logger.warn(`Notification for rule "${rule.name}" not delivered: ${delivery.error}`, { ruleId: rule.id, status: delivery.status });
+    }
+    return delivery;
+  }
+
+  // Check the enabled rules (only those of `mode` when given; ferry rules only
+  // on the tick) and deliver new matches. Resolves to the notifications sent.
+  async evaluate({ mode = null } = {}) {
+    const now = this.now();
+    const parts = zonedParts(now);
+    const sent = [];
+
+    for (const rule of this.rules.values()) {
+      if (!rule.enabled || (mode && rule.mode !== mode) || !isScheduled(rule, parts)) {
+        continue;
+      }
+      const { fired } = this.state.get(rule.id);
+      let matches;
+      try {
+        matches = this.matches(rule, now);
+        // An empty board fires again once it has had trains on it; failed scrapes and stale boards don't count
+        if (rule.trigger === 'no_departures' && matches.length === 0 && this.hadDepartures(rule)) {
+          fired.delete('empty');
+        }
+      } catch (error) {
+        logger.error(`Failed to evaluate notification rule "${rule.name}"`, { ruleId: rule.id, error });
+        continue;
+      }
+
+      for (const [key, firedAt] of fired) {
+        if (now - firedAt > FIRED_TTL_MS) {
+          fired.delete(key);
+        }
+      }
+
+      for (const { key, event } of matches) {
+        if (fired.has(key)) {
+          continue;
+        }
+        // Claimed before sending so an overlapping evaluation doesn't fire it twice
+        fired.set(key, now.getTime());
+        const notification = this.notification(rule, event, now);
+        const delivery = await this.deliver(rule, notification);
+        if (delivery.ok) {
+          sent.push(notification);
+        } else {
+          fired.delete(key);
+        }
+      }
+    }
+    return sent;
+  }
+
+  // Send a rule's first current match (or a sample event when nothing matches) to
+  // its webhook, regardless of schedule and de-duplication; null for unknown ids
+  async test(ruleId) {
+    const rule = this.rules.get(ruleId);
+    if (!rule) {
+      return null;
+    }
+    const now = this.now();
+    const [match] = this.matches(rule, now);
+    const event = match ? match.event : { type: rule.trigger, sample: true, ...this.sampleEvent(rule) };
+    const notification = this.notification(rule, event, now, true);
+    return { matched: Boolean(match), notification, delivery: await this.deliver(rule, notification) };
+  }
+
+  // Worded with the same countdown settings as real events
+  sampleEvent(rule) {
+    if (rule.trigger === 'ferry') {
+      const route = this.ferryScheduler.getRoute(rule.route);
+      return { route: route.id, routeName: route.name, departureTime: '--:--', minutesUntil: rule.maxMinutes, status: this.ferryScheduler.formatStatus(rule.maxMinutes) };
+    }
+    const scraper = this.registry.get(rule.mode);
+    const station = scraper.getStation(rule.station);
+    return {
+      mode: rule.mode,
+      stationId: station.id,
+      stationName: station.name,
+      direction: rule.direction || scraper.directions[0],
+      destination: rule.destination || 'Sample destination',
+      time: '--:--',
+      minutesUntil: rule.maxMinutes,
+      status: rule.maxMinutes !== undefined ? scraper.countdown.format(rule.maxMinutes) : null
+    };
+  }
+
+  getStats() {
+    const stats = Array.from(this.state.values()).map(state => state.stats);
+    return {
+      rules: this.rules.size,
+      enabled: Array.from(this.rules.values()).filter(rule => rule.enabled).length,
+      fired: stats.reduce((sum, stat) => sum + stat.fired, 0),
+      failures: stats.reduce((sum, stat) => sum + stat.failures, 0)
+    };
+  }
+}
+
+module.exports = RuleEngine;
@@ -0,0 +1,84 @@
+// Outbound notification formats for rules
+const WEBHOOK_FORMATS = ['json', 'ntfy', 'homeassistant'];
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// HTTP headers are Latin-1; ntfy decodes RFC 2047 words for anything else
+function headerText(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * The HTTP request delivering a notification
+ * ({ rule: { id, name }, message, event, firedAt, test }) to a webhook:
+ *
+ *   json           the whole notification as JSON
+ *   ntfy           the message as a text body, with Title, Priority and Tags
+ *                  headers (https://docs.ntfy.sh/publish/)
+ *   homeassistant  flat JSON for a Home Assistant webhook trigger, read in
+ *                  automations as trigger.json.message, trigger.json.minutesUntil, ...
+ */
+function buildRequest(webhook, notification) {
+  const headers = { ...(webhook.headers || {}) };
+  let body;
+
+  switch (webhook.format) {
+    case 'ntfy':
+      headers['content-type'] = 'text/plain; charset=utf-8';
+      headers.Title = headerText(webhook.title || notification.rule.name);
+      if (webhook.priority) {
+        headers.Priority = webhook.priority;
+      }
+      if (webhook.tags && webhook.tags.length > 0) {
+        headers.Tags = headerText(webhook.tags.join(','));
+      }
+      body = notification.message;
+      break;
+    case 'homeassistant':
+      headers['content-type'] = 'application/json';
+      body = JSON.stringify({
+        rule: notification.rule.id,
+        ruleName: notification.rule.name,
+        message: notification.message,
+        firedAt: notification.firedAt,
+        test: notification.test,
+        ...notification.event
+      });
+      break;
+    default:
+      headers['content-type'] = 'application/json';
+      body = JSON.stringify(notification);
+  }
+
+  return { url: webhook.url, method: 'POST', headers, body };
+}
+
+// POST a notification; resolves to { ok, status, error, durationMs } and never throws
+async function sendWebhook(webhook, notification, { timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  const { url, ...request } = buildRequest(webhook, notification);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(url, { ...request, signal: controller.signal });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer();
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `Webhook returned ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : error.message;
+    return { ok: false, status: null, error: `Webhook request failed: ${message}`, durationMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  buildRequest,
+  sendWebhook
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { addDays, zonedParts, zonedTimeToDate } = require('./time');
+
+const DEFAULT_SCHEDULE_FILE = path.join(__dirname, '..', 'config', 'schedule.json');
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "06:30" -> minutes after midnight
+function parseClock(value, context) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || parseInt(match[1]) > 24 || parseInt(match[2]) > 59) {
+    throw new Error(`${context}: expected HH:MM, got "${value}"`);
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+function parseInterval(value, context) {
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new Error(`${context}: intervalMinutes must be a positive number`);
+  }
+  return value;
+}
+
+/**
+ * How often to scrape at a given moment, from time-of-day windows in New York
+ * time. The first matching window wins; outside every window the default
+ * interval applies. A window with `"paused": true` stops scheduled scraping.
+ * Windows whose end is before their start run past midnight.
+ *
+ *   {
+ *     "intervalMinutes": 10,
+ *     "windows": [
+ *       { "name": "Morning commute", "days": ["mon", "tue", "wed", "thu", "fri"], "start": "06:30", "end": "09:30", "intervalMinutes": 1 },
+ *       { "name": "Overnight", "start": "01:00", "end": "05:00", "paused": true }
+ *     ]
+ *   }
+ */
+class SchedulePolicy {
+  constructor({ intervalMinutes, windows = [] }, context = 'Schedule') {
+    this.intervalMinutes = parseInterval(intervalMinutes, context);
+    this.windows = windows.map((window, index) => {
+      const windowContext = `${context} window ${window.name || index + 1}`;
+      const days = window.days || DAY_NAMES;
+      for (const day of days) {
+        if (!DAY_NAMES.includes(day)) {
+          throw new Error(`${windowContext}: unknown day "${day}"`);
+        }
+      }
+      return {
+        name: window.name || `window ${index + 1}`,
+        days: days.map(day => DAY_NAMES.indexOf(day)),
+        start: parseClock(window.start, windowContext),
+        end: parseClock(window.end, windowContext),
+        paused: !!window.paused,
+        intervalMinutes: window.paused ? null : parseInterval(window.intervalMinutes, windowContext)
+      };
+    });
+  }
+
+  // The window covering a weekday and minute of the day, if any
+  windowAt(weekday, minute) {
+    return this.windows.find(window => {
+      if (window.start <= window.end) {
+        return window.days.includes(weekday) && minute >= window.start && minute < window.end;
+      }
+      // Past midnight: the late part belongs to the day the window started
+      return (window.days.includes(weekday) && minute >= window.start) ||
+        (window.days.includes((weekday + 6) % 7) && minute < window.end);
+    }) || null;
+  }
+
+  // { window, paused, intervalMinutes } in effect at `date`
+  resolve(date = new Date()) {
+    const { weekday, hour, minute } = zonedParts(date);
+    const window = this.windowAt(weekday, hour * 60 + minute);
+    return {
+      window: window ? window.name : null,
+      paused: window ? window.paused : false,
+      intervalMinutes: window ? window.intervalMinutes : this.intervalMinutes
+    };
+  }
+
+  // The next time a window starts or ends after `date`
+  nextChange(date = new Date()) {
+    const today = zonedParts(date);
+    let next = null;
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = addDays(today, offset);
+      for (const window of this.windows) {
+        if (!window.days.includes(day.weekday)) continue;
+        const end = window.end <= window.start ? window.end + 24 * 60 : window.end;
+        for (const minutes of [window.start, end]) {
+          const at = zonedTimeToDate({ ...day, hour: 0, minute: minutes });
+          if (at > date && (!next || at < next)) {
+            next = at;
+          }
+        }
+      }
+    }
+    return next;
+  }
+}
+
+// Policy for one mode: its entry under "modes" if present, otherwise the top-level policy.
+// Returns null without a schedule file, meaning a fixed interval.
+function loadSchedulePolicy(mode, env = process.env) {
+  const file = env.SCHEDULE_FILE || DEFAULT_SCHEDULE_FILE;
+  if (!fs.existsSync(file)) {
+    if (env.SCHEDULE_FILE) {
+      throw new Error(`Schedule file not found: ${file}`);
+    }
+    return null;
+  }
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const modeConfig = config.modes && config.modes[mode];
+  return modeConfig
+    ? new SchedulePolicy(modeConfig, `Schedule for ${mode}`)
+    : new SchedulePolicy(config);
+}
+
+module.exports = {
+  SchedulePolicy,
+  loadSchedulePolicy
+};
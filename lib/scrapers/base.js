@@ -0,0 +1,706 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { CircuitBreaker, DEFAULT_RETRY, backoffDelay, sleep, settlesWithin } = require('../resilience');
+const { logContext, logger, withLogContext } = require('../logger');
+const { ScrapeTrace, currentTrace, withTrace } = require('../traces');
+const { alertAffects, disruptionSummary, isActive } = require('../alerts');
+const { departureTimes, normalizeDeparture } = require('../departure-model');
+const { CountdownFormatter } = require('../countdown');
+
+// Boards older than this are reported as stale
+const DEFAULT_MAX_DATA_AGE_SECONDS = 15 * 60;
+const DEFAULT_SCRAPE_INTERVAL_MINUTES = 3;
+// Keep showing a train as "Now" for this long after its departure time
+const DEPARTED_GRACE_MS = 60 * 1000;
+
+/**
+ * Common interface for every transit-mode scraper.
+ *
+ * Subclasses set `mode`, `name` and `directions`, and implement
+ * `scrapeStation(station)` (fetch one station's board and return the raw
+ * departures) and `processData(rawData)` (split them into direction buckets).
+ * Station iteration, caching, scheduling and countdowns live here.
+ *
+ * Emits 'departures' ({ mode, stationId }) when a station's board changes,
+ * 'status' ({ mode, stationId, status, lastUpdated, error, failureStage,
+ * durationMs }) after every station scrape, successful or not, 'scrape'
+ * ({ mode, stationIds }) when a `scrapeData()` run has been through its
+ * stations, and 'stations' ({ mode, stationIds }) when they are changed.
+ *
+ * A scrape that comes back empty or throws is attributed to a failure stage:
+ * `error.stage` when the error carries one, otherwise whatever the subclass
+ * left in `this.failureStage` during the scrape.
+ *
+ * Each station scrape is retried with exponential backoff. Repeated failures
+ * open a circuit breaker, which stretches the schedule until a probe scrape
+ * succeeds again.
+ *
+ * Scheduled scrapes follow the optional `schedulePolicy` (time-of-day
+ * intervals and pauses), with `scrapeIntervalMinutes`, when set, replacing
+ * its interval outside its windows; without one they run every
+ * `scrapeIntervalMinutes` (3 by default).
+ * Readers can call `ensureFresh()` to scrape on demand when a board is too
+ * old. Concurrent requests for the same station or the same full scrape share
+ * one in-flight promise. `pause()` stops both until `resume()`.
+ * `configure()` applies changed runtime settings and `setStations()` a
+ * changed list of stations.
+ *
+ * Reads never return trains that have already left, and carry `stale` and
+ * `dataAgeSeconds` so clients can tell when scraping has stopped working.
+ * Each train keeps the board's fields (including its `status` text) plus the
+ * normalized model from lib/departure-model.js: `scheduledAt`,
+ * `estimatedAt`, `delayMinutes`, `minutesUntil` and `departureStatus`, all
+ * worked out in New York time, and a `calculatedStatus` countdown worded by
+ * a CountdownFormatter (lib/countdown.js): the configured `countdown`
+ * default, or whichever one the reader passes in.
+ *
+ * Every station scrape gets a `scrapeId` that is attached to all of its log
+ * lines and its 'status' event. With a `traceStore`, each attempt records a
+ * ScrapeTrace (see `traceStep()`), and the last one is saved when the scrape
+ * fails.
+ *
+ * Countdowns, departed-train pruning and data age read the clock through
+ * `now`, which tests can inject.
+ *
+ * Service alerts for the mode (see lib/alerts.js) are handed to
+ * `setAlerts()`. Each board carries the active ones affecting its station's
+ * lines and a `disruption` summary; a change emits 'alerts' ({ mode, alerts })
+ * and 'departures' for every station.
+ */
+class TransitScraper extends EventEmitter {
+  static mode = null;
+  static displayName = null;
+  static directions = ['departures'];
+  static defaultLine = null;
+  // Other names service alerts use for the mode's line, e.g. 'HBLR'
+  static lineAliases = [];
+  static fallbackStations = [];
+
+  constructor({ stations, defaultStationId, schedulePolicy = null, traceStore = null, now = () => new Date(), ...options }) {
+    super();
+    this.mode = this.constructor.mode;
+    this.name = this.constructor.displayName;
+    this.directions = this.constructor.directions;
+    this.getBrowser = null;
+    this.now = now;
+    this.logger = logger.child({ mode: this.mode });
+    this.traceStore = traceStore;
+    this.stations = stations;
+    this.defaultStationId = defaultStationId;
+    // Cached board per station, keyed by station id
+    this.lastData = {};
+    for (const station of stations) {
+      this.lastData[station.id] = this.emptyBoard(station);
+    }
+    this.isRunning = false;
+    // Where the current scrape came up short (e.g. 'tab_switch'), set by subclasses
+    this.failureStage = null;
+    this.scrapeTimer = null;
+    this.scheduledScraping = false;
+    this.nextScrapeAt = null;
+    // Bumped whenever scheduling starts or stops, so a scrape from an earlier run doesn't reschedule
+    this.scheduleGeneration = 0;
+    // Paused through the admin API: no scheduled or on-demand scrapes until resumed
+    this.paused = false;
+    this.schedulePolicy = schedulePolicy;
+    this.onDemandScrapes = 0;
+    // In-flight scrapes that concurrent callers join: the full run and each station
+    this.currentScrape = null;
+    this.stationScrapes = new Map();
+    // Latest service alerts for the whole mode
+    this.alerts = [];
+    this.alertsUpdatedAt = null;
+    this.retryStats = { retries: 0, lastAttempts: 0, exhausted: 0 };
+    this.breaker = new CircuitBreaker();
+    this.sleep = sleep;
+    this.configureScraping(options);
+  }
+
+  // Apply changed runtime settings; the registry restarts the schedule afterwards
+  configure(options) {
+    this.configureScraping(options);
+  }
+
+  configureScraping({
+    scrapeIntervalMinutes = null,
+    maxDataAgeSeconds = DEFAULT_MAX_DATA_AGE_SECONDS,
+    retry = {},
+    circuitBreaker = {},
+    onDemand = null,
+    countdown = {}
+  }) {
+    // Replaces the schedule policy's interval outside its windows; null keeps it
+    // (DEFAULT_SCRAPE_INTERVAL_MINUTES without a policy)
+    this.scrapeIntervalMinutes = scrapeIntervalMinutes;
+    this.maxDataAgeSeconds = maxDataAgeSeconds;
+    this.retryPolicy = { ...DEFAULT_RETRY, ...retry };
+    this.breaker.configure(circuitBreaker);
+    // { maxAgeSeconds, waitMs } for scrapes triggered by reads, or null to disable them
+    this.onDemand = onDemand;
+    // Countdown wording when a caller doesn't ask for its own (MQTT, the stream, rules)
+    this.countdown = new CountdownFormatter(countdown);
+  }
+
+  emptyBoard(station) {
+    const board = {
+      stationId: station.id,
+      stationName: station.name
+    };
+    for (const direction of this.directions) {
+      board[direction] = [];
+    }
+    board.lastUpdated = null;
+    board.status = 'initializing';
+    return board;
+  }
+
+  // Verbose detail about a scrape, only shown at LOG_LEVEL=debug
+  log(message, data) {
+    this.logger.debug(message, data);
+  }
+
+  // Keep a page-analysis object in the trace of the running attempt, if it is being traced
+  traceStep(name, data) {
+    const trace = currentTrace();
+    if (trace) {
+      trace.step(name, data);
+    }
+  }
+
+  // The browser is owned by the registry, shared between modes and launched on first use
+  async init(getBrowser) {
+    this.getBrowser = getBrowser;
+  }
+
+  // Change the monitored stations at runtime. Boards of stations that stay are kept and new ones
+  // start empty; emits 'stations' ({ mode, stationIds }) when the list changed.
+  setStations({ stations, defaultStationId }) {
+    const lastData = {};
+    for (const station of stations) {
+      const previous = this.getStation(station.id);
+      lastData[station.id] = previous && previous.name === station.name ? this.lastData[station.id] : this.emptyBoard(station);
+    }
+    const changed = JSON.stringify(stations) !== JSON.stringify(this.stations) || defaultStationId !== this.defaultStationId;
+    this.stations = stations;
+    this.defaultStationId = defaultStationId;
+    this.lastData = lastData;
+    if (changed) {
+      const stationIds = stations.map(station => station.id);
+      this.logger.info(`🚉 Now monitoring ${stationIds.join(', ')}`, { stationIds, defaultStationId });
+      this.emit('stations', { mode: this.mode, stationIds });
+    }
+  }
+
+  getStation(stationId) {
+    return this.stations.find(station => station.id === stationId) || null;
+  }
+
+  // Scrape every configured station in turn, one page at a time.
+  // Callers arriving while a scrape is running wait for that one.
+  scrapeData() {
+    if (this.currentScrape) {
+      this.logger.info('Scraping already in progress, waiting for it...');
+      return this.currentScrape;
+    }
+    this.currentScrape = this.runScrape().finally(() => {
+      this.currentScrape = null;
+    });
+    return this.currentScrape;
+  }
+
+  async runScrape() {
+    this.isRunning = true;
+    this.logger.info('Starting scrape operation...', { stations: this.stations.length });
+
+    const stationIds = [];
+    try {
+      for (const station of this.stations) {
+        // Removed by setStations() since the run started
+        if (!this.lastData[station.id]) continue;
+        if (!this.breaker.canAttempt()) {
+          this.logger.warn(`⛔ Circuit open, skipping remaining stations until ${this.breaker.getState().retryAt}`);
+          break;
+        }
+        await this.refreshStation(station);
+        stationIds.push(station.id);
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    this.emit('scrape', { mode: this.mode, stationIds });
+
+    return this.lastData;
+  }
+
+  // Scrape one station, joining a scrape of it that is already in flight
+  refreshStation(station) {
+    if (!this.stationScrapes.has(station.id)) {
+      this.stationScrapes.set(station.id, this.scrapeAndStore(station).finally(() => {
+        this.stationScrapes.delete(station.id);
+      }));
+    }
+    return this.stationScrapes.get(station.id);
+  }
+
+  // Scrape a station on demand when its board is older than onDemand.maxAgeSeconds,
+  // waiting up to onDemand.waitMs for the result. Returns whether fresh data arrived.
+  async ensureFresh(stationId) {
+    const station = this.getStation(stationId);
+    if (!this.onDemand || this.paused || !station) {
+      return false;
+    }
+    const { dataAgeSeconds } = this.dataAge(stationId);
+    if (dataAgeSeconds !== null && dataAgeSeconds <= this.onDemand.maxAgeSeconds) {
+      return false;
+    }
+    if (!this.breaker.canAttempt()) {
+      return false;
+    }
+
+    if (!this.stationScrapes.has(station.id)) {
+      this.onDemandScrapes++;
+      this.logger.info(`📥 On-demand scrape of ${station.name}`, { stationId: station.id, dataAgeSeconds });
+    }
+    const scrape = this.refreshStation(station).catch(error => {
+      this.logger.error(`On-demand scrape of ${station.name} failed`, { stationId: station.id, error });
+    });
+    return settlesWithin(scrape, this.onDemand.waitMs);
+  }
+
+  // One try at a station: { rawData } on success, otherwise { error, failureStage }.
+  // Carries the attempt's `trace` when tracing is on.
+  async attemptStation(station, attempt = 1) {
+    this.failureStage = null;
+    const trace = this.traceStore
+      ? new ScrapeTrace({ scrapeId: logContext().scrapeId, mode: this.mode, station, attempt, fetchMode: this.fetchMode || null })
+      : null;
+    try {
+      const rawData = await withTrace(trace, () => this.scrapeStation(station));
+      if (rawData && rawData.length > 0) {
+        return { rawData, trace };
+      }
+      return { error: null, failureStage: this.failureStage || 'graphql_parse', trace };
+    } catch (error) {
+      return { error, failureStage: error.stage || this.failureStage || 'unknown', trace };
+    }
+  }
+
+  // Scrape one station, retrying with backoff, and fold the result into lastData.
+  // Everything logged along the way carries the same scrapeId.
+  scrapeAndStore(station) {
+    const scrapeId = crypto.randomBytes(4).toString('hex');
+    return withLogContext({ scrapeId, stationId: station.id }, () => this.scrapeAndStoreInContext(station, scrapeId));
+  }
+
+  async scrapeAndStoreInContext(station, scrapeId) {
+    const stationData = this.lastData[station.id];
+    this.logger.info(`Scraping ${station.name}...`);
+    const startedAt = Date.now();
+    const { attempts } = this.retryPolicy;
+
+    let outcome;
+    let attempt = 1;
+    for (; ; attempt++) {
+      outcome = await this.attemptStation(station, attempt);
+      if (outcome.rawData || attempt >= attempts) {
+        break;
+      }
+      const delay = backoffDelay(attempt, this.retryPolicy);
+      this.logger.warn(`Attempt ${attempt}/${attempts} for ${station.name} failed, retrying in ${Math.round(delay / 1000)}s`, {
+        attempt,
+        failureStage: outcome.failureStage,
+        error: outcome.error || 'no data'
+      });
+      this.retryStats.retries++;
+      await this.sleep(delay);
+    }
+    this.retryStats.lastAttempts = attempt;
+
+    // The station was removed while it was being scraped
+    if (!this.lastData[station.id]) {
+      return null;
+    }
+
+    let failureStage = outcome.rawData ? null : outcome.failureStage;
+    let scrapeError = outcome.rawData ? null : outcome.error;
+    if (outcome.rawData) {
+      try {
+        this.applyBoard(station, this.processData(outcome.rawData, station));
+      } catch (error) {
+        failureStage = 'process';
+        scrapeError = error;
+      }
+    }
+
+    if (scrapeError) {
+      this.logger.error(`Scraping error for ${station.name}`, { failureStage, attempts: attempt, error: scrapeError });
+      stationData.status = 'error';
+      stationData.error = scrapeError.message;
+    } else if (failureStage) {
+      this.logger.warn(`No data found in GraphQL response for ${station.name}`, { failureStage, attempts: attempt });
+      stationData.status = 'no_data';
+    }
+
+    this.recordOutcome(failureStage === null);
+    const traceId = failureStage ? this.saveTrace(outcome.trace, { failureStage, error: scrapeError, attempts: attempt }) : null;
+
+    const { status, lastUpdated, error = null } = this.lastData[station.id];
+    this.emit('status', {
+      mode: this.mode,
+      stationId: station.id,
+      status,
+      lastUpdated,
+      error,
+      failureStage,
+      attempts: attempt,
+      durationMs: Date.now() - startedAt,
+      scrapeId,
+      traceId
+    });
+
+    return this.lastData[station.id];
+  }
+
+  // Save the trace of a failed scrape's last attempt; returns its id, or null
+  saveTrace(trace, { failureStage, error, attempts }) {
+    if (!trace) {
+      return null;
+    }
+    try {
+      const traceId = this.traceStore.save(trace, {
+        failureStage,
+        error: error ? { message: error.message, stack: error.stack } : null,
+        attempts
+      });
+      this.logger.info(`🔍 Saved scrape trace ${traceId}`, { traceId });
+      return traceId;
+    } catch (error) {
+      this.logger.error('Failed to save scrape trace', { error });
+      return null;
+    }
+  }
+
+  // Store a processed board and announce it if anything changed
+  applyBoard(station, processed) {
+    const stationData = this.lastData[station.id];
+    const changed = this.directions.some(direction =>
+      JSON.stringify(processed[direction]) !== JSON.stringify(stationData[direction])
+    );
+    this.lastData[station.id] = {
+      stationId: station.id,
+      stationName: station.name,
+      ...processed,
+      lastUpdated: this.now().toISOString(),
+      status: 'success'
+    };
+    const counts = this.directions.map(direction => `${processed[direction].length} ${direction}`).join(', ');
+    this.logger.info(`Scrape of ${station.name} completed successfully. Found ${counts}`, {
+      departures: Object.fromEntries(this.directions.map(direction => [direction, processed[direction].length]))
+    });
+    if (changed) {
+      this.emit('departures', { mode: this.mode, stationId: station.id });
+    }
+  }
+
+  // Replace the mode's service alerts with the latest advisories
+  setAlerts(alerts) {
+    const key = list => JSON.stringify(list.map(({ id, severity, message, activeUntil }) => [id, severity, message, activeUntil]));
+    const changed = key(alerts) !== key(this.alerts);
+    this.alerts = alerts;
+    this.alertsUpdatedAt = this.now().toISOString();
+    if (!changed) {
+      return;
+    }
+    this.logger.info(`📢 ${alerts.length} service alert(s)`, { alerts: alerts.map(alert => `${alert.severity}: ${alert.title || alert.message}`) });
+    this.emit('alerts', { mode: this.mode, alerts });
+    for (const station of this.stations) {
+      this.emit('departures', { mode: this.mode, stationId: station.id });
+    }
+  }
+
+  // Lines a station's alerts are matched against
+  linesFor(station) {
+    return [station.line, ...(station.routes || []).map(String), ...this.constructor.lineAliases].filter(Boolean);
+  }
+
+  // Alerts in effect now for a station (the default if omitted)
+  alertsFor(stationId = this.defaultStationId, now = this.now()) {
+    const station = this.getStation(stationId);
+    if (!station) {
+      return [];
+    }
+    const scope = { lines: this.linesFor(station), stationName: station.name };
+    return this.alerts.filter(alert => isActive(alert, now) && alertAffects(alert, scope));
+  }
+
+  // Feed a finished station scrape (after retries) to the circuit breaker
+  recordOutcome(success) {
+    const wasOpen = this.breaker.state === 'open';
+    if (success) {
+      if (this.breaker.state !== 'closed') {
+        this.logger.info('✅ Scrape succeeded, closing circuit');
+      }
+      this.breaker.recordSuccess();
+      return;
+    }
+
+    this.retryStats.exhausted++;
+    this.breaker.recordFailure();
+    if (!wasOpen && this.breaker.state === 'open') {
+      const { consecutiveFailures, cooldownMinutes } = this.breaker.getState();
+      this.logger.warn(`⛔ ${consecutiveFailures} consecutive failed scrapes, opening circuit for ${cooldownMinutes} minutes`);
+    }
+  }
+
+  async scrapeStation(station) {
+    throw new Error(`${this.constructor.name} must implement scrapeStation()`);
+  }
+
+  processData(rawData, station) {
+    throw new Error(`${this.constructor.name} must implement processData()`);
+  }
+
+  // Interval and pause in effect now, from the schedule policy and/or the configured interval
+  currentSchedule(now = this.now()) {
+    if (!this.schedulePolicy) {
+      return { window: null, paused: false, intervalMinutes: this.scrapeIntervalMinutes || DEFAULT_SCRAPE_INTERVAL_MINUTES };
+    }
+    const schedule = this.schedulePolicy.resolve(now);
+    return schedule.window || !this.scrapeIntervalMinutes ? schedule : { ...schedule, intervalMinutes: this.scrapeIntervalMinutes };
+  }
+
+  // Whether the mode can serve traffic: fresh data for at least one station, or a
+  // scheduled pause, during which boards are expected to go stale
+  readiness(now = this.now()) {
+    const stations = this.stations.map(station => ({ stationId: station.id, ...this.dataAge(station.id, now) }));
+    const { paused, window } = this.currentSchedule(now);
+    return {
+      ready: paused || stations.some(station => !station.stale),
+      scheduledPause: paused ? window : null,
+      maxDataAgeSeconds: this.maxDataAgeSeconds,
+      stations
+    };
+  }
+
+  startScheduledScraping() {
+    const schedule = this.schedulePolicy ? 'on its time-of-day schedule' : `every ${this.currentSchedule().intervalMinutes} minutes`;
+    this.logger.info(`🕒 Starting scheduled scraping ${schedule}`);
+    clearTimeout(this.scrapeTimer);
+    this.scheduledScraping = true;
+    this.scheduleGeneration++;
+
+    // Do an initial scrape
+    this.runScheduledScrape('Initial scheduled scrape');
+  }
+
+  async runScheduledScrape(label = 'Scheduled scrape') {
+    const startedAt = this.now();
+    const generation = this.scheduleGeneration;
+    const { paused, window } = this.currentSchedule();
+
+    if (paused) {
+      this.logger.info(`⏸️ Scheduled scraping paused (${window})`);
+    } else if (!this.breaker.canAttempt()) {
+      this.logger.warn('⛔ Circuit open, skipping scheduled scrape');
+    } else {
+      if (label === 'Scheduled scrape') {
+        this.logger.info('🔄 Running scheduled scrape...');
+      }
+      try {
+        await this.scrapeData();
+        this.logger.info(`${label} completed`);
+      } catch (err) {
+        this.logger.error(`${label} failed`, { error: err });
+      }
+    }
+
+    if (generation === this.scheduleGeneration) {
+      this.scheduleNextScrape(this.now() - startedAt);
+    }
+  }
+
+  // Keep the interval measured from the start of the last scrape, wake up early when
+  // the schedule changes, and wait out an open circuit
+  scheduleNextScrape(elapsedMs = 0) {
+    if (!this.scheduledScraping) {
+      return;
+    }
+    const now = this.now();
+    const { paused, intervalMinutes } = this.currentSchedule(now);
+    const nextChange = this.schedulePolicy ? this.schedulePolicy.nextChange(now) : null;
+    const untilChange = nextChange ? nextChange - now : Infinity;
+
+    const scheduled = paused ? untilChange : Math.min(intervalMinutes * 60 * 1000 - elapsedMs, untilChange);
+    const delay = Math.max(scheduled, this.breaker.remainingMs(), 0);
+    this.nextScrapeAt = new Date(now.getTime() + delay);
+    this.scrapeTimer = setTimeout(() => this.runScheduledScrape(), delay);
+  }
+
+  stopScheduledScraping() {
+    if (this.scheduledScraping) {
+      clearTimeout(this.scrapeTimer);
+      this.scrapeTimer = null;
+      this.scheduledScraping = false;
+      this.scheduleGeneration++;
+      this.nextScrapeAt = null;
+      this.logger.info('⏹️ Stopped scheduled scraping');
+    }
+  }
+
+  // Pick up a new interval or page settings straight away
+  restartScheduledScraping() {
+    if (this.scheduledScraping) {
+      this.stopScheduledScraping();
+      this.startScheduledScraping();
+    }
+  }
+
+  // Stop scheduled and on-demand scraping until resume(); manual scrapes still run
+  pause() {
+    this.paused = true;
+    this.stopScheduledScraping();
+    this.logger.info('⏸️ Scraping paused');
+  }
+
+  resume() {
+    this.paused = false;
+    this.logger.info('▶️ Scraping resumed');
+    if (!this.scheduledScraping) {
+      this.startScheduledScraping();
+    }
+  }
+
+  // When a departure leaves: its estimated time, else its scheduled time, or null if neither parses.
+  // A bare "11:27 PM" is read in New York time as the occurrence nearest the schedule (or `now`).
+  getDepartureDate(departureTime, scheduledTime, now = this.now()) {
+    return departureTimes({ time: departureTime, scheduledTime }, now).estimatedAt;
+  }
+
+  // Countdown text for a departure ("in 12 mins"), or the board's own text if it has no time
+  calculateTimeUntilDeparture(departureTime, scheduledTime, countdown = this.countdown) {
+    const now = this.now();
+    const targetTime = this.getDepartureDate(departureTime, scheduledTime, now);
+    if (!targetTime) {
+      return departureTime || countdown.text('unknown');
+    }
+    return countdown.format((targetTime - now) / 60000);
+  }
+
+  // Age of a station's last successful scrape, and whether it's past maxDataAgeSeconds
+  dataAge(stationId, now = this.now()) {
+    const { lastUpdated } = this.lastData[stationId];
+    if (!lastUpdated) {
+      return { dataAgeSeconds: null, stale: true };
+    }
+    const dataAgeSeconds = Math.round((now - new Date(lastUpdated)) / 1000);
+    return { dataAgeSeconds, stale: dataAgeSeconds > this.maxDataAgeSeconds };
+  }
+
+  // Whether a train from a board scraped at `scrapedAt` has left by `now`.
+  // Uses the later of the scheduled and estimated times, so delayed trains stay listed.
+  hasDeparted(train, scrapedAt, now = this.now()) {
+    const { scheduledAt, estimatedAt } = departureTimes(train, new Date(scrapedAt));
+    const times = [scheduledAt, estimatedAt].filter(Boolean);
+    if (times.length === 0) {
+      return false;
+    }
+    return Math.max(...times) + DEPARTED_GRACE_MS < now.getTime();
+  }
+
+  // Apply parsed ?limit=, ?destination= and ?after= filters to one direction's departures
+  filterDepartures(departures, { limit = null, destination = null, after = null } = {}) {
+    let filtered = departures;
+
+    if (destination) {
+      const needle = destination.toUpperCase();
+      filtered = filtered.filter(train => (train.destination || '').toUpperCase().includes(needle));
+    }
+
+    if (after) {
+      filtered = filtered.filter(train => {
+        const departureDate = this.getDepartureDate(train.time, train.scheduledTime);
+        return departureDate && departureDate > after;
+      });
+    }
+
+    return limit ? filtered.slice(0, limit) : filtered;
+  }
+
+  // Get cached data for one station (the default if omitted) with real-time calculations.
+  // `countdown` is a CountdownFormatter for the calculatedStatus wording, e.g. the request's language.
+  getCachedData(stationId = this.defaultStationId, filters = {}, { countdown = this.countdown } = {}) {
+    const stationData = this.lastData[stationId];
+    if (!stationData) {
+      return null;
+    }
+
+    const now = this.now();
+    const alerts = this.alertsFor(stationId, now);
+    const serviceAlerts = { alerts, disruption: disruptionSummary(alerts) };
+
+    if (!stationData.lastUpdated) {
+      return {
+        ...stationData,
+        stale: true,
+        dataAgeSeconds: null,
+        ...serviceAlerts,
+        message: 'No data available yet. Waiting for first scrape...'
+      };
+    }
+
+    // Drop trains that have left, then calculate real-time status for the rest
+    const processedData = { ...stationData, ...this.dataAge(stationId, now), ...serviceAlerts };
+    for (const direction of this.directions) {
+      const upcoming = stationData[direction].filter(train => !this.hasDeparted(train, stationData.lastUpdated, now));
+      processedData[direction] = this.filterDepartures(upcoming, filters).map(train => ({
+        ...train,
+        ...normalizeDeparture(train, { now, scrapedAt: stationData.lastUpdated }),
+        calculatedStatus: this.calculateTimeUntilDeparture(train.time, train.scheduledTime, countdown)
+      }));
+    }
+
+    if (stationData.status !== 'success') {
+      processedData.message = `Latest scrape returned ${stationData.status}; showing departures from ${stationData.lastUpdated}`;
+    }
+
+    return processedData;
+  }
+
+  getStatus() {
+    const defaultData = this.lastData[this.defaultStationId];
+    const stations = {};
+    for (const [stationId, data] of Object.entries(this.lastData)) {
+      stations[stationId] = { status: data.status, lastUpdated: data.lastUpdated, ...this.dataAge(stationId) };
+    }
+
+    return {
+      mode: this.mode,
+      status: defaultData.status,
+      lastUpdated: defaultData.lastUpdated,
+      ...this.dataAge(this.defaultStationId),
+      maxDataAgeSeconds: this.maxDataAgeSeconds,
+      defaultStation: this.defaultStationId,
+      stations,
+      isRunning: this.isRunning,
+      paused: this.paused,
+      scheduledScraping: this.scheduledScraping,
+      scrapeIntervalMinutes: this.currentSchedule().intervalMinutes,
+      schedule: this.currentSchedule(),
+      onDemand: this.onDemand ? { ...this.onDemand, scrapes: this.onDemandScrapes } : null,
+      nextScrapeAt: this.nextScrapeAt ? this.nextScrapeAt.toISOString() : null,
+      nextScrapeIn: this.nextScrapeAt
+        ? `${Math.max(0, Math.ceil((this.nextScrapeAt - this.now()) / 60000))} minutes or less`
+        : 'Not scheduled',
+      alerts: { count: this.alerts.length, updatedAt: this.alertsUpdatedAt },
+      retry: { ...this.retryPolicy, ...this.retryStats },
+      circuitBreaker: this.breaker.getState()
+    };
+  }
+
+  async close() {
+    this.stopScheduledScraping();
+  }
+}
+
+module.exports = TransitScraper;
@@ -0,0 +1,51 @@
+const DepartureVisionScraper = require('./departure-vision');
+
+/**
+ * NJ Transit bus DepartureVision board for a stop.
+ *
+ * Stations are bus stops configured with a `stopId`; the board loads its
+ * data as soon as the page opens, so there is no form to fill.
+ */
+class BusScraper extends DepartureVisionScraper {
+  static mode = 'bus';
+  static displayName = 'NJ Transit Bus';
+  static directions = ['departures'];
+  static graphqlKeys = ['getBusDV5', 'getBusDV', 'getDepartures', 'departures'];
+  static baseUrl = 'https://www.njtransit.com/bus-to';
+
+  buildUrl(station) {
+    if (station.url) {
+      return station.url;
+    }
+    if (!station.stopId) {
+      throw new Error(`Bus stop ${station.id} has no stopId`);
+    }
+    return `${this.baseUrl}?stopID=${encodeURIComponent(station.stopId)}&form=stopID`;
+  }
+
+  async interact(page, station) {
+    this.log(`Waiting for bus departures at stop ${station.stopId || station.id}...`);
+    await new Promise(resolve => setTimeout(resolve, 3000));
+  }
+
+  processData(rawData, station) {
+    const routes = station.routes ? station.routes.map(String) : null;
+
+    const departures = rawData
+      .map(bus => ({
+        route: String(bus.public_route || bus.route || ''),
+        destination: bus.header || bus.destination,
+        time: bus.departuretime || bus.time,
+        status: bus.departurestatus || bus.status,
+        scheduledTime: bus.schedDepTime
+      }))
+      // Optionally restrict a shared stop to the routes we ride
+      .filter(departure => !routes || routes.includes(departure.route));
+
+    return {
+      departures
+    };
+  }
+}
+
+module.exports = BusScraper;
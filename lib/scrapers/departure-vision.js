@@ -0,0 +1,641 @@
+const TransitScraper = require('./base');
+const { GraphQLClient } = require('../graphql');
+const { currentTrace } = require('../traces');
+const { parseSystemStatus } = require('../alerts');
+const { LocatorReport, STEP_ATTRIBUTE, SUBMIT_LOCATORS, fieldLocators, locateElement, tabLocators } = require('./locators');
+
+// Direct fetches replay the captured system status query at most this often
+const ALERT_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Puppeteer flow shared by the NJ Transit DepartureVision boards.
+ *
+ * Opens the board for a station, lets the subclass drive the page through
+ * `interact()` (by default: switch to `tab`, fill `getFormFields()`, press
+ * "Get departures") and captures the departures from the GraphQL response
+ * whose data key appears in `graphqlKeys`.
+ *
+ * Advisories in `getSystemStatus` payloads, which the page requests on
+ * load, become the mode's service alerts. Direct fetches replay that query
+ * too, at most every ALERT_REFRESH_MS.
+ *
+ * Each element of the form is found through an ordered list of locators
+ * (see ./locators). When only a fallback locator still matches, the drift
+ * is logged and reported under `selectors` in getStatus().
+ *
+ * With `fetchMode: 'direct'` the GraphQL query captured from an earlier
+ * browser session is replayed over plain HTTP instead, and the browser is
+ * only used when no query has been captured yet or the direct call fails.
+ *
+ * The page address (`baseUrl`), form `tab` and user agent can be overridden
+ * per instance through the runtime config.
+ *
+ * When the attempt is traced, the page analyses, every GraphQL exchange and,
+ * if no departures were captured, a screenshot and HTML snapshot of the page
+ * go into the trace.
+ */
+class DepartureVisionScraper extends TransitScraper {
+  // Bootstrap-Vue tab for this mode on the DepartureVision form
+  static tab = null;
+  // DepartureVision page that subclasses add their query string to
+  static baseUrl = null;
+  static userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  // GraphQL data keys that may carry departures, in order of preference
+  static graphqlKeys = ['getDepartures', 'departures'];
+
+  constructor(options) {
+    super(options);
+    this.graphqlKeys = this.constructor.graphqlKeys;
+    this.queryStore = options.queryStore || null;
+    this.graphqlClient = options.graphqlClient || new GraphQLClient();
+    this.configurePage(options);
+    this.fetchStats = { direct: 0, browser: 0, fallbacks: 0, lastSource: null, lastFallbackReason: null };
+    this.locatorReport = new LocatorReport(this.logger);
+  }
+
+  configure(options) {
+    super.configure(options);
+    this.configurePage(options);
+  }
+
+  configurePage({ fetchMode = 'browser', graphqlEndpoint = null, userAgent, baseUrl, tab }) {
+    this.fetchMode = fetchMode;
+    // Overrides the captured endpoint, e.g. to point at a mock server
+    this.graphqlEndpoint = graphqlEndpoint;
+    this.userAgent = userAgent || this.constructor.userAgent;
+    this.graphqlClient.userAgent = this.userAgent;
+    this.baseUrl = baseUrl || this.constructor.baseUrl;
+    this.tab = tab || this.constructor.tab;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      fetchMode: this.fetchMode,
+      fetchStats: this.fetchStats,
+      selectors: this.locatorReport.getStatus()
+    };
+  }
+
+  // Keep a GraphQL request/response pair in the trace of the running attempt
+  traceGraphql(exchange) {
+    const trace = currentTrace();
+    if (trace) {
+      trace.graphqlExchange(exchange);
+    }
+  }
+
+  // Remember the first stage of the browser flow that went wrong
+  noteFailure(stage) {
+    if (!this.failureStage) {
+      this.failureStage = stage;
+    }
+  }
+
+  buildUrl(station) {
+    throw new Error(`${this.constructor.name} must implement buildUrl()`);
+  }
+
+  // Ordered form inputs to fill: [{ step, id, value, forceEnable }], where `step` is 'line' or 'origin'
+  getFormFields(station) {
+    return [];
+  }
+
+  // Keep the service advisories a payload carries; true if it had any status
+  captureAlerts(responseData) {
+    if (!responseData.data || !responseData.data.getSystemStatus) {
+      return false;
+    }
+    this.setAlerts(parseSystemStatus(responseData.data.getSystemStatus));
+    return true;
+  }
+
+  // Replay the captured system status query when the alerts are getting old
+  async refreshAlerts() {
+    const request = this.queryStore && this.queryStore.buildStatus(this.mode);
+    const age = this.alertsUpdatedAt ? this.now() - new Date(this.alertsUpdatedAt) : Infinity;
+    if (!request || age < ALERT_REFRESH_MS) {
+      return;
+    }
+
+    const endpoint = this.graphqlEndpoint || request.endpoint;
+    try {
+      const responseData = await this.graphqlClient.request(endpoint, request.body, request.headers);
+      this.traceGraphql({ source: 'direct', url: endpoint, request: request.body, status: 200, response: responseData });
+      this.captureAlerts(responseData);
+    } catch (error) {
+      // Stale alerts are better than a failed board
+      this.traceGraphql({ source: 'direct', url: endpoint, request: request.body, status: error.status || null, error: error.message });
+      this.logger.warn('Could not refresh service alerts', { error: error.message });
+    }
+  }
+
+  // Pull the departure array out of an intercepted GraphQL payload
+  extractDepartures(responseData) {
+    if (!responseData.data) {
+      return null;
+    }
+
+    const dataKeys = Object.keys(responseData.data);
+    this.log('GraphQL data keys', { dataKeys });
+    
+    // Check for any data structure that might contain departure info
+    for (const key of dataKeys) {
+      const data = responseData.data[key];
+      if (Array.isArray(data) && data.length > 0) {
+        const firstItem = data[0];
+        if (firstItem && (firstItem.departuretime || firstItem.header || firstItem.destination || firstItem.time)) {
+          this.log(`Found departure data in ${key} with ${data.length} entries`);
+          return data;
+        }
+      }
+    }
+    
+    for (const key of this.graphqlKeys) {
+      if (responseData.data[key]) {
+        this.log(`Found ${key} with ${responseData.data[key].length} departures`);
+        return responseData.data[key];
+      }
+    }
+
+    if (responseData.data.getSystemStatus) {
+      this.log('Found system status data (no departures)');
+    } else {
+      // The full payload is kept in the scrape trace when tracing is on
+      this.log('GraphQL response without departures', { dataKeys });
+    }
+    return null;
+  }
+
+  async scrapeStation(station) {
+    if (this.fetchMode === 'direct') {
+      try {
+        const departures = await this.fetchDirect(station);
+        if (departures) {
+          this.fetchStats.direct++;
+          this.fetchStats.lastSource = 'direct';
+          return departures;
+        }
+        this.fetchStats.lastFallbackReason = 'no captured query';
+      } catch (error) {
+        this.logger.warn(`Direct GraphQL fetch failed for ${station.name}${error.needsAuth ? ' (needs tokens)' : ''}`, { error: error.message });
+        this.fetchStats.lastFallbackReason = error.message;
+      }
+      this.fetchStats.fallbacks++;
+      this.logger.info(`Falling back to browser scrape for ${station.name}`);
+    }
+
+    const departures = await this.scrapeWithBrowser(station);
+    this.fetchStats.browser++;
+    this.fetchStats.lastSource = 'browser';
+    return departures;
+  }
+
+  // Replay the captured departures query; null when there is nothing to replay
+  async fetchDirect(station) {
+    const request = this.queryStore && this.queryStore.build(this.mode, station);
+    if (!request) {
+      return null;
+    }
+
+    await this.refreshAlerts();
+    const endpoint = this.graphqlEndpoint || request.endpoint;
+    this.log(`Fetching ${station.name} directly from ${endpoint}`);
+    let responseData;
+    try {
+      responseData = await this.graphqlClient.request(endpoint, request.body, request.headers);
+    } catch (error) {
+      this.traceGraphql({ source: 'direct', url: endpoint, request: request.body, status: error.status || null, error: error.message });
+      throw error;
+    }
+    this.traceGraphql({ source: 'direct', url: endpoint, request: request.body, status: 200, response: responseData });
+    this.captureAlerts(responseData);
+    const departures = this.extractDepartures(responseData);
+    if (!departures) {
+      throw new Error('Direct GraphQL response did not contain departures');
+    }
+    return departures;
+  }
+
+  async scrapeWithBrowser(station) {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    let graphqlData = null;
+
+    try {
+      // Set user agent to avoid detection
+      await page.setUserAgent(this.userAgent);
+      
+      // Intercept both requests and responses to understand the GraphQL query structure
+      page.on('request', async request => {
+        if (request.url().includes('graphql') && request.method() === 'POST') {
+          this.log('GraphQL request', { url: request.url() });
+        }
+      });
+      
+      page.on('response', async response => {
+        try {
+          const url = response.url();
+          
+          // Check for GraphQL or API calls that might contain departure data
+          if (url.includes('graphql') && response.request().method() === 'POST') {
+            this.log('Intercepted GraphQL response', { url, status: response.status() });
+            const exchange = { source: 'browser', url, request: response.request().postData(), status: response.status() };
+            let responseData;
+            try {
+              responseData = await response.json();
+            } catch (error) {
+              this.traceGraphql({ ...exchange, error: error.message });
+              throw error;
+            }
+            this.traceGraphql({ ...exchange, response: responseData });
+            if (this.captureAlerts(responseData) && this.queryStore) {
+              const request = response.request();
+              this.queryStore.captureStatus(this.mode, { url, postData: request.postData(), headers: request.headers() });
+            }
+            
+            // Later payloads (after the form is submitted) replace earlier ones
+            const departures = this.extractDepartures(responseData);
+            if (departures) {
+              graphqlData = departures;
+              // Remember the query so the next scrape can skip the browser
+              if (this.queryStore) {
+                const request = response.request();
+                this.queryStore.capture(this.mode, station, {
+                  url,
+                  postData: request.postData(),
+                  headers: request.headers()
+                });
+              }
+            }
+          }
+        } catch (error) {
+          this.logger.warn('Error processing GraphQL response', { error: error.message });
+          this.noteFailure('graphql_parse');
+        }
+      });
+
+      try {
+        this.log('Navigating to NJ Transit page...');
+        await page.goto(this.buildUrl(station), {
+          waitUntil: 'networkidle2',
+          timeout: 60000
+        });
+
+        // Wait for page to load
+        this.log('Waiting for data to load...');
+        await page.waitForSelector('body', { timeout: 10000 });
+      } catch (error) {
+        error.stage = 'navigation';
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      
+      await this.interact(page, station);
+
+      return graphqlData;
+    } finally {
+      if (!graphqlData) {
+        await this.snapshotPage(page);
+      }
+      await page.close();
+    }
+  }
+
+  // Screenshot and HTML of a page that gave no departures, for the trace
+  async snapshotPage(page) {
+    const trace = currentTrace();
+    if (!trace) {
+      return;
+    }
+    try {
+      trace.snapshot({
+        screenshot: await page.screenshot({ type: 'png', fullPage: true }),
+        html: await page.content()
+      });
+    } catch (error) {
+      this.logger.warn('Could not snapshot page for the scrape trace', { error: error.message });
+    }
+  }
+
+  // Find one element of the flow and mark it for the actions that follow.
+  // Returns a selector for it, or null when no locator matched.
+  async locate(page, step, locators) {
+    const rank = await page.evaluate(locateElement, step, locators, STEP_ATTRIBUTE);
+    const { locator } = this.locatorReport.record(step, locators, rank);
+    this.traceStep(`locate:${step}`, { rank, locator });
+    return rank >= 0 ? `[${STEP_ATTRIBUTE}="${step}"]` : null;
+  }
+
+  // Try to interact with elements that might trigger departure data loading
+  async interact(page, station) {
+    const tab = this.tab;
+    const fields = this.getFormFields(station);
+    // Which step of the flow we're on, for failure attribution
+    let stage = 'tab_switch';
+
+    try {
+      // Inspect the page content to see what's actually loaded
+      const pageContent = await page.evaluate((origin, tabLabel) => {
+        const body = document.body.innerText;
+        const departures = document.querySelectorAll('[class*="departure"], [class*="time"], [class*="train"], .schedule, .departure-time');
+      
+        // Look for any table or list elements that might contain departure data
+        const tables = document.querySelectorAll('table, .table, [class*="schedule"], [class*="board"]');
+        const lists = document.querySelectorAll('ul, ol, [class*="list"]');
+      
+        return {
+          hasOrigin: body.toUpperCase().includes(origin.toUpperCase()),
+          hasTabLabel: body.includes(tabLabel),
+          hasDepartures: body.includes('departure') || body.includes('Departure'),
+          departureElements: departures.length,
+          tableElements: tables.length,
+          listElements: lists.length,
+          bodyLength: body.length,
+          bodyPreview: body.substring(0, 1000),
+          url: window.location.href,
+          title: document.title
+        };
+      }, station.name, tab.label);
+      this.log('Page analysis', { pageContent });
+      this.traceStep('pageContent', pageContent);
+    
+      // First switch to the mode's tab, then look for the "Get departures" button
+      try {
+        this.log(`Switching to ${tab.label} tab...`);
+      
+        // Look for and click the mode's tab to make it active
+        const tabSelector = await this.locate(page, 'tab', tabLocators(tab));
+        const tabClicked = tabSelector !== null && await page.evaluate((selector) => {
+          const targetTab = document.querySelector(selector);
+          console.log('Tab element details:', {
+            tagName: targetTab.tagName,
+            className: targetTab.className,
+            id: targetTab.id,
+            textContent: targetTab.textContent?.trim()
+          });
+        
+          // Use multiple click strategies
+          targetTab.focus();
+          targetTab.click();
+        
+          // Dispatch additional events
+          targetTab.dispatchEvent(new Event('click', { bubbles: true }));
+          targetTab.dispatchEvent(new Event('mousedown', { bubbles: true }));
+          targetTab.dispatchEvent(new Event('mouseup', { bubbles: true }));
+        
+          return true;
+        }, tabSelector);
+      
+        if (tabClicked) {
+          this.log(`Successfully clicked ${tab.label} tab`);
+          // Wait for tab switch to complete
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        
+          // Verify the tab switch worked by checking the form tabs
+          const tabSwitchVerification = await page.evaluate((selector) => {
+            const targetTab = document.querySelector(selector);
+          
+            return {
+              targetTabActive: targetTab?.classList.contains('active') || targetTab?.getAttribute('aria-selected') === 'true' || false,
+              targetTabClasses: targetTab?.className || 'not found',
+              activeTabsFound: Array.from(document.querySelectorAll('.nav-link.active, [role="tab"][aria-selected="true"]')).map(tab => ({
+                id: tab.id,
+                text: tab.textContent?.trim(),
+                className: tab.className
+              }))
+            };
+          }, tabSelector);
+        
+          this.log('Tab switch verification', { tabSwitchVerification });
+          this.traceStep('tabSwitchVerification', tabSwitchVerification);
+        
+          if (!tabSwitchVerification.targetTabActive) {
+            this.log(`${tab.label} tab still not active after click, trying programmatic activation...`);
+          
+            // Try programmatic tab activation
+            const programmaticActivation = await page.evaluate((selector) => {
+              const targetTab = document.querySelector(selector);
+            
+              if (targetTab) {
+                // Remove active class from the other form tabs
+                for (const otherTab of document.querySelectorAll('[role="tab"].active, .nav-link.active')) {
+                  otherTab.classList.remove('active');
+                  otherTab.setAttribute('aria-selected', 'false');
+                }
+              
+                // Add active class to the target tab
+                targetTab.classList.add('active');
+                targetTab.setAttribute('aria-selected', 'true');
+              
+                // Trigger tab change events
+                targetTab.dispatchEvent(new Event('shown.bs.tab', { bubbles: true }));
+              
+                console.log('Programmatically activated tab', targetTab.textContent?.trim());
+                return true;
+              }
+              return false;
+            }, tabSelector);
+          
+            if (programmaticActivation) {
+              await new Promise(resolve => setTimeout(resolve, 500));
+            }
+          }
+        } else {
+          this.logger.warn(`Could not find ${tab.label} tab`, { buttonId: tab.buttonId });
+          this.noteFailure('tab_switch');
+        }
+      
+        stage = 'form_fill';
+        this.log('Looking for "Get departures" button...');
+      
+        // Check if we're on the right tab and look for form fields that need to be filled
+        const formAnalysis = await page.evaluate(() => {
+          // Look for any input fields, selects, or form elements
+          const inputs = Array.from(document.querySelectorAll('input, select, textarea'));
+          const formInfo = inputs.map((input, i) => ({
+            index: i,
+            tagName: input.tagName,
+            type: input.type,
+            name: input.name,
+            id: input.id,
+            value: input.value,
+            placeholder: input.placeholder,
+            required: input.required,
+            disabled: input.disabled
+          }));
+        
+          // Check if there are any visible forms
+          const forms = Array.from(document.querySelectorAll('form'));
+        
+          return {
+            inputs: formInfo,
+            formCount: forms.length,
+            currentTab: document.querySelector('.nav-link.active')?.textContent?.trim() || 'unknown'
+          };
+        });
+      
+        this.log('Form analysis', { formAnalysis });
+        this.traceStep('formAnalysis', formAnalysis);
+      
+        // Check if we're on the correct tab before filling forms
+        const currentTabStatus = await page.evaluate((selector) => {
+          const targetTab = selector && document.querySelector(selector);
+        
+          // Also check visible form content
+          const formContainer = document.querySelector('form, .form-container, [class*="form"]');
+          const visibleInputs = Array.from(document.querySelectorAll('input:not([style*="display: none"]):not([style*="display:none"])'));
+        
+          return {
+            targetTabActive: targetTab?.classList.contains('active') || targetTab?.getAttribute('aria-selected') === 'true' || false,
+            formPresent: !!formContainer,
+            visibleInputCount: visibleInputs.length,
+            formTabContent: document.querySelector('.tab-content, [class*="tab-pane"]')?.innerText?.substring(0, 200) || 'not found'
+          };
+        }, tabSelector);
+      
+        this.log('Current tab status before form fill', { currentTabStatus });
+        this.traceStep('currentTabStatus', currentTabStatus);
+      
+        if (!currentTabStatus.targetTabActive) {
+          this.logger.warn(`${tab.label} tab is not active, form filling may fail`);
+        }
+      
+        // Fill in the required form fields to enable the button
+        this.log('Attempting to fill form fields...');
+      
+        // Fill each field in order; later fields are only enabled once the earlier ones are set
+        const fillResults = {};
+        let formFilled = true;
+        for (const [index, field] of fields.entries()) {
+          if (index > 0) {
+            this.log(`Waiting for ${field.step} field to be enabled...`);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
+        
+          // Located right before filling: the page may re-render fields as earlier ones change
+          const fieldSelector = await this.locate(page, field.step, fieldLocators(field));
+          fillResults[field.step] = fieldSelector !== null && await page.evaluate((selector, field) => {
+            const input = document.querySelector(selector);
+            if (field.forceEnable || !input.disabled) {
+              // Force enable if still disabled
+              input.disabled = false;
+              input.focus();
+              input.value = field.value;
+              input.dispatchEvent(new Event('input', { bubbles: true }));
+              input.dispatchEvent(new Event('change', { bubbles: true }));
+              input.dispatchEvent(new Event('blur', { bubbles: true }));
+              console.log(`Filled ${field.step} field with:`, input.value);
+              return true;
+            } else {
+              console.log(`${field.step} input is disabled`);
+              return false;
+            }
+          }, fieldSelector, field);
+        
+          if (!fillResults[field.step]) {
+            formFilled = false;
+            break;
+          }
+        }
+      
+        this.log('Form filling results', { fillResults });
+        this.traceStep('fillResults', fillResults);
+      
+        if (formFilled) {
+          // Wait for form validation to complete
+          await new Promise(resolve => setTimeout(resolve, 500));
+        } else {
+          this.logger.warn('Could not fill form fields, form filling failed', { fillResults });
+          this.noteFailure('form_fill');
+        }
+      
+        stage = 'button_click';
+      
+        // Check if the button is found and enabled now
+        const submitSelector = await this.locate(page, 'submit', SUBMIT_LOCATORS);
+        const buttonStatus = submitSelector === null ? { found: false } : await page.evaluate((selector) => {
+          const submitButton = document.querySelector(selector);
+          return {
+            found: true,
+            disabled: submitButton.disabled || submitButton.classList.contains('disabled'),
+            text: submitButton.textContent || submitButton.value,
+            className: submitButton.className
+          };
+        }, submitSelector);
+      
+        this.log('Submit button status after form fill', { buttonStatus });
+        this.traceStep('buttonStatus', buttonStatus);
+      
+        const getDeparturesButtonClicked = buttonStatus.found && !buttonStatus.disabled && await page.evaluate((selector) => {
+          const button = document.querySelector(selector);
+          console.log('Clicking button with text:', button.textContent || button.value);
+        
+          // Multiple click strategies
+          button.focus();
+          button.click();
+          button.dispatchEvent(new Event('click', { bubbles: true }));
+          button.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+        
+          return true;
+        }, submitSelector);
+      
+        if (getDeparturesButtonClicked) {
+          this.log('Successfully clicked "Get departures" button');
+        
+          // Wait for the departure data to load
+          this.log('Waiting for departure data to load after button click...');
+          await new Promise(resolve => setTimeout(resolve, 2000));
+        
+          // Check if departure data appeared in the DOM
+          const postClickContent = await page.evaluate((origin) => {
+            const body = document.body.innerText;
+            const tables = document.querySelectorAll('table, .table, [class*="schedule"], [class*="board"], [class*="departure"]');
+            const timeElements = document.querySelectorAll('[class*="time"], [class*="minute"]');
+          
+            return {
+              hasOrigin: body.toUpperCase().includes(origin.toUpperCase()),
+              hasHoboken: body.includes('HOBOKEN') || body.includes('Hoboken'),
+              hasWestSide: body.includes('WEST SIDE') || body.includes('West Side'),
+              hasTimes: /\d{1,2}:\d{2}/.test(body),
+              tableCount: tables.length,
+              timeElementCount: timeElements.length,
+              bodyLength: body.length,
+              relevantText: body.match(/.{0,100}(departure|time|hoboken|west side|essex).{0,100}/gi) || []
+            };
+          }, station.name);
+        
+          this.log('Post-click page analysis', { postClickContent });
+          this.traceStep('postClickContent', postClickContent);
+        } else {
+          this.logger.warn(buttonStatus.found ? '"Get departures" button is still disabled' : 'Could not find "Get departures" button');
+          this.noteFailure('button_click');
+        
+          // List all buttons for debugging
+          const allButtons = await page.evaluate(() => {
+            const buttons = Array.from(document.querySelectorAll('button, [role="button"], .btn, input[type="submit"]'));
+            return buttons.map((btn, i) => ({
+              index: i,
+              text: btn.textContent?.trim() || btn.value || '',
+              className: btn.className,
+              type: btn.type
+            }));
+          });
+          this.log('Available buttons', { allButtons });
+          this.traceStep('allButtons', allButtons);
+        }
+      } catch (error) {
+        this.logger.warn('Button interaction error', { stage, error: error.message });
+        this.noteFailure(stage);
+      }
+    
+    } catch (error) {
+      this.logger.warn('Interaction error', { stage, error: error.message });
+      this.noteFailure(stage);
+      // Continue anyway
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+module.exports = DepartureVisionScraper;
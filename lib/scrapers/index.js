@@ -0,0 +1,21 @@
+const TransitScraper = require('./base');
+const DepartureVisionScraper = require('./departure-vision');
+const LightRailScraper = require('./light-rail');
+const RailScraper = require('./rail');
+const BusScraper = require('./bus');
+
+// Every scraper the registry knows how to build, keyed by mode
+const SCRAPERS = {
+  [LightRailScraper.mode]: LightRailScraper,
+  [RailScraper.mode]: RailScraper,
+  [BusScraper.mode]: BusScraper
+};
+
+module.exports = {
+  SCRAPERS,
+  TransitScraper,
+  DepartureVisionScraper,
+  LightRailScraper,
+  RailScraper,
+  BusScraper
+};
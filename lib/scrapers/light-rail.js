@@ -0,0 +1,58 @@
+const DepartureVisionScraper = require('./departure-vision');
+const { classifyDirection, findStation } = require('../hblr-topology');
+
+class LightRailScraper extends DepartureVisionScraper {
+  static mode = 'light-rail';
+  static displayName = 'Hudson-Bergen Light Rail';
+  // Trains whose destination isn't in the route model land in 'unknown'
+  static directions = ['northbound', 'southbound', 'unknown'];
+  static defaultLine = 'Hudson-Bergen Light Rail';
+  static lineAliases = ['HBLR'];
+  static fallbackStations = [
+    { id: 'essex-street', name: 'ESSEX STREET LIGHT RAIL STATION' }
+  ];
+  // Rail tab: id="__BVID__335___BV_tab_button__", Light Rail tab: id="__BVID__343___BV_tab_button__"
+  static tab = { buttonId: '__BVID__343___BV_tab_button__', label: 'Light Rail' };
+  static graphqlKeys = ['getBusDV5', 'getDepartures', 'departures', 'lightRailDV'];
+  static baseUrl = 'https://www.njtransit.com/dv-to';
+
+  constructor(options) {
+    super(options);
+    for (const station of this.stations) {
+      if (!findStation(station.name)) {
+        this.logger.warn(`${station.name} is not in the HBLR route model; its departures will be classified as unknown`);
+      }
+    }
+  }
+
+  buildUrl(station) {
+    return `${this.baseUrl}?line=${encodeURIComponent(station.line)}&origin=${encodeURIComponent(station.name)}`;
+  }
+
+  getFormFields(station) {
+    return [
+      { step: 'line', id: 'line', value: station.line },
+      { step: 'origin', id: 'the-origin', value: station.name, forceEnable: true }
+    ];
+  }
+
+  processData(rawData, station) {
+    const boards = { northbound: [], southbound: [], unknown: [] };
+
+    for (const train of rawData) {
+      const departure = {
+        destination: train.header,
+        time: train.departuretime,
+        status: train.departurestatus,
+        scheduledTime: train.schedDepTime
+      };
+
+      // Classify by where the destination lies relative to this station
+      boards[classifyDirection(station.name, train.header)].push(departure);
+    }
+
+    return boards;
+  }
+}
+
+module.exports = LightRailScraper;
@@ -0,0 +1,214 @@
+const { logger: rootLogger } = require('../logger');
+
+// Attribute the page function puts on the element it found, for the actions that follow
+const STEP_ATTRIBUTE = 'data-scraper-step';
+
+// Words that name each form field in its label, placeholder or attributes
+const FIELD_NAMES = {
+  line: ['line'],
+  origin: ['origin']
+};
+
+/**
+ * Ordered ways of finding each element the DepartureVision flow touches,
+ * most robust first: ARIA role and accessible name, visible text, data and
+ * name attributes, and last the generated Bootstrap-Vue ids that change
+ * whenever NJ Transit redeploys.
+ *
+ * A locator is plain data so it can be sent into the page:
+ *   { by: 'role', roles: ['tab'], names: ['Light Rail'], exact: true }
+ *   { by: 'text', selector: '.nav-link', names: ['Light Rail'] }
+ *   { by: 'label', names: ['origin'] }          (the control of a matching <label>)
+ *   { by: 'attribute', selector: '[name="origin"]' }
+ *   { by: 'id', id: '__BVID__343___BV_tab_button__' }
+ */
+function tabLocators({ buttonId, label }) {
+  const locators = [
+    { by: 'role', roles: ['tab'], names: [label], exact: true },
+    { by: 'text', selector: '.nav-link, .nav-item a, .nav-item button', names: [label], exact: true },
+    { by: 'attribute', selector: `[data-tab=${JSON.stringify(label)} i], [data-mode=${JSON.stringify(label)} i]` }
+  ];
+  if (buttonId) {
+    locators.push({ by: 'id', id: buttonId });
+  }
+  return locators;
+}
+
+// A form input ({ step: 'line' | 'origin', id }), whether or not it is enabled yet
+function fieldLocators({ step, id }) {
+  const names = FIELD_NAMES[step] || [step];
+  const locators = [
+    { by: 'role', roles: ['combobox', 'textbox'], names },
+    { by: 'label', names },
+    { by: 'attribute', selector: names.map(name => `[name="${name}"], [data-field="${name}"], [data-testid="${name}"]`).join(', ') }
+  ];
+  if (id) {
+    locators.push({ by: 'id', id });
+  }
+  return locators;
+}
+
+const SUBMIT_LOCATORS = [
+  { by: 'role', roles: ['button'], names: ['get departures'] },
+  { by: 'text', selector: 'button, input[type="submit"], .btn, [role="button"]', names: ['get departures'] },
+  { by: 'attribute', selector: 'form [type="submit"], [data-testid*="departures"]' }
+];
+
+// 'role=tab "Light Rail"', 'label "origin"', '#__BVID__343___BV_tab_button__', ...
+function describeLocator(locator) {
+  switch (locator.by) {
+    case 'role':
+      return `role=${locator.roles.join('|')} "${locator.names.join('|')}"`;
+    case 'text':
+    case 'label':
+      return `${locator.by} "${locator.names.join('|')}"`;
+    case 'id':
+      return `#${locator.id}`;
+    default:
+      return locator.selector;
+  }
+}
+
+/**
+ * Runs inside the page: mark the first element any locator finds with
+ * data-scraper-step="<step>" and return the index of that locator, or -1.
+ * Visible elements win over hidden ones found by the same locator. Must stay
+ * self-contained, since Puppeteer sends its source to the browser.
+ */
+function locateElement(step, locators, attribute) {
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const matches = (text, names, exact) => names.some(name =>
+    exact ? normalize(text) === name.toLowerCase() : normalize(text).includes(name.toLowerCase()));
+
+  const INPUT_ROLES = { submit: 'button', button: 'button', reset: 'button', checkbox: 'checkbox', radio: 'radio' };
+  const TAG_ROLES = { BUTTON: 'button', A: 'link', SELECT: 'combobox', TEXTAREA: 'textbox' };
+  const roleOf = element => {
+    if (element.getAttribute('role')) {
+      return element.getAttribute('role');
+    }
+    if (element.tagName === 'INPUT') {
+      return INPUT_ROLES[element.type] || (element.hasAttribute('list') ? 'combobox' : 'textbox');
+    }
+    return TAG_ROLES[element.tagName] || null;
+  };
+  const accessibleName = element => {
+    if (element.getAttribute('aria-label')) {
+      return element.getAttribute('aria-label');
+    }
+    if (element.getAttribute('aria-labelledby')) {
+      return element.getAttribute('aria-labelledby').split(/\s+/)
+        .map(id => (document.getElementById(id) || {}).textContent || '')
+        .join(' ');
+    }
+    if (element.labels && element.labels.length > 0) {
+      return Array.from(element.labels).map(label => label.textContent).join(' ');
+    }
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+      return element.type === 'submit' ? element.value : element.placeholder || element.title;
+    }
+    return element.textContent;
+  };
+
+  const candidates = locator => {
+    switch (locator.by) {
+      case 'role':
+        return Array.from(document.querySelectorAll('[role], button, a, input, select, textarea'))
+          .filter(element => locator.roles.includes(roleOf(element)) && matches(accessibleName(element), locator.names, locator.exact));
+      case 'text':
+        return Array.from(document.querySelectorAll(locator.selector))
+          .filter(element => matches(element.textContent || element.value, locator.names, locator.exact));
+      case 'label':
+        return Array.from(document.querySelectorAll('label'))
+          .filter(label => matches(label.textContent, locator.names, locator.exact))
+          .map(label => label.control)
+          .filter(Boolean);
+      case 'id':
+        return [document.getElementById(locator.id)].filter(Boolean);
+      default:
+        return Array.from(document.querySelectorAll(locator.selector));
+    }
+  };
+
+  for (const marked of document.querySelectorAll(`[${attribute}="${step}"]`)) {
+    marked.removeAttribute(attribute);
+  }
+  for (const [rank, locator] of locators.entries()) {
+    let found;
+    try {
+      found = candidates(locator);
+    } catch (error) {
+      // An attribute selector this browser can't parse
+      continue;
+    }
+    const element = found.find(candidate => candidate.getClientRects().length > 0) || found[0];
+    if (element) {
+      element.setAttribute(attribute, step);
+      return rank;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Which locator found each step of the flow on the latest scrape.
+ *
+ * Anything but the first (preferred) locator is drift: the page changed and
+ * a fallback is holding things together, or nothing matched at all. Drift
+ * is logged when it starts and when it clears, and reported by getStatus()
+ * so it shows in /api/status before scrapes start coming back empty.
+ */
+class LocatorReport {
+  constructor(logger = rootLogger) {
+    this.logger = logger;
+    this.steps = {};
+  }
+
+  record(step, locators, rank) {
+    const previous = this.steps[step];
+    const entry = {
+      locator: rank >= 0 ? describeLocator(locators[rank]) : null,
+      preferred: describeLocator(locators[0]),
+      rank,
+      drift: rank !== 0,
+      lastLocatedAt: rank >= 0 ? new Date().toISOString() : (previous ? previous.lastLocatedAt : null),
+      located: (previous ? previous.located : 0) + (rank >= 0 ? 1 : 0),
+      fallbacks: (previous ? previous.fallbacks : 0) + (rank > 0 ? 1 : 0),
+      misses: (previous ? previous.misses : 0) + (rank < 0 ? 1 : 0)
+    };
+    this.steps[step] = entry;
+
+    if (previous && previous.locator === entry.locator) {
+      return entry;
+    }
+    if (rank < 0) {
+      this.logger.warn(`🧭 Could not locate the ${step} element with any of: ${locators.map(describeLocator).join(', ')}`, { step });
+    } else if (rank > 0) {
+      this.logger.warn(`🧭 Located the ${step} element by fallback ${entry.locator}; ${entry.preferred} no longer matches`, { step, locator: entry.locator });
+    } else if (previous) {
+      this.logger.info(`🧭 Located the ${step} element by ${entry.locator} again`, { step });
+    }
+    return entry;
+  }
+
+  get drift() {
+    return Object.values(this.steps).some(step => step.drift);
+  }
+
+  getStatus() {
+    return {
+      drift: this.drift,
+      driftedSteps: Object.keys(this.steps).filter(step => this.steps[step].drift),
+      steps: this.steps
+    };
+  }
+}
+
+module.exports = {
+  LocatorReport,
+  STEP_ATTRIBUTE,
+  SUBMIT_LOCATORS,
+  describeLocator,
+  fieldLocators,
+  locateElement,
+  tabLocators
+};
@@ -0,0 +1,40 @@
+const DepartureVisionScraper = require('./departure-vision');
+
+// NJ Transit commuter rail DepartureVision board for a station
+class RailScraper extends DepartureVisionScraper {
+  static mode = 'rail';
+  static displayName = 'NJ Transit Rail';
+  static directions = ['departures'];
+  // The Rail tab is the form's default tab
+  static tab = { buttonId: '__BVID__335___BV_tab_button__', label: 'Rail' };
+  static graphqlKeys = ['getTrainDepartures', 'getDepartures', 'departures'];
+  static baseUrl = 'https://www.njtransit.com/dv-to';
+
+  buildUrl(station) {
+    return `${this.baseUrl}?origin=${encodeURIComponent(station.name)}`;
+  }
+
+  getFormFields(station) {
+    return [
+      { step: 'origin', id: 'the-origin', value: station.name, forceEnable: true }
+    ];
+  }
+
+  processData(rawData) {
+    const departures = rawData.map(train => ({
+      destination: train.destination || train.header,
+      line: train.line || train.linecode || '',
+      track: train.track || '',
+      trainId: train.trainId || train.train_id || '',
+      time: train.departuretime || train.time,
+      status: train.departurestatus || train.status,
+      scheduledTime: train.schedDepTime
+    }));
+
+    return {
+      departures
+    };
+  }
+}
+
+module.exports = RailScraper;
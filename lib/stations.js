@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATIONS_FILE = path.join(__dirname, '..', 'config', 'stations.json');
+const LEGACY_MODE = 'light-rail';
+
+// "ESSEX STREET LIGHT RAIL STATION" -> "essex-street"
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/\blight rail station\b/g, '')
+    .replace(/\bstation\b/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Accepts either a bare origin name or an object with at least a name
+function normalizeStation(entry, defaultLine = null) {
+  const station = typeof entry === 'string' ? { name: entry } : { ...entry };
+  if (!station.name || typeof station.name !== 'string') {
+    throw new Error(`Invalid station entry: ${JSON.stringify(entry)}`);
+  }
+  station.name = station.name.trim();
+  station.id = station.id || slugify(station.name);
+  if (defaultLine && !station.line) {
+    station.line = defaultLine;
+  }
+  return station;
+}
+
+// Env vars for light rail keep their original unprefixed names (STATIONS, DEFAULT_STATION)
+function envPrefix(mode) {
+  return mode === LEGACY_MODE ? '' : `${mode.toUpperCase().replace(/-/g, '_')}_`;
+}
+
+function readStationsFile(file, mode) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // A plain array or a bare { default, stations } lists light rail stations
+  let section;
+  if (Array.isArray(raw) || raw.stations) {
+    section = mode === LEGACY_MODE ? raw : null;
+  } else {
+    section = raw[mode] || null;
+  }
+
+  if (!section) {
+    return { stations: null, defaultStation: null };
+  }
+  if (Array.isArray(section)) {
+    return { stations: section, defaultStation: null };
+  }
+  return { stations: section.stations || [], defaultStation: section.default || null };
+}
+
+/**
+ * Resolve the stations monitored for one transit mode.
+ *
+ * Precedence: <MODE>_STATIONS env var (comma-separated origin names), then
+ * the mode's section of the JSON file named by STATIONS_FILE (default
+ * config/stations.json), then the scraper's fallback stations.
+ * <MODE>_DEFAULT_STATION picks the station served when a route does not name
+ * one. Light rail uses the unprefixed STATIONS and DEFAULT_STATION.
+ *
+ * Returns null when the mode has no stations, i.e. it is not enabled.
+ */
+function loadStations(mode, { defaultLine = null, fallbackStations = [] } = {}, env = process.env) {
+  const prefix = envPrefix(mode);
+  let entries = null;
+  let defaultStation = null;
+
+  if (env[`${prefix}STATIONS`]) {
+    entries = env[`${prefix}STATIONS`].split(',').map(name => name.trim()).filter(Boolean);
+  } else {
+    const file = env.STATIONS_FILE || DEFAULT_STATIONS_FILE;
+    if (fs.existsSync(file)) {
+      ({ stations: entries, defaultStation } = readStationsFile(file, mode));
+    } else if (env.STATIONS_FILE) {
+      throw new Error(`Stations file not found: ${file}`);
+    }
+  }
+
+  if (!entries || entries.length === 0) {
+    entries = fallbackStations;
+  }
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return resolveStations(mode, entries, {
+    defaultLine,
+    defaultStation: env[`${prefix}DEFAULT_STATION`] || defaultStation
+  });
+}
+
+// Station entries (names or objects) -> { stations, defaultStationId }, rejecting
+// duplicate ids and a default that isn't among them. Without a default, the first station.
+function resolveStations(mode, entries, { defaultLine = null, defaultStation = null } = {}) {
+  const stations = entries.map(entry => normalizeStation(entry, defaultLine));
+
+  const ids = new Set();
+  for (const station of stations) {
+    if (ids.has(station.id)) {
+      throw new Error(`Duplicate ${mode} station id: ${station.id}`);
+    }
+    ids.add(station.id);
+  }
+
+  const defaultStationId = defaultStation || stations[0].id;
+  if (!ids.has(defaultStationId)) {
+    throw new Error(`Default ${mode} station "${defaultStationId}" is not in the configured stations`);
+  }
+
+  return { stations, defaultStationId };
+}
+
+module.exports = {
+  loadStations,
+  normalizeStation,
+  resolveStations,
+  slugify
+};
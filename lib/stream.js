@@ -0,0 +1,174 @@
+const { WebSocketServer } = require('ws');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const KEEPALIVE_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Pushes departure updates to connected clients over Server-Sent Events and
+ * WebSocket, so dashboards don't have to poll.
+ *
+ * Events (SSE `event:` name, or `{ event, data }` over WebSocket):
+ *   departures - a station's board changed after a scrape
+ *   status     - a station scrape finished (success, no_data or error)
+ *   alerts     - a mode's service alerts changed ({ mode, alerts })
+ *   tick       - once a minute, every board with recalculated countdowns
+ *
+ * Clients can narrow the stream with ?mode= and ?station= query parameters.
+ */
+class StreamHub {
+  constructor(registry) {
+    this.registry = registry;
+    this.clients = new Set();
+    this.wss = null;
+    this.tickTimer = null;
+    this.keepaliveTimer = null;
+
+    for (const scraper of registry.list()) {
+      scraper.on('departures', ({ mode, stationId }) => {
+        this.broadcast('departures', this.boardPayload(mode, stationId), { mode, stationId });
+      });
+      scraper.on('status', payload => {
+        this.broadcast('status', payload, payload);
+      });
+      scraper.on('alerts', payload => {
+        this.broadcast('alerts', payload, { mode: payload.mode });
+      });
+    }
+  }
+
+  start() {
+    this.tickTimer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.keepaliveTimer = setInterval(() => this.keepalive(), KEEPALIVE_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.tickTimer);
+    clearInterval(this.keepaliveTimer);
+    for (const client of this.clients) {
+      client.close();
+    }
+    this.clients.clear();
+    if (this.wss) {
+      this.wss.close();
+    }
+  }
+
+  boardPayload(mode, stationId) {
+    const scraper = this.registry.get(mode);
+    return { mode, ...scraper.getCachedData(stationId) };
+  }
+
+  // Every station board matching a client's subscription
+  *boardsFor(client) {
+    for (const scraper of this.registry.list()) {
+      if (client.mode && client.mode !== scraper.mode) continue;
+      for (const station of scraper.stations) {
+        if (client.stationId && client.stationId !== station.id) continue;
+        yield this.boardPayload(scraper.mode, station.id);
+      }
+    }
+  }
+
+  matches(client, { mode, stationId }) {
+    return (!client.mode || client.mode === mode) && (!client.stationId || client.stationId === stationId);
+  }
+
+  broadcast(event, data, scope) {
+    for (const client of this.clients) {
+      if (this.matches(client, scope)) {
+        client.send(event, data);
+      }
+    }
+  }
+
+  tick() {
+    const timestamp = new Date().toISOString();
+    for (const client of this.clients) {
+      client.send('tick', { timestamp, boards: Array.from(this.boardsFor(client)) });
+    }
+  }
+
+  keepalive() {
+    for (const client of this.clients) {
+      client.keepalive();
+    }
+  }
+
+  addClient(client) {
+    this.clients.add(client);
+    // Start every client off with the current boards
+    for (const board of this.boardsFor(client)) {
+      client.send('departures', board);
+    }
+  }
+
+  // GET /api/stream
+  handleSse(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = {
+      mode: req.query.mode || null,
+      stationId: req.query.station || null,
+      send(event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      },
+      keepalive() {
+        res.write(': keep-alive\n\n');
+      },
+      close() {
+        res.end();
+      }
+    };
+
+    this.addClient(client);
+    req.on('close', () => this.clients.delete(client));
+  }
+
+  // Upgrade requests on `path` become WebSocket clients, if `authorize(req)` allows them
+  attachWebSocket(server, path = '/api/ws', authorize = () => true) {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path) {
+        socket.destroy();
+        return;
+      }
+      if (!authorize(req)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, ws => {
+        const client = {
+          mode: url.searchParams.get('mode'),
+          stationId: url.searchParams.get('station'),
+          send(event, data) {
+            if (ws.readyState === ws.OPEN) {
+              ws.send(JSON.stringify({ event, data }));
+            }
+          },
+          keepalive() {
+            if (ws.readyState === ws.OPEN) {
+              ws.ping();
+            }
+          },
+          close() {
+            ws.close();
+          }
+        };
+
+        this.addClient(client);
+        ws.on('close', () => this.clients.delete(client));
+      });
+    });
+  }
+}
+
+module.exports = StreamHub;
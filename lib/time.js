@@ -0,0 +1,97 @@
+// Wall-clock helpers pinned to the transit agencies' timezone, whatever TZ the container runs in
+
+const TRANSIT_TIMEZONE = 'America/New_York';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Calendar and clock fields of an instant as seen in `timeZone`
+function zonedParts(date, timeZone = TRANSIT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Offset of `timeZone` from UTC at an instant, in milliseconds
+function zoneOffset(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time occurs in `timeZone`. Fields may overflow (hour 24 = next day).
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = TRANSIT_TIMEZONE) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle the offset across DST transitions
+  let result = guess - zoneOffset(new Date(guess), timeZone);
+  result = guess - zoneOffset(new Date(result), timeZone);
+  return new Date(result);
+}
+
+// Calendar arithmetic on { year, month, day }
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+// { year, month, day } -> "YYYYMMDD", the key GTFS calendars use
+function dateKey({ year, month, day }) {
+  return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+}
+
+// { year, month, day } -> "YYYY-MM-DD"
+function isoDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// "19:05" or, with hour12, "7:05 PM"
+function formatClock(date, { hour12 = false } = {}, timeZone = TRANSIT_TIMEZONE) {
+  const { hour, minute } = zonedParts(date, timeZone);
+  const mins = String(minute).padStart(2, '0');
+  if (!hour12) {
+    return `${String(hour).padStart(2, '0')}:${mins}`;
+  }
+  return `${hour % 12 || 12}:${mins} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+module.exports = {
+  TRANSIT_TIMEZONE,
+  addDays,
+  dateKey,
+  formatClock,
+  isoDate,
+  zonedParts,
+  zonedTimeToDate
+};
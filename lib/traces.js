@@ -0,0 +1,187 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TRACE_DIR = path.join(__dirname, '..', 'data', 'traces');
+const DEFAULT_MAX_TRACES = 20;
+// Files a saved trace may contain, and their content types for download
+const TRACE_FILES = {
+  'trace.json': 'application/json',
+  'screenshot.png': 'image/png',
+  'page.html': 'text/html; charset=utf-8'
+};
+// Keep huge GraphQL payloads and page dumps from filling the disk
+const MAX_BODY_CHARS = 512 * 1024;
+
+// The trace of the scrape attempt running in the current async context, if any
+const activeTrace = new AsyncLocalStorage();
+
+function withTrace(trace, fn) {
+  return activeTrace.run(trace, fn);
+}
+
+function currentTrace() {
+  return activeTrace.getStore() || null;
+}
+
+function truncate(value) {
+  if (typeof value !== 'string' || value.length <= MAX_BODY_CHARS) {
+    return value;
+  }
+  return `${value.slice(0, MAX_BODY_CHARS)}... [truncated ${value.length - MAX_BODY_CHARS} chars]`;
+}
+
+/**
+ * Everything seen during one attempt at scraping a station: the page
+ * analyses the browser flow builds, each GraphQL request and response, and a
+ * screenshot and HTML snapshot of the page when the attempt came up empty.
+ */
+class ScrapeTrace {
+  constructor({ scrapeId, mode, station, attempt, fetchMode = null }) {
+    this.startedAt = new Date();
+    const stamp = this.startedAt.toISOString().replace(/[:.]/g, '-');
+    this.id = `${stamp}-${mode}-${station.id}-${scrapeId}`.replace(/[^\w.-]/g, '_');
+    this.scrapeId = scrapeId;
+    this.mode = mode;
+    this.stationId = station.id;
+    this.stationName = station.name;
+    this.attempt = attempt;
+    this.fetchMode = fetchMode;
+    this.steps = [];
+    this.graphql = [];
+    this.screenshot = null;
+    this.html = null;
+  }
+
+  // A named page-analysis object such as `pageContent` or `formAnalysis`
+  step(name, data) {
+    this.steps.push({ name, at: new Date().toISOString(), data });
+  }
+
+  // { source: 'browser'|'direct', url, request, status, response, error }
+  graphqlExchange(exchange) {
+    this.graphql.push({
+      at: new Date().toISOString(),
+      ...exchange,
+      request: truncate(exchange.request),
+      response: typeof exchange.response === 'string' ? truncate(exchange.response) : exchange.response
+    });
+  }
+
+  snapshot({ screenshot = null, html = null }) {
+    this.screenshot = screenshot;
+    this.html = truncate(html);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      scrapeId: this.scrapeId,
+      mode: this.mode,
+      stationId: this.stationId,
+      stationName: this.stationName,
+      attempt: this.attempt,
+      fetchMode: this.fetchMode,
+      startedAt: this.startedAt.toISOString(),
+      outcome: this.outcome || null,
+      steps: this.steps,
+      graphql: this.graphql
+    };
+  }
+}
+
+/**
+ * Failed-scrape traces on disk, one directory each under `dir` holding
+ * trace.json and, for browser scrapes, screenshot.png and page.html. Only the
+ * newest `maxTraces` are kept.
+ */
+class TraceStore {
+  constructor({ dir = DEFAULT_TRACE_DIR, maxTraces = DEFAULT_MAX_TRACES } = {}) {
+    this.dir = dir;
+    this.maxTraces = maxTraces;
+    this.saved = 0;
+  }
+
+  // Enabled with SCRAPE_TRACES=true; null otherwise
+  static fromEnv(env = process.env) {
+    if (env.SCRAPE_TRACES !== 'true') {
+      return null;
+    }
+    return new TraceStore({
+      dir: env.TRACE_DIR || DEFAULT_TRACE_DIR,
+      maxTraces: env.TRACE_MAX_COUNT ? parseInt(env.TRACE_MAX_COUNT) : DEFAULT_MAX_TRACES
+    });
+  }
+
+  // Write a trace with the outcome of its scrape ({ failureStage, error, attempts }); returns its id
+  save(trace, outcome) {
+    trace.outcome = outcome;
+    const traceDir = path.join(this.dir, trace.id);
+    fs.mkdirSync(traceDir, { recursive: true });
+    fs.writeFileSync(path.join(traceDir, 'trace.json'), JSON.stringify(trace, null, 2));
+    if (trace.screenshot) {
+      fs.writeFileSync(path.join(traceDir, 'screenshot.png'), trace.screenshot);
+    }
+    if (trace.html) {
+      fs.writeFileSync(path.join(traceDir, 'page.html'), trace.html);
+    }
+    this.saved++;
+    this.prune();
+    return trace.id;
+  }
+
+  ids() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    // Ids start with an ISO timestamp, so they sort oldest first
+    return fs.readdirSync(this.dir)
+      .filter(id => fs.existsSync(path.join(this.dir, id, 'trace.json')))
+      .sort();
+  }
+
+  prune() {
+    const ids = this.ids();
+    for (const id of ids.slice(0, Math.max(0, ids.length - this.maxTraces))) {
+      fs.rmSync(path.join(this.dir, id), { recursive: true, force: true });
+    }
+  }
+
+  // Summaries of saved traces, newest first
+  list() {
+    return this.ids().reverse().map(id => {
+      const { scrapeId, mode, stationId, stationName, attempt, fetchMode, startedAt, outcome } = this.get(id);
+      const files = Object.keys(TRACE_FILES).filter(file => fs.existsSync(path.join(this.dir, id, file)));
+      return { id, scrapeId, mode, stationId, stationName, attempt, fetchMode, startedAt, outcome, files };
+    });
+  }
+
+  get(id) {
+    const file = this.filePath(id, 'trace.json');
+    return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  // Absolute path of one file of a trace, or null for unknown traces and files
+  filePath(id, file) {
+    if (!/^\w[\w.-]*$/.test(id) || !TRACE_FILES[file]) {
+      return null;
+    }
+    const filePath = path.join(this.dir, id, file);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  contentType(file) {
+    return TRACE_FILES[file];
+  }
+
+  getStats() {
+    return { dir: this.dir, maxTraces: this.maxTraces, saved: this.saved };
+  }
+}
+
+module.exports = {
+  ScrapeTrace,
+  TraceStore,
+  currentTrace,
+  withTrace
+};
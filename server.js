@@ -1,804 +1,431 @@
 const express = require('express');
-const puppeteer = require('puppeteer');
 const cors = require('cors');
-const fs = require('fs');
+const crypto = require('crypto');
+const ScraperRegistry = require('./lib/registry');
+const { parseDepartureFilters } = require('./lib/departure-filters');
+const { CountdownFormatter, negotiateLocale } = require('./lib/countdown');
+const StreamHub = require('./lib/stream');
+const { nextDepartureSummary } = require('./lib/departure-summary');
+const { disruptionSummary } = require('./lib/alerts');
+const MqttPublisher = require('./lib/mqtt-publisher');
+const MetricsCollector = require('./lib/metrics');
+const FerryScheduler = require('./lib/ferry/scheduler');
+const { loadFerrySchedule } = require('./lib/ferry/schedule');
+const { CommutePlanner, loadCommuteConfig } = require('./lib/commute');
+const { HistoryStore } = require('./lib/history/store');
+const { parseHistoryFilters } = require('./lib/history/filters');
+const { ON_TIME_THRESHOLD_MINUTES, reliabilityReport, summarize } = require('./lib/history/reliability');
+const { ConfigError, RuntimeConfig } = require('./lib/config');
+const { ApiAuth, redactUrl } = require('./lib/auth');
+const RateLimiter = require('./lib/rate-limit');
+const RuleEngine = require('./lib/rules/engine');
+const GtfsRealtimeFeed = require('./lib/gtfs-realtime');
+const { RuleError } = require('./lib/rules/definition');
+const { logger, withLogContext } = require('./lib/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Default number of departures per direction in responses; unset returns the full board
+const DEPARTURE_LIMIT = process.env.DEPARTURE_LIMIT ? parseInt(process.env.DEPARTURE_LIMIT) : null;
+// Browser origins allowed to call the API, e.g. "http://homeassistant.local:8123"; unset allows any origin
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : null;
+
+// Behind a reverse proxy or ingress, rate limit on the real client address from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 
 // Enable CORS for Home Assistant
-app.use(cors());
+app.use(cors(CORS_ORIGINS ? { origin: CORS_ORIGINS } : {}));
 app.use(express.json());
 
-class LightRailScraper {
-  constructor() {
-    this.browser = null;
-    this.lastData = {
-      northbound: [],
-      southbound: [],
-      lastUpdated: null,
-      status: 'initializing'
-    };
-    this.isRunning = false;
-    this.scrapeInterval = null;
-    this.scrapeIntervalMinutes = 3; // Scrape every 3 minutes
-  }
-
-  log(message, data = null) {
-    console.log(message, data || '');
-  }
-
-  async init() {
-    try {
-      console.log('Initializing headless browser...');
-      this.browser = await puppeteer.launch({
-        headless: "new",
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu'
-        ]
-      });
-      console.log('Browser initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize browser:', error);
-      throw error;
-    }
-  }
-
-  async scrapeData() {
-    if (this.isRunning) {
-      console.log('Scraping already in progress, skipping...');
-      return this.lastData;
-    }
-
-    // Clear previous log (if log file is configured)
-    if (this.logFile) {
-      fs.writeFileSync(this.logFile, '');
-    }
-    
-    this.isRunning = true;
-    console.log('Starting scrape operation...');
-    this.log('=== NEW SCRAPE SESSION STARTED ===');
+// API keys with read and admin scopes, and per-client rate limits (0 disables a limit).
+// Manual scrapes start a browser session upstream, so they get a much stricter limit.
+const auth = ApiAuth.fromEnv();
+const apiLimiter = new RateLimiter({
+  name: 'API',
+  max: process.env.RATE_LIMIT_PER_MINUTE !== undefined ? parseInt(process.env.RATE_LIMIT_PER_MINUTE) : 120,
+  windowMs: 60 * 1000
+});
+const scrapeLimiter = new RateLimiter({
+  name: 'scrape',
+  max: process.env.SCRAPE_RATE_LIMIT_PER_HOUR !== undefined ? parseInt(process.env.SCRAPE_RATE_LIMIT_PER_HOUR) : 6,
+  windowMs: 60 * 60 * 1000
+});
 
-    try {
-      const page = await this.browser.newPage();
-      
-      // Set user agent to avoid detection
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      
-      let graphqlData = null;
-      
-      // Intercept both requests and responses to understand the GraphQL query structure
-      page.on('request', async request => {
-        if (request.url().includes('graphql') && request.method() === 'POST') {
-          const postData = request.postData();
-          console.log('GraphQL Request:', request.url());
-          console.log('GraphQL Query:', postData);
-        }
-      });
-      
-      page.on('response', async response => {
-        try {
-          const url = response.url();
-          
-          // Check for GraphQL or API calls that might contain departure data
-          if (url.includes('graphql') && response.request().method() === 'POST') {
-            console.log(`Intercepted GraphQL response: ${url}`);
-            const responseData = await response.json();
-            console.log('Full GraphQL response:', JSON.stringify(responseData, null, 2));
-            
-            // Look for various possible data structures
-            if (responseData.data) {
-              const dataKeys = Object.keys(responseData.data);
-              console.log('GraphQL data keys:', dataKeys);
-              
-              // Check for any data structure that might contain departure info
-              for (const key of dataKeys) {
-                const data = responseData.data[key];
-                if (Array.isArray(data) && data.length > 0) {
-                  const firstItem = data[0];
-                  if (firstItem && (firstItem.departuretime || firstItem.header || firstItem.destination || firstItem.time)) {
-                    console.log(`Found departure data in ${key} with ${data.length} entries`);
-                    graphqlData = data;
-                    break;
-                  }
-                }
-              }
-              
-              if (!graphqlData) {
-                if (responseData.data.getBusDV5) {
-                  console.log(`Found getBusDV5 with ${responseData.data.getBusDV5.length} departures`);
-                  graphqlData = responseData.data.getBusDV5;
-                } else if (responseData.data.getDepartures) {
-                  console.log(`Found getDepartures with ${responseData.data.getDepartures.length} departures`);
-                  graphqlData = responseData.data.getDepartures;
-                } else if (responseData.data.departures) {
-                  console.log(`Found departures with ${responseData.data.departures.length} departures`);
-                  graphqlData = responseData.data.departures;
-                } else if (responseData.data.lightRailDV) {
-                  console.log(`Found lightRailDV with ${responseData.data.lightRailDV.length} departures`);
-                  graphqlData = responseData.data.lightRailDV;
-                } else if (responseData.data.getSystemStatus) {
-                  console.log('Found system status data (no departures)');
-                } else {
-                  console.log('GraphQL response structure:', JSON.stringify(responseData, null, 2));
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.log('Error processing response:', error.message);
-        }
-      });
+// Correlate every log line of a request, including on-demand scrapes it triggers, with its request ID
+app.use((req, res, next) => {
+  req.id = req.get('x-request-id') || crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'warn' : res.statusCode >= 400 ? 'info' : 'debug';
+    // Keys passed as ?api_key= stay out of the logs
+    logger.log(level, `${req.method} ${redactUrl(req.originalUrl)} ${res.statusCode}`, {
+      requestId: req.id,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      client: req.client ? req.client.id : null
+    });
+  });
+  withLogContext({ requestId: req.id }, next);
+});
+app.use(auth.identify());
+app.use(['/api', '/metrics', '/gtfs-rt'], apiLimiter.middleware(), auth.require('read'));
+
+// Scraper settings: defaults, then config/scraper.json, then env vars, then admin API changes
+let runtimeConfig;
+try {
+  runtimeConfig = RuntimeConfig.load();
+} catch (error) {
+  logger.error(`❌ ${error.message}`, { errors: error.errors });
+  process.exit(1);
+}
+logger.configure(runtimeConfig.config.logging);
+
+// Initialize scrapers and ferry scheduler
+const registry = new ScraperRegistry().discover(process.env, runtimeConfig.config);
+// The unprefixed /api routes serve the light rail scraper
+const scraper = registry.get('light-rail');
+const streamHub = new StreamHub(registry);
+const metrics = new MetricsCollector(registry);
+const ferryScheduler = new FerryScheduler(loadFerrySchedule(), { countdown: runtimeConfig.config.countdown });
+const commuteConfig = loadCommuteConfig();
+const commutePlanner = commuteConfig
+  ? new CommutePlanner({ config: commuteConfig, registry, ferryScheduler })
+  : null;
+
+// Departure history is recorded under data/history unless HISTORY_ENABLED=false
+const historyStore = HistoryStore.fromEnv(registry);
+
+// Notification rules, saved to data/rules.json (RULES_FILE)
+const ruleEngine = RuleEngine.fromEnv({ registry, ferryScheduler });
+
+// GTFS-Realtime trip updates and alerts from the boards, ferry schedule and service alerts
+const gtfsFeed = new GtfsRealtimeFeed({ registry, ferryScheduler });
+
+// MQTT publishing is enabled by setting MQTT_URL, e.g. mqtt://mosquitto:1883
+const mqttPublisher = process.env.MQTT_URL ? new MqttPublisher({
+  url: process.env.MQTT_URL,
+  username: process.env.MQTT_USERNAME,
+  password: process.env.MQTT_PASSWORD,
+  clientId: process.env.MQTT_CLIENT_ID,
+  baseTopic: process.env.MQTT_BASE_TOPIC || 'transit-scrapers',
+  discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant',
+  discovery: process.env.MQTT_DISCOVERY !== 'false',
+  registry,
+  ferryScheduler
+}) : null;
 
-      console.log('Navigating to NJ Transit page...');
-      await page.goto('https://www.njtransit.com/dv-to?line=Hudson-Bergen%20Light%20Rail&origin=ESSEX%20STREET%20LIGHT%20RAIL%20STATION', {
-        waitUntil: 'networkidle2',
-        timeout: 60000
-      });
+// Routes
+app.get('/', (req, res) => {
+  res.json({
+    service: 'NJ Transit Light Rail & Ferry Scraper',
+    status: 'running',
+    endpoints: {
+      'light-rail-departures': '/api/departures',
+      'light-rail-status': '/api/status',
+      'ferry-next': '/api/ferry',
+      'ferry-upcoming': '/api/ferry/upcoming',
+      'ferry-routes': '/api/ferry/routes',
+      commute: '/api/commute',
+      'commute-destinations': '/api/commute/destinations',
+      northbound: '/api/northbound',
+      southbound: '/api/southbound',
+      stations: '/api/stations',
+      'station-departures': '/api/stations/:stationId/departures',
+      'station-northbound': '/api/stations/:stationId/northbound',
+      'station-southbound': '/api/stations/:stationId/southbound',
+      modes: '/api/modes',
+      'mode-status': '/api/:mode/status',
+      'mode-stations': '/api/:mode/stations',
+      'mode-departures': '/api/:mode/stations/:stationId/departures',
+      'mode-next': '/api/:mode/stations/:stationId/next',
+      stream: '/api/stream',
+      websocket: '/api/ws',
+      history: '/api/history',
+      reliability: '/api/stats/reliability',
+      alerts: '/api/alerts',
+      'gtfs-rt-trip-updates': '/gtfs-rt/trip-updates.pb',
+      'gtfs-rt-alerts': '/gtfs-rt/alerts.pb',
+      metrics: '/metrics',
+      'admin-config': '/api/admin/config',
+      'admin-pause': '/api/admin/scraper/pause',
+      'admin-resume': '/api/admin/scraper/resume',
+      'debug-traces': '/api/debug/traces',
+      rules: '/api/rules',
+      health: '/healthz',
+      ready: '/readyz'
+    },
+    modes: registry.list().map(modeScraper => modeScraper.mode),
+    defaultStation: scraper.defaultStationId
+  });
+});
 
-      // Wait for page to load
-      console.log('Waiting for data to load...');
-      await page.waitForSelector('body', { timeout: 10000 });
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Try to interact with elements that might trigger departure data loading
-      try {
-        // Inspect the page content to see what's actually loaded
-        const pageContent = await page.evaluate(() => {
-          const body = document.body.innerText;
-          const departures = document.querySelectorAll('[class*="departure"], [class*="time"], [class*="train"], .schedule, .departure-time');
-          
-          // Look for any table or list elements that might contain departure data
-          const tables = document.querySelectorAll('table, .table, [class*="schedule"], [class*="board"]');
-          const lists = document.querySelectorAll('ul, ol, [class*="list"]');
-          
-          return {
-            hasEssexStreet: body.includes('ESSEX STREET') || body.includes('Essex Street'),
-            hasLightRail: body.includes('Light Rail'),
-            hasDepartures: body.includes('departure') || body.includes('Departure'),
-            departureElements: departures.length,
-            tableElements: tables.length,
-            listElements: lists.length,
-            bodyLength: body.length,
-            bodyPreview: body.substring(0, 1000),
-            url: window.location.href,
-            title: document.title
-          };
-        });
-        this.log('Page analysis:', pageContent);
-        
-        // First switch to the Light Rail tab, then look for the "Get departures" button
-        try {
-          console.log('Switching to Light Rail tab...');
-          
-          // Look for and click the Light Rail tab to make it active - target the specific form tabs
-          const lightRailTabClicked = await page.evaluate(() => {
-            // Target the specific Rail/Light Rail tabs based on the debug output
-            // Rail tab: index 144, id="__BVID__335___BV_tab_button__", className="nav-link active"
-            // Light Rail tab: index 146, id="__BVID__343___BV_tab_button__", className="nav-link"
-            
-            const lightRailTab = document.getElementById('__BVID__343___BV_tab_button__');
-            
-            if (lightRailTab) {
-              console.log('Found Light Rail tab by ID:', lightRailTab.id);
-              console.log('Tab element details:', {
-                tagName: lightRailTab.tagName,
-                className: lightRailTab.className,
-                id: lightRailTab.id,
-                textContent: lightRailTab.textContent?.trim()
-              });
-              
-              // Use multiple click strategies
-              lightRailTab.focus();
-              lightRailTab.click();
-              
-              // Dispatch additional events
-              lightRailTab.dispatchEvent(new Event('click', { bubbles: true }));
-              lightRailTab.dispatchEvent(new Event('mousedown', { bubbles: true }));
-              lightRailTab.dispatchEvent(new Event('mouseup', { bubbles: true }));
-              
-              return true;
-            } else {
-              console.log('Light Rail tab not found by ID, trying selector approach...');
-              
-              // Fallback to text-based search for tabs in the form area
-              const formTabs = Array.from(document.querySelectorAll('[role="tab"], .nav-link, button[id*="tab"]'));
-              const lightRailFormTab = formTabs.find(tab => {
-                const text = tab.textContent?.toLowerCase() || '';
-                return text.trim() === 'light rail' && tab.id.includes('BV_tab_button');
-              });
-              
-              if (lightRailFormTab) {
-                console.log('Found Light Rail form tab:', lightRailFormTab.id);
-                lightRailFormTab.focus();
-                lightRailFormTab.click();
-                lightRailFormTab.dispatchEvent(new Event('click', { bubbles: true }));
-                return true;
-              }
-            }
-            
-            return false;
-          });
-          
-          if (lightRailTabClicked) {
-            console.log('Successfully clicked Light Rail tab');
-            // Wait for tab switch to complete
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            // Verify the tab switch worked by checking the specific form tabs
-            const tabSwitchVerification = await page.evaluate(() => {
-              const railTab = document.getElementById('__BVID__335___BV_tab_button__');
-              const lightRailTab = document.getElementById('__BVID__343___BV_tab_button__');
-              
-              return {
-                railTabActive: railTab?.classList.contains('active') || false,
-                lightRailTabActive: lightRailTab?.classList.contains('active') || false,
-                railTabClasses: railTab?.className || 'not found',
-                lightRailTabClasses: lightRailTab?.className || 'not found',
-                activeTabsFound: Array.from(document.querySelectorAll('.nav-link.active')).map(tab => ({
-                  id: tab.id,
-                  text: tab.textContent?.trim(),
-                  className: tab.className
-                }))
-              };
-            });
-            
-            this.log('Tab switch verification:', tabSwitchVerification);
-            
-            if (!tabSwitchVerification.lightRailTabActive) {
-              console.log('Light Rail tab still not active after click, trying programmatic activation...');
-              
-              // Try programmatic tab activation
-              const programmaticActivation = await page.evaluate(() => {
-                const lightRailTab = document.getElementById('__BVID__343___BV_tab_button__');
-                const railTab = document.getElementById('__BVID__335___BV_tab_button__');
-                
-                if (lightRailTab && railTab) {
-                  // Remove active class from rail tab
-                  railTab.classList.remove('active');
-                  railTab.setAttribute('aria-selected', 'false');
-                  
-                  // Add active class to light rail tab
-                  lightRailTab.classList.add('active');
-                  lightRailTab.setAttribute('aria-selected', 'true');
-                  
-                  // Trigger tab change events
-                  lightRailTab.dispatchEvent(new Event('shown.bs.tab', { bubbles: true }));
-                  
-                  console.log('Programmatically activated Light Rail tab');
-                  return true;
-                }
-                return false;
-              });
-              
-              if (programmaticActivation) {
-                await new Promise(resolve => setTimeout(resolve, 500));
-              }
-            }
-          } else {
-            console.log('Could not find Light Rail tab button');
-          }
-          
-          console.log('Looking for "Get departures" button...');
-          
-          // Check if we're on the Light Rail tab and look for form fields that need to be filled
-          const formAnalysis = await page.evaluate(() => {
-            // Look for any input fields, selects, or form elements
-            const inputs = Array.from(document.querySelectorAll('input, select, textarea'));
-            const formInfo = inputs.map((input, i) => ({
-              index: i,
-              tagName: input.tagName,
-              type: input.type,
-              name: input.name,
-              id: input.id,
-              value: input.value,
-              placeholder: input.placeholder,
-              required: input.required,
-              disabled: input.disabled
-            }));
-            
-            // Check if there are any visible forms
-            const forms = Array.from(document.querySelectorAll('form'));
-            
-            return {
-              inputs: formInfo,
-              formCount: forms.length,
-              currentTab: document.querySelector('.nav-link.active')?.textContent?.trim() || 'unknown'
-            };
-          });
-          
-          this.log('Form analysis:', formAnalysis);
-          
-          // Check if we're on the correct tab before filling forms
-          const currentTabStatus = await page.evaluate(() => {
-            const railTab = document.getElementById('__BVID__335___BV_tab_button__');
-            const lightRailTab = document.getElementById('__BVID__343___BV_tab_button__');
-            
-            // Also check visible form content
-            const formContainer = document.querySelector('form, .form-container, [class*="form"]');
-            const visibleInputs = Array.from(document.querySelectorAll('input:not([style*="display: none"]):not([style*="display:none"])'));
-            
-            return {
-              railTabActive: railTab?.classList.contains('active') || false,
-              lightRailTabActive: lightRailTab?.classList.contains('active') || false,
-              formPresent: !!formContainer,
-              visibleInputCount: visibleInputs.length,
-              lineFieldVisible: !!document.getElementById('line'),
-              originFieldVisible: !!document.getElementById('the-origin'),
-              formTabContent: document.querySelector('.tab-content, [class*="tab-pane"]')?.innerText?.substring(0, 200) || 'not found'
-            };
-          });
-          
-          this.log('Current tab status before form fill:', currentTabStatus);
-          
-          if (!currentTabStatus.lightRailTabActive) {
-            console.log('WARNING: Light Rail tab is not active, form filling may fail');
-          }
-          
-          // Fill in the required form fields to enable the button
-          console.log('Attempting to fill form fields...');
-          
-          // First fill the line field
-          const lineFieldFilled = await page.evaluate(() => {
-            const lineInput = document.getElementById('line');
-            if (lineInput && !lineInput.disabled) {
-              lineInput.focus();
-              lineInput.value = 'Hudson-Bergen Light Rail';
-              lineInput.dispatchEvent(new Event('input', { bubbles: true }));
-              lineInput.dispatchEvent(new Event('change', { bubbles: true }));
-              lineInput.dispatchEvent(new Event('blur', { bubbles: true }));
-              console.log('Filled line field with:', lineInput.value);
-              return true;
-            } else {
-              console.log('Line input not found or disabled');
-              return false;
-            }
-          });
-          
-          if (lineFieldFilled) {
-            // Wait for the origin field to be enabled after line selection
-            console.log('Waiting for origin field to be enabled...');
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            // Now fill the origin field
-            const originFieldFilled = await page.evaluate(() => {
-              const originInput = document.getElementById('the-origin');
-              if (originInput) {
-                // Force enable if still disabled
-                originInput.disabled = false;
-                originInput.focus();
-                originInput.value = 'ESSEX STREET LIGHT RAIL STATION';
-                originInput.dispatchEvent(new Event('input', { bubbles: true }));
-                originInput.dispatchEvent(new Event('change', { bubbles: true }));
-                originInput.dispatchEvent(new Event('blur', { bubbles: true }));
-                console.log('Filled origin field with:', originInput.value);
-                return true;
-              } else {
-                console.log('Origin input not found');
-                return false;
-              }
-            });
-            
-            this.log('Form filling results:', { lineFieldFilled, originFieldFilled });
-            
-            // Wait for form validation to complete
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            // Check if button is now enabled
-            const buttonStatus = await page.evaluate(() => {
-              const buttons = Array.from(document.querySelectorAll('button, input[type="submit"]'));
-              const submitButton = buttons.find(btn => {
-                const text = btn.textContent?.toLowerCase() || btn.value?.toLowerCase() || '';
-                return text.includes('light rail') || text.includes('schedules') || text.includes('departures');
-              });
-              
-              if (submitButton) {
-                return {
-                  found: true,
-                  disabled: submitButton.disabled,
-                  text: submitButton.textContent || submitButton.value,
-                  className: submitButton.className
-                };
-              }
-              return { found: false };
-            });
-            
-            this.log('Submit button status after form fill:', buttonStatus);
-          } else {
-            console.log('Could not fill line field, form filling failed');
-          }
-          
-          // Try to find and click the enabled button (index 17)
-          const getDeparturesButtonClicked = await page.evaluate(() => {
-            const buttons = Array.from(document.querySelectorAll('button, [role="button"], .btn, input[type="submit"]'));
-            
-            // First try to find the specific enabled button (index 17 from debug output)
-            const enabledButton = buttons.find(btn => {
-              const text = btn.textContent?.toLowerCase() || btn.value?.toLowerCase() || '';
-              return text.includes('get departures') && !btn.disabled && !btn.classList.contains('disabled');
-            });
-            
-            if (enabledButton) {
-              console.log('Found enabled button with text:', enabledButton.textContent || enabledButton.value);
-              console.log('Button classes:', enabledButton.className);
-              console.log('Button disabled:', enabledButton.disabled);
-              
-              // Multiple click strategies
-              enabledButton.focus();
-              enabledButton.click();
-              enabledButton.dispatchEvent(new Event('click', { bubbles: true }));
-              enabledButton.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
-              
-              return true;
-            }
-            
-            // Fallback: try any departures button that's not explicitly disabled
-            const fallbackButton = buttons.find(btn => {
-              const text = btn.textContent?.toLowerCase() || btn.value?.toLowerCase() || '';
-              return (text.includes('get departures') || text.includes('departures')) && !btn.disabled;
-            });
-            
-            if (fallbackButton) {
-              console.log('Found fallback button with text:', fallbackButton.textContent || fallbackButton.value);
-              fallbackButton.focus();
-              fallbackButton.click();
-              return true;
-            }
-            
-            console.log('No enabled departures button found');
-            return false;
-          });
-          
-          if (getDeparturesButtonClicked) {
-            console.log('Successfully clicked "Get departures" button');
-            
-            // Wait for the departure data to load
-            console.log('Waiting for departure data to load after button click...');
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Check if departure data appeared in the DOM
-            const postClickContent = await page.evaluate(() => {
-              const body = document.body.innerText;
-              const tables = document.querySelectorAll('table, .table, [class*="schedule"], [class*="board"], [class*="departure"]');
-              const timeElements = document.querySelectorAll('[class*="time"], [class*="minute"]');
-              
-              return {
-                hasEssexStreet: body.includes('ESSEX STREET') || body.includes('Essex Street'),
-                hasHoboken: body.includes('HOBOKEN') || body.includes('Hoboken'),
-                hasWestSide: body.includes('WEST SIDE') || body.includes('West Side'),
-                hasTimes: /\d{1,2}:\d{2}/.test(body),
-                tableCount: tables.length,
-                timeElementCount: timeElements.length,
-                bodyLength: body.length,
-                relevantText: body.match(/.{0,100}(departure|time|hoboken|west side|essex).{0,100}/gi) || []
-              };
-            });
-            
-            this.log('Post-click page analysis:', postClickContent);
-          } else {
-            console.log('Could not find "Get departures" button');
-            
-            // List all buttons for debugging
-            const allButtons = await page.evaluate(() => {
-              const buttons = Array.from(document.querySelectorAll('button, [role="button"], .btn, input[type="submit"]'));
-              return buttons.map((btn, i) => ({
-                index: i,
-                text: btn.textContent?.trim() || btn.value || '',
-                className: btn.className,
-                type: btn.type
-              }));
-            });
-            console.log('Available buttons:', allButtons);
-          }
-        } catch (error) {
-          console.log('Button interaction error:', error.message);
-        }
-        
-      } catch (error) {
-        console.log('Interaction error:', error.message);
-        // Continue anyway
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+// Scrape on demand before answering when the requested board is too old.
+// Routes without :mode or :stationId read the light rail default station.
+async function freshData(req, res, next) {
+  const modeScraper = req.scraper || scraper;
+  try {
+    await modeScraper.ensureFresh(req.params.stationId || modeScraper.defaultStationId);
+  } catch (error) {
+    modeScraper.logger.error('On-demand scrape failed', { error });
+  }
+  next();
+}
 
-      await page.close();
-
-      if (graphqlData && graphqlData.length > 0) {
-        const processed = this.processData(graphqlData);
-        this.lastData = {
-          ...processed,
-          lastUpdated: new Date().toISOString(),
-          status: 'success'
-        };
-        console.log(`Scrape completed successfully. Found ${processed.northbound.length} northbound and ${processed.southbound.length} southbound trains`);
-      } else {
-        console.log('No data found in GraphQL response');
-        this.lastData.status = 'no_data';
-      }
+// Parse ?limit=, ?destination= and ?after= into req.filters
+function departureFilters(req, res, next) {
+  try {
+    req.filters = parseDepartureFilters(req.query, DEPARTURE_LIMIT);
+    next();
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid query parameter', message: error.message });
+  }
+}
 
-    } catch (error) {
-      console.error('Scraping error:', error);
-      this.lastData.status = 'error';
-      this.lastData.error = error.message;
-    } finally {
-      this.isRunning = false;
+// Countdown wording for the response: ?lang= or else Accept-Language picks the
+// language, ?compact=true the short e-ink form; the countdown config fills the rest
+function countdownFormat(req, res, next) {
+  const defaults = runtimeConfig.config.countdown;
+  res.vary('Accept-Language');
+  try {
+    if (req.query.compact !== undefined && !['true', 'false', '1', '0'].includes(req.query.compact)) {
+      throw new Error(`compact must be true or false, got "${req.query.compact}"`);
     }
-
-    return this.lastData;
+    req.countdown = new CountdownFormatter({
+      ...defaults,
+      locale: negotiateLocale(req.query.lang, req.get('Accept-Language'), defaults.locale),
+      compact: req.query.compact !== undefined ? ['true', '1'].includes(req.query.compact) : defaults.compact
+    });
+    next();
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid query parameter', message: error.message });
   }
+}
 
-  processData(rawData) {
-    const northbound = [];
-    const southbound = [];
+app.get('/api/departures', departureFilters, countdownFormat, freshData, (req, res) => {
+  try {
+    const data = scraper.getCachedData(scraper.defaultStationId, req.filters, { countdown: req.countdown });
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get cached data',
+      message: error.message
+    });
+  }
+});
 
-    for (const train of rawData) {
-      const departure = {
-        destination: train.header,
-        time: train.departuretime,
-        status: train.departurestatus,
-        scheduledTime: train.schedDepTime
+app.get('/api/status', async (req, res) => {
+  try {
+    const modes = {};
+    for (const modeScraper of registry.list()) {
+      const { status, lastUpdated, stale, dataAgeSeconds, isRunning, circuitBreaker, selectors } = modeScraper.getStatus();
+      modes[modeScraper.mode] = {
+        status,
+        lastUpdated,
+        stale,
+        dataAgeSeconds,
+        isRunning,
+        circuit: circuitBreaker.state,
+        // Page elements only found by a fallback locator (or not at all) on the latest scrape
+        selectorDrift: selectors ? selectors.driftedSteps : []
       };
-
-      // Classify by destination
-      if (train.header.includes('HOBOKEN') || train.header.includes('NEWPORT') || train.header.includes('PAVONIA')) {
-        northbound.push(departure);
-      } else if (train.header.includes('8TH STREET') || train.header.includes('WEST SIDE') || train.header.includes('TONNELLE')) {
-        southbound.push(departure);
-      }
     }
 
-    return {
-      northbound: northbound.slice(0, 3), // Next 3 trains
-      southbound: southbound.slice(0, 3)  // Next 3 trains
-    };
+    res.json({
+      ...scraper.getStatus(),
+      modes,
+      browser: await registry.browserStats(),
+      rules: ruleEngine.getStats(),
+      rateLimits: { api: apiLimiter.getStats(), scrape: scrapeLimiter.getStats() }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  startScheduledScraping() {
-    console.log(`🕒 Starting scheduled scraping every ${this.scrapeIntervalMinutes} minutes`);
-    
-    // Do an initial scrape
-    this.scrapeData().then(() => {
-      console.log('Initial scheduled scrape completed');
-    }).catch(err => {
-      console.error('Initial scrape failed:', err.message);
+// Manual scrape endpoint (for testing/debugging)
+app.post('/api/scrape', auth.require('admin'), scrapeLimiter.middleware(), async (req, res) => {
+  try {
+    logger.info('📡 Manual scrape requested via API', { client: req.client.id });
+    const data = await scraper.scrapeData();
+    res.json({
+      message: 'Manual scrape completed',
+      data: data
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Manual scrape failed',
+      message: error.message
     });
-    
-    // Set up the interval
-    this.scrapeInterval = setInterval(() => {
-      console.log('🔄 Running scheduled scrape...');
-      this.scrapeData().then(() => {
-        console.log('Scheduled scrape completed');
-      }).catch(err => {
-        console.error('Scheduled scrape failed:', err.message);
-      });
-    }, this.scrapeIntervalMinutes * 60 * 1000);
   }
+});
 
-  stopScheduledScraping() {
-    if (this.scrapeInterval) {
-      clearInterval(this.scrapeInterval);
-      this.scrapeInterval = null;
-      console.log('⏹️ Stopped scheduled scraping');
-    }
+// Simplified endpoints for Home Assistant
+app.get('/api/northbound', departureFilters, countdownFormat, freshData, (req, res) => {
+  try {
+    const data = scraper.getCachedData(scraper.defaultStationId, req.filters, { countdown: req.countdown });
+    res.json(nextDepartureSummary(data, 'northbound', req.countdown));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Calculate time until departure from cached data
-  calculateTimeUntilDeparture(departureTime, scheduledTime) {
-    if (!departureTime && !scheduledTime) return 'Unknown';
-    
-    try {
-      // Try to parse the time format from the API response
-      const now = new Date();
-      let targetTime;
-      
-      // Handle different time formats that might come from the API
-      if (scheduledTime && scheduledTime.includes('/')) {
-        // Format like "8/2/2025 11:27:00 PM"
-        targetTime = new Date(scheduledTime);
-      } else if (departureTime) {
-        // Format like "11:27 PM" - assume today
-        const timeMatch = departureTime.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-        if (timeMatch) {
-          let [_, hours, minutes, ampm] = timeMatch;
-          hours = parseInt(hours);
-          minutes = parseInt(minutes);
-          
-          // Convert to 24-hour format
-          if (ampm.toUpperCase() === 'PM' && hours !== 12) hours += 12;
-          if (ampm.toUpperCase() === 'AM' && hours === 12) hours = 0;
-          
-          targetTime = new Date();
-          targetTime.setHours(hours, minutes, 0, 0);
-          
-          // If the time has passed today, assume it's tomorrow
-          if (targetTime < now) {
-            targetTime.setDate(targetTime.getDate() + 1);
-          }
-        }
-      }
-      
-      if (!targetTime || isNaN(targetTime.getTime())) {
-        return departureTime || 'Unknown';
-      }
-      
-      const diffMs = targetTime.getTime() - now.getTime();
-      const diffMinutes = Math.round(diffMs / (1000 * 60));
-      
-      if (diffMinutes <= 0) {
-        return 'Now';
-      } else if (diffMinutes === 1) {
-        return 'in 1 min';
-      } else if (diffMinutes < 60) {
-        return `in ${diffMinutes} mins`;
-      } else {
-        const hours = Math.floor(diffMinutes / 60);
-        const mins = diffMinutes % 60;
-        if (mins === 0) {
-          return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
-        } else {
-          return `in ${hours}h ${mins}m`;
-        }
+// Service alerts per mode. ?mode= narrows to one mode; ?station= (with
+// ?mode=, or the light rail default) to the alerts in effect for that station.
+app.get('/api/alerts', (req, res) => {
+  try {
+    const modeScraper = req.query.mode ? registry.get(req.query.mode) : null;
+    if (req.query.mode && !modeScraper) {
+      return res.status(404).json({ error: 'Unknown transit mode', mode: req.query.mode });
+    }
+
+    if (req.query.station) {
+      const stationScraper = modeScraper || scraper;
+      const station = stationScraper.getStation(req.query.station);
+      if (!station) {
+        return res.status(404).json({ error: 'Unknown station', stationId: req.query.station });
       }
-    } catch (error) {
-      console.log('Error calculating time until departure:', error.message);
-      return departureTime || 'Unknown';
+      const alerts = stationScraper.alertsFor(station.id);
+      return res.json({
+        mode: stationScraper.mode,
+        stationId: station.id,
+        updatedAt: stationScraper.alertsUpdatedAt,
+        disruption: disruptionSummary(alerts),
+        alerts
+      });
     }
-  }
 
-  // Get cached data with real-time calculations
-  getCachedData() {
-    if (!this.lastData.lastUpdated || this.lastData.status !== 'success') {
-      return {
-        ...this.lastData,
-        message: 'No data available yet. Waiting for first scrape...'
+    const modes = {};
+    for (const alertScraper of modeScraper ? [modeScraper] : registry.list()) {
+      modes[alertScraper.mode] = {
+        updatedAt: alertScraper.alertsUpdatedAt,
+        count: alertScraper.alerts.length,
+        alerts: alertScraper.alerts
       };
     }
+    res.json({ modes });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get service alerts', message: error.message });
+  }
+});
 
-    // Calculate real-time status for all departures
-    const processedData = {
-      ...this.lastData,
-      northbound: this.lastData.northbound.map(train => ({
-        ...train,
-        calculatedStatus: this.calculateTimeUntilDeparture(train.time, train.scheduledTime)
-      })),
-      southbound: this.lastData.southbound.map(train => ({
-        ...train,
-        calculatedStatus: this.calculateTimeUntilDeparture(train.time, train.scheduledTime)
-      }))
-    };
-
-    return processedData;
-  }
-
-  async close() {
-    this.stopScheduledScraping();
-    if (this.browser) {
-      await this.browser.close();
+// GTFS-Realtime feeds for GTFS-aware apps; .json serves the same feed readably for debugging
+app.get('/gtfs-rt/:feed(trip-updates|alerts).:format(pb|json)', (req, res) => {
+  try {
+    const message = req.params.feed === 'alerts' ? gtfsFeed.alerts() : gtfsFeed.tripUpdates();
+    if (req.params.format === 'json') {
+      return res.json(GtfsRealtimeFeed.toJSON(message));
     }
+    res.set('Content-Type', 'application/x-protobuf');
+    res.send(GtfsRealtimeFeed.encode(message));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to build GTFS-Realtime feed', message: error.message });
   }
+});
+
+// Ferry API endpoints; ?route= picks a route other than the default
+function resolveFerryRoute(req, res, next) {
+  if (req.query.route && !ferryScheduler.schedule.getRoute(req.query.route)) {
+    return res.status(404).json({ error: 'Unknown ferry route', route: req.query.route });
+  }
+  next();
 }
 
-class FerryScheduler {
-  constructor() {
-    // NY Waterway Paulus Hook to WTC schedule
-    this.weekdaySchedule = [
-      // Morning rush: 6:00-9:00 AM (every 7-8 minutes)
-      360, 367, 375, 382, 390, 397, 405, 412,
-      420, 427, 435, 442, 450, 457, 465, 472,
-      480, 487, 495, 502, 510, 517, 525, 532, 540,
-      // Mid-day: 9:15 AM - 5:45 PM (every 15 minutes)
-      555, 570, 585, 600, 615, 630, 645, 660, 675, 690, 705, 720, 735, 750, 765, 780, 795, 810, 825, 840, 855, 870, 885, 900, 915, 930, 945, 960, 975, 990, 1005, 1020, 1035, 1050, 1065,
-      // Evening: 6:00-10:45 PM (hourly plus 15,30)
-      1080, 1095, 1110, 1125, 1140, 1155, 1170, 1185, 1200, 1215, 1230, 1245, 1260, 1275, 1290, 1305, 1320, 1335, 1350, 1365, 1380, 1395, 1410, 1425, 1440, 1455, 1470, 1485, 1500, 1515, 1530, 1545, 1560, 1575, 1590, 1605, 1620, 1635, 1645
-    ];
-    
-    // Weekend schedule: 10:10 AM - 7:40 PM (every 30 minutes)
-    this.weekendSchedule = [
-      610, 640, 670, 700, 730, 760, 790, 820, 850, 880, 910, 940, 970, 1000, 1030, 1060, 1090, 1120, 1150, 1180
-    ];
-  }
-  
-  getCurrentTime() {
-    const now = new Date();
-    return now.getHours() * 60 + now.getMinutes();
-  }
-  
-  isWeekday() {
-    return new Date().getDay() >= 1 && new Date().getDay() <= 5;
-  }
-  
-  formatTime(minutes) {
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-  }
-  
-  getNextDeparture() {
-    const currentTime = this.getCurrentTime();
-    const schedule = this.isWeekday() ? this.weekdaySchedule : this.weekendSchedule;
-    
-    // Find next departure
-    const nextDeparture = schedule.find(time => time > currentTime);
-    
-    if (!nextDeparture) {
-      return {
-        status: 'Service ended',
-        nextDepartureTime: '--:--',
-        minutesUntil: null,
-        scheduleType: this.isWeekday() ? 'Weekday' : 'Weekend',
-        lastUpdated: new Date().toISOString()
-      };
-    }
-    
-    const minutesUntil = nextDeparture - currentTime;
-    let status;
-    
-    if (minutesUntil <= 0) {
-      status = 'Departed';
-    } else if (minutesUntil === 1) {
-      status = 'in 1 min';
-    } else {
-      status = `in ${minutesUntil} mins`;
-    }
-    
-    return {
-      status: status,
-      nextDepartureTime: this.formatTime(nextDeparture),
-      minutesUntil: minutesUntil,
-      scheduleType: this.isWeekday() ? 'Weekday' : 'Weekend',
-      lastUpdated: new Date().toISOString()
-    };
-  }
-  
-  getAllUpcomingDepartures(count = 3) {
-    const currentTime = this.getCurrentTime();
-    const schedule = this.isWeekday() ? this.weekdaySchedule : this.weekendSchedule;
-    
-    const upcoming = schedule
-      .filter(time => time > currentTime)
-      .slice(0, count)
-      .map(time => ({
-        departureTime: this.formatTime(time),
-        minutesUntil: time - currentTime,
-        status: time - currentTime === 1 ? 'in 1 min' : `in ${time - currentTime} mins`
-      }));
-    
-    return {
-      upcoming: upcoming,
-      scheduleType: this.isWeekday() ? 'Weekday' : 'Weekend',
-      lastUpdated: new Date().toISOString()
-    };
+app.get('/api/ferry/routes', (req, res) => {
+  res.json({ routes: ferryScheduler.listRoutes() });
+});
+
+app.get('/api/ferry', resolveFerryRoute, countdownFormat, (req, res) => {
+  try {
+    const ferryData = ferryScheduler.getNextDeparture(req.query.route, { countdown: req.countdown });
+    res.json(ferryData);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get ferry data',
+      message: error.message
+    });
   }
+});
+
+app.get('/api/ferry/upcoming', resolveFerryRoute, countdownFormat, (req, res) => {
+  try {
+    const count = parseInt(req.query.count) || 3;
+    const ferryData = ferryScheduler.getAllUpcomingDepartures(count, req.query.route, { countdown: req.countdown });
+    res.json(ferryData);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get upcoming ferry data',
+      message: error.message
+    });
+  }
+});
+
+// Trip planning: ranks light rail and ferry options to a destination
+function requireCommutePlanner(req, res, next) {
+  if (!commutePlanner) {
+    return res.status(404).json({ error: 'Commute planning is not configured' });
+  }
+  next();
 }
 
-// Initialize scraper and ferry scheduler
-const scraper = new LightRailScraper();
-const ferryScheduler = new FerryScheduler();
+app.get('/api/commute/destinations', requireCommutePlanner, (req, res) => {
+  res.json({ destinations: commutePlanner.listDestinations() });
+});
 
-// Routes
-app.get('/', (req, res) => {
-  res.json({
-    service: 'NJ Transit Light Rail & Ferry Scraper',
-    status: 'running',
-    endpoints: {
-      'light-rail-departures': '/api/departures',
-      'light-rail-status': '/api/status',
-      'ferry-next': '/api/ferry',
-      'ferry-upcoming': '/api/ferry/upcoming',
-      northbound: '/api/northbound',
-      southbound: '/api/southbound'
+app.get('/api/commute', requireCommutePlanner, (req, res) => {
+  let limit;
+  try {
+    ({ limit } = parseDepartureFilters({ limit: req.query.limit }, 5));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid query parameter', message: error.message });
+  }
+
+  try {
+    const plan = commutePlanner.plan(req.query.to, { limit });
+    if (!plan) {
+      return res.status(404).json({ error: 'Unknown commute destination', to: req.query.to });
     }
+    res.json(plan);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to plan commute',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/southbound', departureFilters, countdownFormat, freshData, (req, res) => {
+  try {
+    const data = scraper.getCachedData(scraper.defaultStationId, req.filters, { countdown: req.countdown });
+    res.json(nextDepartureSummary(data, 'southbound', req.countdown));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-station endpoints
+app.get('/api/stations', (req, res) => {
+  res.json({
+    defaultStation: scraper.defaultStationId,
+    stations: scraper.stations.map(station => ({
+      ...station,
+      status: scraper.lastData[station.id].status,
+      lastUpdated: scraper.lastData[station.id].lastUpdated
+    }))
   });
 });
 
-app.get('/api/departures', (req, res) => {
+app.get('/api/stations/:stationId/departures', departureFilters, countdownFormat, freshData, (req, res) => {
   try {
-    const data = scraper.getCachedData();
+    const data = scraper.getCachedData(req.params.stationId, req.filters, { countdown: req.countdown });
+    if (!data) {
+      return res.status(404).json({ error: 'Unknown station', stationId: req.params.stationId });
+    }
     res.json(data);
   } catch (error) {
     res.status(500).json({
@@ -808,133 +435,407 @@ app.get('/api/departures', (req, res) => {
   }
 });
 
-app.get('/api/status', (req, res) => {
-  res.json({
-    status: scraper.lastData.status,
-    lastUpdated: scraper.lastData.lastUpdated,
-    isRunning: scraper.isRunning,
-    scheduledScraping: !!scraper.scrapeInterval,
-    scrapeIntervalMinutes: scraper.scrapeIntervalMinutes,
-    nextScrapeIn: scraper.scrapeInterval ? `${scraper.scrapeIntervalMinutes} minutes or less` : 'Not scheduled'
-  });
+app.get('/api/stations/:stationId/:direction(northbound|southbound)', departureFilters, countdownFormat, freshData, (req, res) => {
+  try {
+    const data = scraper.getCachedData(req.params.stationId, req.filters, { countdown: req.countdown });
+    if (!data) {
+      return res.status(404).json({ error: 'Unknown station', stationId: req.params.stationId });
+    }
+    res.json(nextDepartureSummary(data, req.params.direction, req.countdown));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Manual scrape endpoint (for testing/debugging)
-app.post('/api/scrape', async (req, res) => {
+// Live updates: Server-Sent Events here, WebSocket on /api/ws
+app.get('/api/stream', (req, res) => {
+  const modeScraper = req.query.mode ? registry.get(req.query.mode) : null;
+  if (req.query.mode && !modeScraper) {
+    return res.status(404).json({ error: 'Unknown transit mode', mode: req.query.mode });
+  }
+  streamHub.handleSse(req, res);
+});
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: every mode has fresh data for at least one station, or is in a scheduled pause
+app.get('/readyz', (req, res) => {
+  const modes = {};
+  for (const modeScraper of registry.list()) {
+    modes[modeScraper.mode] = modeScraper.readiness();
+  }
+
+  const ready = Object.values(modes).every(mode => mode.ready);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', modes });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
   try {
-    console.log('📡 Manual scrape requested via API');
-    const data = await scraper.scrapeData();
-    res.json({
-      message: 'Manual scrape completed',
-      data: data
-    });
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.metrics());
   } catch (error) {
     res.status(500).json({
-      error: 'Manual scrape failed',
+      error: 'Failed to collect metrics',
       message: error.message
     });
   }
 });
 
-// Simplified endpoints for Home Assistant
-app.get('/api/northbound', (req, res) => {
+// Departure history and reliability, narrowed by ?mode=, ?station=, ?direction=,
+// ?destination=, ?time= (scheduled departure) and ?days=
+function historyFilters(req, res, next) {
+  if (!historyStore) {
+    return res.status(404).json({ error: 'Departure history is disabled' });
+  }
+  if (req.query.mode && !registry.get(req.query.mode)) {
+    return res.status(404).json({ error: 'Unknown transit mode', mode: req.query.mode });
+  }
+  try {
+    const filters = parseHistoryFilters(req.query);
+    req.historyFilters = filters;
+    req.history = historyStore.query({
+      mode: req.query.mode || null,
+      stationId: req.query.station || null,
+      direction: filters.direction,
+      destination: filters.destination,
+      clock: filters.clock,
+      since: filters.since
+    });
+    next();
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid query parameter', message: error.message });
+  }
+}
+
+app.get('/api/history', historyFilters, (req, res) => {
   try {
-    const data = scraper.getCachedData();
-    const next = data.northbound.length > 0 ? data.northbound[0] : null;
     res.json({
-      status: next ? next.calculatedStatus || next.status : 'No trains',
-      destination: next ? next.destination : '',
-      time: next ? next.time : '',
-      lastUpdated: data.lastUpdated,
-      originalStatus: next ? next.status : '',
-      scheduledTime: next ? next.scheduledTime : ''
+      since: req.historyFilters.since.toISOString(),
+      count: req.history.length,
+      summary: summarize(req.history),
+      departures: req.history.slice(-req.historyFilters.limit).reverse()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({
+      error: 'Failed to read departure history',
+      message: error.message
+    });
   }
 });
 
-// Ferry API endpoints
-app.get('/api/ferry', (req, res) => {
+app.get('/api/stats/reliability', historyFilters, (req, res) => {
   try {
-    const ferryData = ferryScheduler.getNextDeparture();
-    res.json(ferryData);
+    res.json({
+      since: req.historyFilters.since.toISOString(),
+      onTimeThresholdMinutes: ON_TIME_THRESHOLD_MINUTES,
+      groups: reliabilityReport(req.history)
+    });
   } catch (error) {
     res.status(500).json({
-      error: 'Failed to get ferry data',
+      error: 'Failed to compute reliability stats',
       message: error.message
     });
   }
 });
 
-app.get('/api/ferry/upcoming', (req, res) => {
+// Admin routes need an admin API key and are disabled until one is configured
+const requireAdmin = auth.require('admin', { always: true });
+
+app.get('/api/admin/config', requireAdmin, (req, res) => {
+  res.json({ config: runtimeConfig.config, sources: runtimeConfig.sources });
+});
+
+// Merge a partial config into the running one and apply it straight away (not saved to disk)
+app.put('/api/admin/config', requireAdmin, (req, res) => {
+  try {
+    const config = runtimeConfig.update(req.body);
+    registry.applyConfig(config);
+    ferryScheduler.configure(config);
+    logger.configure(config.logging);
+    logger.info('⚙️ Runtime configuration updated via admin API', { changes: req.body, client: req.client.id });
+    res.json({ message: 'Configuration applied', config, sources: runtimeConfig.sources });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return res.status(400).json({ error: 'Invalid configuration', message: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: 'Failed to apply configuration', message: error.message });
+  }
+});
+
+// Pause or resume scraping for every mode, or just ?mode=
+app.post('/api/admin/scraper/:action(pause|resume)', requireAdmin, (req, res) => {
+  const scrapers = req.query.mode ? [registry.get(req.query.mode)] : registry.list();
+  if (!scrapers[0]) {
+    return res.status(404).json({ error: 'Unknown transit mode', mode: req.query.mode });
+  }
+
+  const modes = {};
+  for (const modeScraper of scrapers) {
+    if (req.params.action === 'pause') {
+      modeScraper.pause();
+    } else {
+      modeScraper.resume();
+    }
+    const { paused, scheduledScraping, nextScrapeAt } = modeScraper.getStatus();
+    modes[modeScraper.mode] = { paused, scheduledScraping, nextScrapeAt };
+  }
+  res.json({ message: `Scraping ${req.params.action === 'pause' ? 'paused' : 'resumed'}`, modes });
+});
+
+// Notification rules. Webhook URLs often embed secrets (ntfy topics, HA webhook ids), so admin only.
+app.get('/api/rules', requireAdmin, (req, res) => {
+  res.json({ ...ruleEngine.getStats(), rules: ruleEngine.list() });
+});
+
+app.post('/api/rules', requireAdmin, (req, res) => {
   try {
-    const count = parseInt(req.query.count) || 3;
-    const ferryData = ferryScheduler.getAllUpcomingDepartures(count);
-    res.json(ferryData);
+    res.status(201).json(ruleEngine.create(req.body));
+  } catch (error) {
+    if (error instanceof RuleError) {
+      return res.status(400).json({ error: 'Invalid rule', message: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: 'Failed to create rule', message: error.message });
+  }
+});
+
+app.get('/api/rules/:ruleId', requireAdmin, (req, res) => {
+  const rule = ruleEngine.get(req.params.ruleId);
+  if (!rule) {
+    return res.status(404).json({ error: 'Unknown rule', ruleId: req.params.ruleId });
+  }
+  res.json(rule);
+});
+
+app.put('/api/rules/:ruleId', requireAdmin, (req, res) => {
+  try {
+    const rule = ruleEngine.replace(req.params.ruleId, req.body);
+    if (!rule) {
+      return res.status(404).json({ error: 'Unknown rule', ruleId: req.params.ruleId });
+    }
+    res.json(rule);
+  } catch (error) {
+    if (error instanceof RuleError) {
+      return res.status(400).json({ error: 'Invalid rule', message: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: 'Failed to update rule', message: error.message });
+  }
+});
+
+app.delete('/api/rules/:ruleId', requireAdmin, (req, res) => {
+  if (!ruleEngine.remove(req.params.ruleId)) {
+    return res.status(404).json({ error: 'Unknown rule', ruleId: req.params.ruleId });
+  }
+  res.status(204).end();
+});
+
+// Send the rule's current match, or a sample, to its webhook now
+app.post('/api/rules/:ruleId/test', requireAdmin, async (req, res) => {
+  try {
+    const result = await ruleEngine.test(req.params.ruleId);
+    if (!result) {
+      return res.status(404).json({ error: 'Unknown rule', ruleId: req.params.ruleId });
+    }
+    res.status(result.delivery.ok ? 200 : 502).json(result);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to test rule', message: error.message });
+  }
+});
+
+// Traces of failed scrapes, recorded with SCRAPE_TRACES=true. They can contain session tokens, so admin only.
+function requireTraceStore(req, res, next) {
+  if (!registry.traceStore) {
+    return res.status(404).json({ error: 'Scrape tracing is disabled', message: 'Set SCRAPE_TRACES=true to record traces of failed scrapes' });
+  }
+  next();
+}
+
+const traceLinks = (id, files) => Object.fromEntries(files.map(file => [file, `/api/debug/traces/${id}/${file}`]));
+
+app.get('/api/debug/traces', requireAdmin, requireTraceStore, (req, res) => {
+  try {
+    const traces = registry.traceStore.list().map(trace => ({ ...trace, files: traceLinks(trace.id, trace.files) }));
+    res.json({ ...registry.traceStore.getStats(), count: traces.length, traces });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list traces', message: error.message });
+  }
+});
+
+app.get('/api/debug/traces/:traceId', requireAdmin, requireTraceStore, (req, res) => {
+  try {
+    const trace = registry.traceStore.get(req.params.traceId);
+    if (!trace) {
+      return res.status(404).json({ error: 'Unknown trace', traceId: req.params.traceId });
+    }
+    const files = registry.traceStore.list().find(summary => summary.id === trace.id).files;
+    res.json({ ...trace, files: traceLinks(trace.id, files) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read trace', message: error.message });
+  }
+});
+
+// Download trace.json, screenshot.png or page.html
+app.get('/api/debug/traces/:traceId/:file', requireAdmin, requireTraceStore, (req, res) => {
+  const { traceId, file } = req.params;
+  const filePath = registry.traceStore.filePath(traceId, file);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Unknown trace file', traceId, file });
+  }
+  res.type(registry.traceStore.contentType(file));
+  res.download(filePath, `${traceId}-${file}`);
+});
+
+// Transit mode endpoints, one set per registered scraper
+app.get('/api/modes', (req, res) => {
+  res.json({
+    modes: registry.list().map(modeScraper => ({
+      mode: modeScraper.mode,
+      name: modeScraper.name,
+      directions: modeScraper.directions,
+      defaultStation: modeScraper.defaultStationId,
+      stationCount: modeScraper.stations.length
+    }))
+  });
+});
+
+function resolveMode(req, res, next) {
+  req.scraper = registry.get(req.params.mode);
+  if (!req.scraper) {
+    return res.status(404).json({ error: 'Unknown transit mode', mode: req.params.mode });
+  }
+  next();
+}
+
+app.get('/api/:mode/status', resolveMode, (req, res) => {
+  res.json(req.scraper.getStatus());
+});
+
+app.get('/api/:mode/stations', resolveMode, (req, res) => {
+  res.json({
+    mode: req.scraper.mode,
+    defaultStation: req.scraper.defaultStationId,
+    stations: req.scraper.stations.map(station => ({
+      ...station,
+      status: req.scraper.lastData[station.id].status,
+      lastUpdated: req.scraper.lastData[station.id].lastUpdated
+    }))
+  });
+});
+
+app.get('/api/:mode/stations/:stationId/departures', resolveMode, departureFilters, countdownFormat, freshData, (req, res) => {
+  try {
+    const data = req.scraper.getCachedData(req.params.stationId, req.filters, { countdown: req.countdown });
+    if (!data) {
+      return res.status(404).json({ error: 'Unknown station', stationId: req.params.stationId });
+    }
+    res.json({ mode: req.scraper.mode, ...data });
   } catch (error) {
     res.status(500).json({
-      error: 'Failed to get upcoming ferry data',
+      error: 'Failed to get cached data',
       message: error.message
     });
   }
 });
 
-app.get('/api/southbound', (req, res) => {
+// Next departure; ?direction= is required for modes with more than one direction
+app.get('/api/:mode/stations/:stationId/next', resolveMode, departureFilters, countdownFormat, freshData, (req, res) => {
   try {
-    const data = scraper.getCachedData();
-    const next = data.southbound.length > 0 ? data.southbound[0] : null;
+    const directions = req.scraper.directions;
+    const direction = req.query.direction || (directions.length === 1 ? directions[0] : null);
+    if (!directions.includes(direction)) {
+      return res.status(400).json({ error: 'Invalid direction', direction: req.query.direction || null, directions });
+    }
+
+    const data = req.scraper.getCachedData(req.params.stationId, req.filters, { countdown: req.countdown });
+    if (!data) {
+      return res.status(404).json({ error: 'Unknown station', stationId: req.params.stationId });
+    }
+    res.json(nextDepartureSummary(data, direction, req.countdown));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:mode/scrape', auth.require('admin'), scrapeLimiter.middleware(), resolveMode, async (req, res) => {
+  try {
+    logger.info(`📡 Manual ${req.scraper.mode} scrape requested via API`, { client: req.client.id });
+    const data = await req.scraper.scrapeData();
     res.json({
-      status: next ? next.calculatedStatus || next.status : 'No trains',
-      destination: next ? next.destination : '',
-      time: next ? next.time : '',
-      lastUpdated: data.lastUpdated,
-      originalStatus: next ? next.status : '',
-      scheduledTime: next ? next.scheduledTime : ''
+      message: 'Manual scrape completed',
+      data: data
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({
+      error: 'Manual scrape failed',
+      message: error.message
+    });
   }
 });
 
 // Initialize and start server
 async function start() {
   try {
-    await scraper.init();
+    await registry.init();
     
-    app.listen(PORT, () => {
-      console.log(`🚋 Light Rail & Ferry API running on port ${PORT}`);
-      console.log(`📊 API endpoints:`);
-      console.log(`   Light Rail:`);
-      console.log(`   - http://localhost:${PORT}/api/departures`);
-      console.log(`   - http://localhost:${PORT}/api/northbound`);
-      console.log(`   - http://localhost:${PORT}/api/southbound`);
-      console.log(`   - http://localhost:${PORT}/api/status`);
-      console.log(`   Ferry:`);
-      console.log(`   - http://localhost:${PORT}/api/ferry`);
-      console.log(`   - http://localhost:${PORT}/api/ferry/upcoming`);
-      console.log(`⚡ Features:`);
-      console.log(`   - Scheduled light rail scraping every ${scraper.scrapeIntervalMinutes} minutes`);
-      console.log(`   - Real-time ferry schedule calculations`);
-      console.log(`   - Instant API responses from cached data`);
-      console.log(`   - Real-time countdown calculations`);
+    const server = app.listen(PORT, () => {
+      const features = [
+        scraper.schedulePolicy
+          ? 'Scheduled scraping on a time-of-day schedule'
+          : `Scheduled scraping every ${scraper.currentSchedule().intervalMinutes} minutes per mode`,
+        scraper.onDemand ? `On-demand scrapes when data is over ${scraper.onDemand.maxAgeSeconds}s old` : null,
+        'Real-time ferry schedule calculations',
+        'Instant API responses from cached data',
+        'Real-time countdown calculations',
+        'Push updates over SSE and WebSocket',
+        registry.traceStore ? `Failed scrapes traced to ${registry.traceStore.dir}` : null
+      ].filter(Boolean);
+      // GET / lists every endpoint
+      logger.info(`🚋 Light Rail & Ferry API running on port ${PORT}`, {
+        port: Number(PORT),
+        modes: registry.list().map(modeScraper => modeScraper.mode),
+        features
+      });
+      if (!auth.enforces('admin')) {
+        logger.warn('⚠️ No admin API key configured: anyone who can reach this server can trigger scrapes');
+      }
       
       // Start scheduled scraping
       setTimeout(() => {
-        scraper.startScheduledScraping();
+        registry.startAll();
       }, 2000);
     });
+
+    streamHub.attachWebSocket(server, '/api/ws', req => auth.allows(auth.resolve(req), 'read'));
+    streamHub.start();
+    if (historyStore) {
+      historyStore.start();
+    }
+    ruleEngine.start();
+    if (mqttPublisher) {
+      mqttPublisher.start();
+    }
     
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('Shutting down gracefully...');
-  await scraper.close();
+  logger.info('Shutting down gracefully...');
+  streamHub.stop();
+  if (historyStore) {
+    historyStore.stop();
+  }
+  ruleEngine.stop();
+  if (mqttPublisher) {
+    await mqttPublisher.stop();
+  }
+  await registry.close();
   process.exit(0);
 });
 
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LightRailScraper } = require('../lib/scrapers');
+const { QueryTemplateStore } = require('../lib/graphql');
+const { alertAffects, disruptionSummary, parseSystemStatus } = require('../lib/alerts');
+const { nextDepartureSummary } = require('../lib/departure-summary');
+const MockTransitServer = require('./helpers/mock-transit-server');
+const { fixedClock, graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+const ESSEX = STATIONS['light-rail'];
+const SCRAPED_AT = '2025-08-02T23:15:00-04:00';
+const STATUS_QUERY = 'query getSystemStatus { getSystemStatus { alerts { id title message lines stations severity priority startTime endTime } } }';
+
+function fixtureAlerts() {
+  return parseSystemStatus(graphqlFixture('system-status-alerts').data.getSystemStatus);
+}
+
+function scraperWithBoard(now = fixedClock(SCRAPED_AT)) {
+  const scraper = buildScraper(LightRailScraper, { now });
+  scraper.applyBoard(ESSEX, scraper.processData(graphqlFixture('light-rail-lightRailDV').data.lightRailDV, ESSEX));
+  return scraper;
+}
+
+test('advisories are normalized with line, severity, stations and a plain-text message', () => {
+  const [delay, elevator, suspension, singleTrack] = fixtureAlerts();
+
+  assert.deepStrictEqual(delay, {
+    id: 'HBLR-1042',
+    lines: ['Hudson-Bergen Light Rail'],
+    severity: 'major',
+    rawSeverity: null,
+    stations: [],
+    title: 'HBLR: 15 minute delays',
+    message: 'Hudson-Bergen Light Rail service is subject to 15 minute delays due to a disabled train near Liberty State Park.',
+    activeFrom: '2025-08-03T02:30:00.000Z',
+    activeUntil: '2025-08-03T06:00:00.000Z',
+    url: null
+  });
+  assert.deepStrictEqual([elevator.severity, elevator.lines, elevator.stations], ['info', ['HBLR'], ['Essex St.']]);
+  assert.strictEqual(suspension.severity, 'severe');
+  assert.deepStrictEqual(singleTrack.stations, ['2nd Street', '9th Street']);
+  assert.strictEqual(singleTrack.severity, 'major');
+});
+
+test('payloads without advisories parse to no alerts', () => {
+  assert.deepStrictEqual(parseSystemStatus(graphqlFixture('system-status').data.getSystemStatus), []);
+  assert.deepStrictEqual(parseSystemStatus(null), []);
+  assert.strictEqual(parseSystemStatus([{ message: 'Elevator out' }])[0].id.length, 12);
+});
+
+test('alerts match stations and lines by whole words', () => {
+  const scope = { lines: ['Hudson-Bergen Light Rail', 'HBLR'], stationName: 'ESSEX STREET LIGHT RAIL STATION' };
+  assert.deepStrictEqual(fixtureAlerts().map(alert => alertAffects(alert, scope)), [true, true, false, false]);
+
+  const secondStreet = { ...scope, stationName: '2ND STREET LIGHT RAIL STATION' };
+  assert.deepStrictEqual(fixtureAlerts().map(alert => alertAffects(alert, secondStreet)), [true, false, false, true]);
+  const twentySecond = { ...scope, stationName: '22ND STREET LIGHT RAIL STATION' };
+  assert.strictEqual(alertAffects(fixtureAlerts()[3], twentySecond), false);
+});
+
+test('stations without a known line only get line alerts that name them', () => {
+  const hoboken = { lines: [], stationName: 'HOBOKEN' };
+  const alerts = [
+    ...fixtureAlerts(),
+    ...parseSystemStatus([
+      { message: 'Hoboken Terminal waiting room closed', lines: ['Northeast Corridor'], stations: ['Hoboken'] },
+      { message: 'Holiday schedule in effect systemwide' }
+    ])
+  ];
+  assert.deepStrictEqual(alerts.map(alert => alertAffects(alert, hoboken)), [false, false, false, false, true, true]);
+});
+
+test('boards carry the active alerts for their station and a disruption summary', () => {
+  const scraper = scraperWithBoard();
+  scraper.setAlerts(fixtureAlerts());
+
+  const board = scraper.getCachedData();
+  assert.deepStrictEqual(board.alerts.map(alert => alert.id), ['HBLR-1042', 'HBLR-1043']);
+  assert.deepStrictEqual(board.disruption, { active: true, severity: 'major', count: 1, headline: 'HBLR: 15 minute delays' });
+
+  const northbound = nextDepartureSummary(board, 'northbound');
+  assert.strictEqual(northbound.disruption, true);
+  assert.strictEqual(northbound.disruptionSeverity, 'major');
+  assert.strictEqual(northbound.disruptionMessage, 'HBLR: 15 minute delays');
+});
+
+test('alerts stop flagging the board once they expire', () => {
+  const now = fixedClock(SCRAPED_AT);
+  const scraper = scraperWithBoard(now);
+  scraper.setAlerts(fixtureAlerts());
+
+  now.set('2025-08-03T02:30:00-04:00');
+  const board = scraper.getCachedData();
+  assert.deepStrictEqual(board.alerts.map(alert => alert.id), ['HBLR-1043']);
+  assert.deepStrictEqual(board.disruption, { active: false, severity: null, count: 0, headline: null });
+  assert.strictEqual(nextDepartureSummary(board, 'southbound').disruption, false);
+});
+
+test('changed alerts are announced, repeated ones are not', () => {
+  const scraper = scraperWithBoard();
+  const events = [];
+  scraper.on('alerts', ({ alerts }) => events.push(['alerts', alerts.length]));
+  scraper.on('departures', ({ stationId }) => events.push(['departures', stationId]));
+
+  scraper.setAlerts(fixtureAlerts());
+  scraper.setAlerts(fixtureAlerts());
+  scraper.setAlerts([]);
+
+  assert.deepStrictEqual(events, [['alerts', 4], ['departures', ESSEX.id], ['alerts', 0], ['departures', ESSEX.id]]);
+  assert.strictEqual(scraper.getStatus().alerts.count, 0);
+});
+
+test('the worst disruptive alert heads the summary', () => {
+  const [delay, elevator, suspension] = fixtureAlerts();
+  assert.deepStrictEqual(disruptionSummary([elevator, delay, suspension]), {
+    active: true,
+    severity: 'severe',
+    count: 2,
+    headline: 'Newark Light Rail suspended'
+  });
+});
+
+test('direct fetches replay the captured system status query', async t => {
+  const server = await new MockTransitServer().start();
+  t.after(() => server.close());
+  server.respondWith('getSystemStatus', { status: 200, body: graphqlFixture('system-status-alerts') });
+
+  const queryStore = new QueryTemplateStore();
+  const url = `${server.url}/graphql`;
+  queryStore.capture('light-rail', ESSEX, {
+    url,
+    postData: JSON.stringify({
+      operationName: 'lightRailDV',
+      query: 'query lightRailDV($station: String!, $line: String) { lightRailDV(station: $station, line: $line) { header departuretime } }',
+      variables: { station: ESSEX.name, line: ESSEX.line }
+    })
+  });
+  queryStore.captureStatus('light-rail', { url, postData: JSON.stringify({ operationName: 'getSystemStatus', query: STATUS_QUERY, variables: {} }) });
+
+  const now = fixedClock(SCRAPED_AT);
+  const scraper = buildScraper(LightRailScraper, { fetchMode: 'direct', queryStore, now });
+  await scraper.scrapeAndStore(ESSEX);
+  await scraper.scrapeAndStore(ESSEX);
+
+  assert.strictEqual(server.requestsFor('getSystemStatus').length, 1);
+  assert.strictEqual(scraper.alerts.length, 4);
+  assert.strictEqual(scraper.getCachedData().disruption.active, true);
+
+  // Refreshed once the alerts are old enough
+  now.advance(5);
+  await scraper.scrapeAndStore(ESSEX);
+  assert.strictEqual(server.requestsFor('getSystemStatus').length, 2);
+});
+
+test('a failed status refresh keeps the board and the previous alerts', async t => {
+  const server = await new MockTransitServer().start();
+  t.after(() => server.close());
+  server.respondWith('getSystemStatus', { status: 500 });
+
+  const queryStore = new QueryTemplateStore();
+  const url = `${server.url}/graphql`;
+  queryStore.capture('light-rail', ESSEX, {
+    url,
+    postData: JSON.stringify({ operationName: 'lightRailDV', query: 'query lightRailDV($station: String!) { lightRailDV(station: $station) { header } }', variables: { station: ESSEX.name } })
+  });
+  queryStore.captureStatus('light-rail', { url, postData: JSON.stringify({ operationName: 'getSystemStatus', query: STATUS_QUERY }) });
+
+  const scraper = buildScraper(LightRailScraper, { fetchMode: 'direct', queryStore, now: fixedClock(SCRAPED_AT) });
+  await scraper.scrapeAndStore(ESSEX);
+
+  assert.strictEqual(scraper.getCachedData().status, 'success');
+  assert.deepStrictEqual(scraper.alerts, []);
+  assert.strictEqual(scraper.fetchStats.direct, 1);
+});
@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { redactUrl } = require('../lib/auth');
+
+test('API keys in the query string are redacted before logging', () => {
+  assert.strictEqual(redactUrl('/api/stream?api_key=s3cret&mode=bus'), '/api/stream?api_key=REDACTED&mode=bus');
+  assert.strictEqual(redactUrl('/api/ws?station=essex-street&api_key=a%20b'), '/api/ws?station=essex-street&api_key=REDACTED');
+  // URLs without a key are logged as they came
+  assert.strictEqual(redactUrl('/api/departures?after=11:30%20PM'), '/api/departures?after=11:30%20PM');
+});
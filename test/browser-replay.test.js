@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScraperRegistry = require('../lib/registry');
+const { DEFAULT_CONFIG } = require('../lib/config');
+const { LightRailScraper, RailScraper, BusScraper } = require('../lib/scrapers');
+const { QueryTemplateStore } = require('../lib/graphql');
+const { TraceStore } = require('../lib/traces');
+const MockTransitServer = require('./helpers/mock-transit-server');
+const { fixedClock } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+// Replays the full Puppeteer flow (tab switch, form fill, button click, GraphQL
+// interception) against the static DepartureVision page. Skipped when Chromium can't start.
+
+let server;
+let registry;
+let browserError = null;
+
+test.before(async () => {
+  server = await new MockTransitServer().start();
+  registry = new ScraperRegistry();
+  registry.configureBrowser(DEFAULT_CONFIG);
+  try {
+    await registry.launchBrowser();
+  } catch (error) {
+    browserError = error;
+  }
+});
+
+test.after(async () => {
+  await registry.closeBrowser();
+  await server.close();
+});
+
+// A scraper pointed at the mock server, sharing the test browser
+function browserScraper(t, ScraperClass, { page = ScraperClass === BusScraper ? 'bus-to' : 'dv-to', ...options } = {}) {
+  if (browserError) {
+    t.skip(`no browser: ${browserError.message.split('\n')[0]}`);
+    return null;
+  }
+  const scraper = buildScraper(ScraperClass, {
+    baseUrl: `${server.url}/${page}`,
+    queryStore: new QueryTemplateStore(),
+    // Just before the first departure in the fixtures
+    now: fixedClock('2025-08-02T23:15:00-04:00'),
+    ...options
+  });
+  scraper.init(() => registry.getBrowser());
+  return scraper;
+}
+
+test('light rail: switches tab, fills line and origin, and captures lightRailDV', async t => {
+  const scraper = browserScraper(t, LightRailScraper);
+  if (!scraper) return;
+  server.requests = [];
+  const station = STATIONS['light-rail'];
+
+  await scraper.scrapeAndStore(station);
+
+  const board = scraper.getCachedData();
+  assert.strictEqual(board.status, 'success');
+  assert.strictEqual(board.northbound.length + board.southbound.length + board.unknown.length, 5);
+  assert.deepStrictEqual(server.requests.map(request => request.operationName), ['getSystemStatus', 'lightRailDV']);
+  assert.deepStrictEqual(server.requestsFor('lightRailDV')[0].variables, { station: station.name, line: station.line });
+  assert.strictEqual(scraper.fetchStats.browser, 1);
+  assert.strictEqual(scraper.getStatus().selectors.drift, false);
+
+  // The intercepted query is kept as a template for direct fetches
+  const template = scraper.queryStore.build('light-rail', { id: 'newport', name: 'NEWPORT LIGHT RAIL STATION', line: station.line });
+  assert.strictEqual(template.endpoint, `${server.url}/graphql`);
+  assert.strictEqual(template.body.variables.station, 'NEWPORT LIGHT RAIL STATION');
+});
+
+test('a redeployed page is still scraped, and the drift is reported', async t => {
+  const scraper = browserScraper(t, LightRailScraper, { page: 'redeployed/dv-to' });
+  if (!scraper) return;
+
+  await scraper.scrapeAndStore(STATIONS['light-rail']);
+
+  assert.strictEqual(scraper.getCachedData().status, 'success');
+  const { drift, driftedSteps, steps } = scraper.getStatus().selectors;
+  assert.strictEqual(drift, true);
+  assert.deepStrictEqual(driftedSteps, ['tab']);
+  assert.strictEqual(steps.tab.locator, 'text "Light Rail"');
+  assert.strictEqual(steps.origin.locator, 'role=combobox|textbox "origin"');
+});
+
+test('rail: fills the origin on the default tab', async t => {
+  const scraper = browserScraper(t, RailScraper);
+  if (!scraper) return;
+  server.requests = [];
+
+  await scraper.scrapeAndStore(STATIONS.rail);
+
+  assert.deepStrictEqual(scraper.getCachedData().departures.map(train => train.trainId), ['3878', '3881']);
+  assert.deepStrictEqual(server.requestsFor('departures')[0].variables, { station: STATIONS.rail.name, line: null });
+});
+
+test('bus: reads the board the stop page loads by itself', async t => {
+  const scraper = browserScraper(t, BusScraper);
+  if (!scraper) return;
+  server.requests = [];
+
+  await scraper.scrapeAndStore(STATIONS.bus);
+
+  assert.strictEqual(scraper.getCachedData().departures.length, 3);
+  assert.deepStrictEqual(server.requestsFor('getBusDV5')[0].variables, { stop: STATIONS.bus.stopId });
+});
+
+test('a page without departures is traced with a screenshot and its HTML', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-traces-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const scraper = browserScraper(t, LightRailScraper, { traceStore: new TraceStore({ dir }) });
+  if (!scraper) return;
+  server.respondWith('lightRailDV', { status: 500 });
+  t.after(() => delete server.overrides.lightRailDV);
+  const status = new Promise(resolve => scraper.once('status', resolve));
+
+  await scraper.scrapeAndStore(STATIONS['light-rail']);
+
+  const { failureStage, traceId } = await status;
+  assert.strictEqual(failureStage, 'graphql_parse');
+  assert.strictEqual(scraper.getCachedData().status, 'no_data');
+
+  const trace = scraper.traceStore.get(traceId);
+  assert.deepStrictEqual(trace.steps.map(step => step.name).slice(0, 3), ['pageContent', 'tabSwitchVerification', 'formAnalysis']);
+  assert.deepStrictEqual(trace.graphql.map(exchange => exchange.status), [200, 500]);
+  assert.ok(scraper.traceStore.filePath(traceId, 'screenshot.png'));
+  assert.match(fs.readFileSync(scraper.traceStore.filePath(traceId, 'page.html'), 'utf8'), /Get departures/);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LightRailScraper } = require('../lib/scrapers');
+const FerryScheduler = require('../lib/ferry/scheduler');
+const { loadFerrySchedule } = require('../lib/ferry/schedule');
+const { CountdownFormatter, UnsupportedLocaleError, negotiateLocale } = require('../lib/countdown');
+const { DEFAULT_CONFIG, mergeConfig, validateConfig } = require('../lib/config');
+const { nextDepartureSummary } = require('../lib/departure-summary');
+const { fixedClock, fixturePath, graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+// 11:15 PM in New York, twelve minutes before the first train in the light rail fixture
+const SCRAPED_AT = '2025-08-02T23:15:00-04:00';
+
+function scrapedBoard(now) {
+  const scraper = buildScraper(LightRailScraper, { now });
+  const station = STATIONS['light-rail'];
+  scraper.applyBoard(station, scraper.processData(graphqlFixture('light-rail-lightRailDV').data.lightRailDV, station));
+  return scraper;
+}
+
+test('countdowns are worked out from the injected clock', () => {
+  const scraper = buildScraper(LightRailScraper, { now: fixedClock(SCRAPED_AT) });
+  const countdowns = [
+    ['11:27 PM', '8/2/2025 11:27:00 PM', 'in 12 mins'],
+    ['11:16 PM', null, 'in 1 min'],
+    ['11:15 PM', null, 'Now'],
+    ['12:15 AM', null, 'in 1 hour'],
+    ['1:45 AM', null, 'in 2h 30m'],
+    ['2:15 AM', null, 'in 3 hours'],
+    [null, '8/3/2025 12:05:00 AM', 'in 50 mins'],
+    [null, null, 'Unknown'],
+    ['Cancelled', null, 'Cancelled']
+  ];
+  for (const [time, scheduledTime, expected] of countdowns) {
+    assert.strictEqual(scraper.calculateTimeUntilDeparture(time, scheduledTime), expected, `${time} / ${scheduledTime}`);
+  }
+});
+
+test('a bare clock time is read as its nearest occurrence, not as tomorrow', () => {
+  const scraper = buildScraper(LightRailScraper, { now: fixedClock(SCRAPED_AT) });
+  assert.strictEqual(scraper.calculateTimeUntilDeparture('11:10 PM', null), 'Now');
+  assert.strictEqual(scraper.getDepartureDate('11:10 PM', null).toISOString(), '2025-08-03T03:10:00.000Z');
+  assert.strictEqual(scraper.getDepartureDate('12:05 AM', null).toISOString(), '2025-08-03T04:05:00.000Z');
+});
+
+test('countdowns follow the estimated time of a delayed train', () => {
+  const scraper = buildScraper(LightRailScraper, { now: fixedClock(SCRAPED_AT) });
+  assert.strictEqual(scraper.calculateTimeUntilDeparture('11:44 PM', '8/2/2025 11:38:00 PM'), 'in 29 mins');
+  // An estimate just after midnight belongs to the day after its scheduled time
+  assert.strictEqual(scraper.getDepartureDate('12:03 AM', '8/2/2025 11:55:00 PM').toISOString(), '2025-08-03T04:03:00.000Z');
+});
+
+test('a scheduled time that has passed counts down to Now', () => {
+  const now = fixedClock(SCRAPED_AT);
+  const scraper = buildScraper(LightRailScraper, { now });
+  now.advance(15);
+  assert.strictEqual(scraper.calculateTimeUntilDeparture('11:27 PM', '8/2/2025 11:27:00 PM'), 'Now');
+});
+
+test('cached boards drop departed trains and keep delayed ones', () => {
+  const now = fixedClock(SCRAPED_AT);
+  const scraper = scrapedBoard(now);
+
+  let board = scraper.getCachedData();
+  assert.deepStrictEqual(board.southbound.map(train => train.calculatedStatus), ['in 16 mins', 'in 29 mins']);
+  assert.strictEqual(board.stale, false);
+  assert.strictEqual(board.dataAgeSeconds, 0);
+
+  // 11:40 PM: the 11:27 and 11:31 have left; the 8th Street train was due at 11:38 but is running to 11:44
+  now.set('2025-08-02T23:40:00-04:00');
+  board = scraper.getCachedData();
+  assert.deepStrictEqual(board.northbound.map(train => [train.destination, train.calculatedStatus]), [['HOBOKEN TERMINAL', 'in 25 mins']]);
+  assert.deepStrictEqual(board.southbound.map(train => [train.destination, train.calculatedStatus]), [['8TH STREET', 'in 4 mins']]);
+  assert.strictEqual(board.dataAgeSeconds, 25 * 60);
+  assert.strictEqual(board.stale, true);
+
+  now.set('2025-08-02T23:46:00-04:00');
+  assert.deepStrictEqual(scraper.getCachedData().southbound, []);
+});
+
+test('a board that has never been scraped is stale', () => {
+  const board = buildScraper(LightRailScraper, { now: fixedClock(SCRAPED_AT) }).getCachedData();
+  assert.strictEqual(board.stale, true);
+  assert.strictEqual(board.dataAgeSeconds, null);
+  assert.strictEqual(board.status, 'initializing');
+});
+
+test('?after= filters compare against the departure instant', () => {
+  const scraper = scrapedBoard(fixedClock(SCRAPED_AT));
+  const board = scraper.getCachedData(undefined, { after: new Date('2025-08-03T00:00:00-04:00') });
+  assert.deepStrictEqual(board.northbound.map(train => train.time), ['12:05 AM']);
+  assert.deepStrictEqual(board.southbound, []);
+});
+
+test('countdowns are worded per locale, in full or compact', () => {
+  const minutes = [0, 1, 12, 60, 150, 180, null];
+  assert.deepStrictEqual(minutes.map(value => new CountdownFormatter().format(value)),
+    ['Now', 'in 1 min', 'in 12 mins', 'in 1 hour', 'in 2h 30m', 'in 3 hours', 'Unknown']);
+  assert.deepStrictEqual(minutes.map(value => new CountdownFormatter({ locale: 'es' }).format(value)),
+    ['Ahora', 'en 1 min', 'en 12 min', 'en 1 hora', 'en 2 h 30 min', 'en 3 horas', 'Desconocido']);
+  assert.deepStrictEqual(minutes.map(value => new CountdownFormatter({ compact: true }).format(value)),
+    ['Now', '1m', '12m', '1h', '2h30m', '3h', '--']);
+  assert.strictEqual(new CountdownFormatter({ locale: 'es', compact: true }).text('serviceEnded'), 'Fin');
+  assert.throws(() => new CountdownFormatter({ locale: 'fr' }), UnsupportedLocaleError);
+});
+
+test('templates override the built-in wording of their locale', () => {
+  const templates = { en: { minutes: '{minutes} min', hoursMinutes: '{total} min', compact: { now: 'Due' } } };
+  const full = new CountdownFormatter({ templates });
+  assert.deepStrictEqual([full.format(12), full.format(150), full.format(0)], ['12 min', '150 min', 'Now']);
+  assert.strictEqual(new CountdownFormatter({ templates, compact: true }).format(0), 'Due');
+  assert.strictEqual(new CountdownFormatter({ locale: 'es', templates }).format(12), 'en 12 min');
+});
+
+test('?lang= wins over Accept-Language, which falls back to the default', () => {
+  assert.strictEqual(negotiateLocale('es', 'en-US,en;q=0.9'), 'es');
+  assert.strictEqual(negotiateLocale('ES-mx', null), 'es');
+  assert.throws(() => negotiateLocale('fr', 'es'), /Unsupported language "fr", expected one of: en, es/);
+  assert.strictEqual(negotiateLocale(undefined, 'fr-FR,es-MX;q=0.8,en;q=0.5'), 'es');
+  assert.strictEqual(negotiateLocale(undefined, 'en;q=0.3,es;q=0.7'), 'es');
+  assert.strictEqual(negotiateLocale(undefined, 'es;q=0,fr'), 'en');
+  assert.strictEqual(negotiateLocale(undefined, undefined, 'es'), 'es');
+});
+
+test('boards, summaries and ferries share the countdown wording', () => {
+  const scraper = scrapedBoard(fixedClock(SCRAPED_AT));
+  const countdown = new CountdownFormatter({ locale: 'es' });
+  const board = scraper.getCachedData(undefined, {}, { countdown });
+  assert.deepStrictEqual(board.southbound.map(train => train.calculatedStatus), ['en 16 min', 'en 29 min']);
+  assert.strictEqual(nextDepartureSummary({ ...board, southbound: [] }, 'southbound', countdown).status, 'Sin trenes');
+  // The scraper's configured default applies when no formatter is passed
+  scraper.configure({ countdown: { compact: true } });
+  assert.strictEqual(scraper.getCachedData().northbound[0].calculatedStatus, '12m');
+
+  const schedule = loadFerrySchedule({ FERRY_SCHEDULE_FILE: fixturePath('ferry', 'schedules.json') });
+  const ferries = new FerryScheduler(schedule, { now: fixedClock('2025-08-05T08:00:00-04:00'), countdown: { locale: 'es' } });
+  assert.deepStrictEqual(ferries.getAllUpcomingDepartures(2).upcoming.map(trip => trip.status), ['en 30 min', 'en 15 h 45 min']);
+  assert.strictEqual(ferries.getNextDeparture(undefined, { countdown: new CountdownFormatter({ compact: true }) }).status, '30m');
+  ferries.now = fixedClock('2025-08-02T20:00:00-04:00');
+  assert.strictEqual(ferries.getNextDeparture().status, 'Servicio terminado');
+});
+
+test('countdown settings are validated', () => {
+  const config = mergeConfig(DEFAULT_CONFIG, {
+    countdown: { locale: 'fr', compact: 'yes', templates: { es: { minutes: '', compact: { later: '{minutes}' } }, de: { now: 'Jetzt' } } }
+  });
+  assert.deepStrictEqual(validateConfig(config), [
+    'countdown.templates.de: unknown language, expected one of: en, es',
+    'countdown.locale: expected one of: en, es, got "fr"',
+    'countdown.compact: expected true or false, got "yes"',
+    'countdown.templates.es.minutes: expected a non-empty string, got ""',
+    'countdown.templates.es.compact.later: unknown setting, got "{minutes}"'
+  ]);
+});
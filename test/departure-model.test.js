@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LightRailScraper, RailScraper } = require('../lib/scrapers');
+const { normalizeDeparture, normalizeStatus, parseScheduledTime } = require('../lib/departure-model');
+const { parseDepartureFilters } = require('../lib/departure-filters');
+const { fixedClock, graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+// Saturday 11:15 PM in New York; the suite runs with TZ=Asia/Tokyo, where it is already Sunday noon
+const SCRAPED_AT = '2025-08-02T23:15:00-04:00';
+
+test('scheduled times are read in New York time whatever the process timezone', () => {
+  assert.strictEqual(parseScheduledTime('8/2/2025 11:27:00 PM').toISOString(), '2025-08-03T03:27:00.000Z');
+  assert.strictEqual(parseScheduledTime('8/3/2025 12:05 AM').toISOString(), '2025-08-03T04:05:00.000Z');
+  // Winter time is five hours behind UTC
+  assert.strictEqual(parseScheduledTime('1/15/2026 7:30:00 AM').toISOString(), '2026-01-15T12:30:00.000Z');
+  assert.strictEqual(parseScheduledTime('2025-08-02T23:27:00-04:00').toISOString(), '2025-08-03T03:27:00.000Z');
+  assert.strictEqual(parseScheduledTime('13/45/2025 11:27 PM'), null);
+  assert.strictEqual(parseScheduledTime(null), null);
+});
+
+test('departures are normalized with ISO times, delay, countdown and a status', () => {
+  const now = new Date(SCRAPED_AT);
+  assert.deepStrictEqual(normalizeDeparture({ time: '11:44 PM', status: 'Delayed', scheduledTime: '8/2/2025 11:38:00 PM' }, { now }), {
+    scheduledAt: '2025-08-03T03:38:00.000Z',
+    estimatedAt: '2025-08-03T03:44:00.000Z',
+    delayMinutes: 6,
+    minutesUntil: 29,
+    departureStatus: 'delayed'
+  });
+
+  // A train with no schedule is counted down from its estimate nearest the scrape
+  assert.deepStrictEqual(normalizeDeparture({ time: '11:10 PM', status: 'All Aboard' }, { now }), {
+    scheduledAt: null,
+    estimatedAt: '2025-08-03T03:10:00.000Z',
+    delayMinutes: null,
+    minutesUntil: 0,
+    departureStatus: 'boarding'
+  });
+
+  const cancelled = normalizeDeparture({ time: 'Cancelled', scheduledTime: '8/2/2025 11:50:00 PM' }, { now });
+  assert.deepStrictEqual([cancelled.departureStatus, cancelled.delayMinutes, cancelled.minutesUntil], ['cancelled', null, 35]);
+});
+
+test('board status wording maps to the status enum', () => {
+  assert.strictEqual(normalizeStatus('On Time', 0), 'on-time');
+  assert.strictEqual(normalizeStatus('Scheduled'), 'on-time');
+  assert.strictEqual(normalizeStatus('in 7 mins'), 'on-time');
+  assert.strictEqual(normalizeStatus('DELAYED'), 'delayed');
+  // Running behind schedule even though the board still says "On Time"
+  assert.strictEqual(normalizeStatus('On Time', 4), 'delayed');
+  assert.strictEqual(normalizeStatus('BOARDING'), 'boarding');
+  assert.strictEqual(normalizeStatus('Canceled'), 'cancelled');
+});
+
+test('cached boards carry the normalized model next to the original status', () => {
+  const now = fixedClock(SCRAPED_AT);
+  const scraper = buildScraper(LightRailScraper, { now });
+  const station = STATIONS['light-rail'];
+  scraper.applyBoard(station, scraper.processData(graphqlFixture('light-rail-lightRailDV').data.lightRailDV, station));
+
+  const [westSide, eighth] = scraper.getCachedData().southbound;
+  assert.strictEqual(westSide.status, 'On Time');
+  assert.deepStrictEqual([westSide.departureStatus, westSide.delayMinutes, westSide.minutesUntil], ['on-time', 0, 16]);
+  assert.strictEqual(eighth.status, 'Delayed');
+  assert.deepStrictEqual([eighth.estimatedAt, eighth.delayMinutes, eighth.minutesUntil], ['2025-08-03T03:44:00.000Z', 6, 29]);
+
+  const rail = buildScraper(RailScraper, { now });
+  rail.applyBoard(STATIONS.rail, rail.processData(graphqlFixture('rail-departures').data.departures));
+  assert.deepStrictEqual(rail.getCachedData().departures.map(train => train.departureStatus), ['boarding', 'on-time']);
+});
+
+test('?after= clock times mean today in New York', () => {
+  const { after } = parseDepartureFilters({ after: '11:30 PM' }, null, new Date(SCRAPED_AT));
+  assert.strictEqual(after.toISOString(), '2025-08-03T03:30:00.000Z');
+  assert.strictEqual(parseDepartureFilters({ after: '06:00' }, null, new Date(SCRAPED_AT)).after.toISOString(), '2025-08-02T10:00:00.000Z');
+});
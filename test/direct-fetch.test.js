@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LightRailScraper } = require('../lib/scrapers');
+const { QueryTemplateStore } = require('../lib/graphql');
+const { TraceStore } = require('../lib/traces');
+const MockTransitServer = require('./helpers/mock-transit-server');
+const { fixedClock } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+const ESSEX = STATIONS['light-rail'];
+const NEWPORT = { id: 'newport', name: 'NEWPORT LIGHT RAIL STATION', line: 'Hudson-Bergen Light Rail' };
+
+let server;
+
+test.before(async () => {
+  server = await new MockTransitServer().start();
+});
+
+test.after(() => server.close());
+
+// A query store holding the lightRailDV query as a browser session would have captured it at Essex Street
+function capturedQueries(url = `${server.url}/graphql`) {
+  const queryStore = new QueryTemplateStore();
+  queryStore.capture('light-rail', ESSEX, {
+    url,
+    postData: JSON.stringify({
+      operationName: 'lightRailDV',
+      query: 'query lightRailDV($station: String!, $line: String) { lightRailDV(station: $station, line: $line) { header departuretime departurestatus schedDepTime } }',
+      variables: { station: ESSEX.name, line: ESSEX.line }
+    }),
+    headers: { 'content-type': 'application/json', cookie: 'session=browser-only' }
+  });
+  return queryStore;
+}
+
+// Direct scrapes that fall back to the browser fail fast instead
+function directScraper(options) {
+  const scraper = buildScraper(LightRailScraper, { fetchMode: 'direct', now: fixedClock('2025-08-02T23:15:00-04:00'), ...options });
+  scraper.init(async () => {
+    throw new Error('No browser in this test');
+  });
+  return scraper;
+}
+
+test('a captured query is replayed over HTTP without the browser', async () => {
+  server.requests = [];
+  const scraper = directScraper({ queryStore: capturedQueries() });
+  const status = new Promise(resolve => scraper.once('status', resolve));
+
+  await scraper.scrapeAndStore(ESSEX);
+
+  const board = scraper.getCachedData();
+  assert.strictEqual(board.status, 'success');
+  assert.deepStrictEqual(board.northbound.map(train => train.destination), ['TONNELLE AVENUE', 'HOBOKEN TERMINAL']);
+  assert.strictEqual(scraper.fetchStats.direct, 1);
+  assert.strictEqual(scraper.fetchStats.browser, 0);
+  assert.strictEqual((await status).failureStage, null);
+
+  const [request] = server.requestsFor('lightRailDV');
+  assert.deepStrictEqual(request.variables, { station: ESSEX.name, line: ESSEX.line });
+  assert.strictEqual(request.headers.cookie, undefined);
+});
+
+test('a query captured at one station is reused for the others', async () => {
+  server.requests = [];
+  await directScraper({ station: NEWPORT, queryStore: capturedQueries() }).scrapeAndStore(NEWPORT);
+  assert.deepStrictEqual(server.requestsFor('lightRailDV')[0].variables, { station: NEWPORT.name, line: NEWPORT.line });
+});
+
+test('graphqlEndpoint overrides the captured endpoint', async () => {
+  server.requests = [];
+  const scraper = directScraper({
+    queryStore: capturedQueries('https://www.njtransit.com/api/graphql'),
+    graphqlEndpoint: `${server.url}/graphql`
+  });
+  await scraper.scrapeAndStore(ESSEX);
+  assert.strictEqual(server.requestsFor('lightRailDV').length, 1);
+  assert.strictEqual(scraper.getCachedData().status, 'success');
+});
+
+test('without a captured query the scraper falls back to the browser', async () => {
+  const scraper = directScraper({ queryStore: new QueryTemplateStore() });
+  await scraper.scrapeAndStore(ESSEX);
+  assert.strictEqual(scraper.fetchStats.fallbacks, 1);
+  assert.strictEqual(scraper.fetchStats.lastFallbackReason, 'no captured query');
+  assert.strictEqual(scraper.lastData[ESSEX.id].error, 'No browser in this test');
+});
+
+test('a rejected direct request falls back to the browser and is traced', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-traces-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  server.respondWith('lightRailDV', { status: 401 });
+  t.after(() => delete server.overrides.lightRailDV);
+
+  const scraper = directScraper({ queryStore: capturedQueries(), traceStore: new TraceStore({ dir }) });
+  const status = new Promise(resolve => scraper.once('status', resolve));
+  await scraper.scrapeAndStore(ESSEX);
+
+  assert.strictEqual(scraper.fetchStats.fallbacks, 1);
+  assert.match(scraper.fetchStats.lastFallbackReason, /rejected the request \(401\)/);
+  assert.strictEqual(scraper.lastData[ESSEX.id].status, 'error');
+
+  const { traceId, failureStage } = await status;
+  assert.strictEqual(failureStage, 'unknown');
+  const trace = scraper.traceStore.get(traceId);
+  assert.strictEqual(trace.fetchMode, 'direct');
+  assert.deepStrictEqual(trace.graphql.map(exchange => [exchange.source, exchange.status]), [['direct', 401]]);
+  assert.strictEqual(trace.outcome.error.message, 'No browser in this test');
+});
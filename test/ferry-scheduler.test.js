@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FerryScheduler = require('../lib/ferry/scheduler');
+const { loadFerrySchedule } = require('../lib/ferry/schedule');
+const { fixedClock, fixturePath } = require('./helpers/fixtures');
+
+const schedule = loadFerrySchedule({ FERRY_SCHEDULE_FILE: fixturePath('ferry', 'schedules.json') });
+
+function schedulerAt(iso) {
+  return new FerryScheduler(schedule, { now: fixedClock(iso) });
+}
+
+test('next weekday departure', () => {
+  const next = schedulerAt('2025-08-05T08:00:00-04:00').getNextDeparture();
+  assert.strictEqual(next.status, 'in 30 mins');
+  assert.strictEqual(next.nextDepartureTime, '08:30');
+  assert.strictEqual(next.nextDepartureTime12h, '8:30 AM');
+  assert.strictEqual(next.nextDepartureAt, '2025-08-05T12:30:00.000Z');
+  assert.strictEqual(next.scheduleType, 'Weekday');
+  assert.strictEqual(next.serviceDate, '2025-08-05');
+  assert.strictEqual(next.holiday, null);
+});
+
+test('trips past midnight belong to the previous service day', () => {
+  const lateEvening = schedulerAt('2025-08-05T23:50:00-04:00').getNextDeparture();
+  assert.strictEqual(lateEvening.nextDepartureTime, '00:15');
+  assert.strictEqual(lateEvening.minutesUntil, 25);
+  assert.strictEqual(lateEvening.serviceDate, '2025-08-05');
+
+  // Early Saturday the last boat still runs on Friday's weekday schedule
+  const earlySaturday = schedulerAt('2025-08-02T00:10:00-04:00').getNextDeparture();
+  assert.strictEqual(earlySaturday.nextDepartureAt, '2025-08-02T04:15:00.000Z');
+  assert.strictEqual(earlySaturday.serviceDate, '2025-08-01');
+  assert.strictEqual(earlySaturday.scheduleType, 'Weekday');
+});
+
+test('service ends after the last weekend boat', () => {
+  const next = schedulerAt('2025-08-02T20:00:00-04:00').getNextDeparture();
+  assert.strictEqual(next.status, 'Service ended');
+  assert.strictEqual(next.nextDepartureAt, null);
+  assert.strictEqual(next.scheduleType, 'Weekend');
+});
+
+test('holidays run the service they name', () => {
+  const next = schedulerAt('2025-09-01T09:00:00-04:00').getNextDeparture();
+  assert.strictEqual(next.nextDepartureTime, '10:10');
+  assert.strictEqual(next.scheduleType, 'Weekend');
+  assert.strictEqual(next.holiday, 'Labor Day');
+});
+
+test('departure instants follow New York daylight saving time', () => {
+  // 2 November 2025: clocks went back at 2 AM, so 10:10 is EST (UTC-5)
+  const next = schedulerAt('2025-11-02T09:00:00-05:00').getNextDeparture();
+  assert.strictEqual(next.nextDepartureAt, '2025-11-02T15:10:00.000Z');
+  assert.strictEqual(next.minutesUntil, 70);
+});
+
+test('upcoming departures list arrivals and countdowns', () => {
+  const { upcoming, route } = schedulerAt('2025-08-05T08:00:00-04:00').getAllUpcomingDepartures(2);
+  assert.strictEqual(route, 'paulus-hook-wtc');
+  assert.deepStrictEqual(upcoming.map(trip => [trip.departureTime, trip.arrivalTime, trip.status]), [
+    ['08:30', '08:38', 'in 30 mins'],
+    ['23:45', '23:53', 'in 15h 45m']
+  ]);
+});
+
+test('unknown routes are rejected', () => {
+  assert.throws(() => schedulerAt('2025-08-05T08:00:00-04:00').getNextDeparture('hoboken-wfc'), /Unknown ferry route: hoboken-wfc/);
+});
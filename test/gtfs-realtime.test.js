@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LightRailScraper } = require('../lib/scrapers');
+const ScraperRegistry = require('../lib/registry');
+const FerryScheduler = require('../lib/ferry/scheduler');
+const { FerrySchedule, loadFerrySchedule } = require('../lib/ferry/schedule');
+const { importGtfs } = require('../lib/ferry/gtfs');
+const { parseSystemStatus } = require('../lib/alerts');
+const GtfsRealtimeFeed = require('../lib/gtfs-realtime');
+const { fixedClock, fixturePath, graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+const ESSEX = STATIONS['light-rail'];
+// Saturday 11:15 PM in New York, twelve minutes before the first northbound train in the fixture
+const SCRAPED_AT = '2025-08-02T23:15:00-04:00';
+const seconds = iso => new Date(iso).getTime() / 1000;
+
+function feedAt(now = fixedClock(SCRAPED_AT), { station = ESSEX, board = graphqlFixture('light-rail-lightRailDV').data.lightRailDV, ferrySchedule } = {}) {
+  const scraper = buildScraper(LightRailScraper, { station, now });
+  scraper.applyBoard(station, scraper.processData(board, station));
+  scraper.setAlerts(parseSystemStatus(graphqlFixture('system-status-alerts').data.getSystemStatus));
+  const registry = new ScraperRegistry();
+  registry.register(scraper);
+  const schedule = ferrySchedule || loadFerrySchedule({ FERRY_SCHEDULE_FILE: fixturePath('ferry', 'schedules.json') });
+  return new GtfsRealtimeFeed({ registry, ferryScheduler: new FerryScheduler(schedule, { now }), now });
+}
+
+// What a GTFS-RT consumer sees: the encoded feed, decoded again
+const roundTrip = message => GtfsRealtimeFeed.toJSON(GtfsRealtimeFeed.decode(GtfsRealtimeFeed.encode(message)));
+
+test('board departures become trip updates for the monitored stop', () => {
+  const feed = roundTrip(feedAt().tripUpdates());
+
+  assert.deepStrictEqual(feed.header, { gtfsRealtimeVersion: '2.0', incrementality: 'FULL_DATASET', timestamp: seconds(SCRAPED_AT) });
+  assert.deepStrictEqual(feed.entity.map(entity => entity.id), [
+    'light-rail:essex-street:20250802:2327:tonnelle-avenue',
+    'light-rail:essex-street:20250803:0005:hoboken-terminal',
+    'light-rail:essex-street:20250802:2331:west-side-avenue',
+    'light-rail:essex-street:20250802:2338:8th-street',
+    'light-rail:essex-street:20250803:0020:special-event-service'
+  ]);
+
+  const [tonnelle, hoboken, , delayed, unknown] = feed.entity.map(entity => entity.tripUpdate);
+  assert.deepStrictEqual(tonnelle, {
+    trip: {
+      tripId: 'light-rail:essex-street:20250802:2327:tonnelle-avenue',
+      routeId: 'HBLR',
+      directionId: 0,
+      startDate: '20250802',
+      scheduleRelationship: 'SCHEDULED'
+    },
+    stopTimeUpdate: [{ stopId: 'essex-street', departure: { time: seconds('2025-08-02T23:27:00-04:00'), delay: 0 } }],
+    timestamp: seconds(SCRAPED_AT)
+  });
+  assert.strictEqual(hoboken.stopTimeUpdate[0].departure.time, seconds('2025-08-03T00:05:00-04:00'));
+  assert.deepStrictEqual(delayed.stopTimeUpdate[0].departure, { time: seconds('2025-08-02T23:44:00-04:00'), delay: 360 });
+  assert.strictEqual(delayed.trip.directionId, 1);
+  // Trains in the 'unknown' bucket have no direction
+  assert.strictEqual(unknown.trip.directionId, undefined);
+});
+
+test('configured GTFS ids are used and cancelled trains are marked CANCELED', () => {
+  const station = { ...ESSEX, gtfsStopId: '38174', gtfsRouteId: '1' };
+  const board = [
+    { header: 'TONNELLE AVENUE', departuretime: '11:27 PM', departurestatus: 'Cancelled', schedDepTime: '8/2/2025 11:27:00 PM' },
+    { header: 'HOBOKEN TERMINAL', departuretime: '11:40 PM', departurestatus: 'On Time', schedDepTime: '8/2/2025 11:40:00 PM' }
+  ];
+  const [cancelled, running] = roundTrip(feedAt(fixedClock(SCRAPED_AT), { station, board }).tripUpdates()).entity.map(entity => entity.tripUpdate);
+
+  assert.strictEqual(cancelled.trip.scheduleRelationship, 'CANCELED');
+  assert.deepStrictEqual(cancelled.stopTimeUpdate, []);
+  assert.strictEqual(running.trip.routeId, '1');
+  assert.strictEqual(running.stopTimeUpdate[0].stopId, '38174');
+});
+
+test('stale boards are left out of the feed', () => {
+  const now = fixedClock(SCRAPED_AT);
+  const feed = feedAt(now);
+  now.advance(20);
+  assert.deepStrictEqual(roundTrip(feed.tripUpdates()).entity, []);
+});
+
+test('ferry predictions are trip updates on the service day, including trips past midnight', () => {
+  // Friday 11:30 PM: the 23:45 and 24:15 weekday trips are still to come
+  const ferries = roundTrip(feedAt(fixedClock('2025-08-01T23:30:00-04:00')).tripUpdates()).entity
+    .filter(entity => entity.id.startsWith('ferry:'))
+    .map(entity => entity.tripUpdate);
+
+  assert.deepStrictEqual(ferries.map(update => update.trip.tripId), ['ferry:paulus-hook-wtc:20250801:2345', 'ferry:paulus-hook-wtc:20250801:2415']);
+  assert.deepStrictEqual(ferries[1], {
+    trip: {
+      tripId: 'ferry:paulus-hook-wtc:20250801:2415',
+      routeId: 'paulus-hook-wtc',
+      startTime: '24:15:00',
+      startDate: '20250801',
+      scheduleRelationship: 'SCHEDULED'
+    },
+    stopTimeUpdate: [
+      { stopId: 'paulus-hook', departure: { time: seconds('2025-08-02T00:15:00-04:00') } },
+      { stopId: 'brookfield-place-wtc', arrival: { time: seconds('2025-08-02T00:23:00-04:00') } }
+    ],
+    timestamp: seconds('2025-08-01T23:30:00-04:00')
+  });
+});
+
+test('ferry trips imported from a GTFS feed keep the feed ids', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'stops.txt'), 'stop_id,stop_name\nPH,Paulus Hook\nBP,Brookfield Place\n');
+  fs.writeFileSync(path.join(dir, 'trips.txt'), 'route_id,service_id,trip_id\nNYW-PH,WK,T100\n');
+  fs.writeFileSync(path.join(dir, 'stop_times.txt'), 'trip_id,arrival_time,departure_time,stop_id,stop_sequence\nT100,23:50:00,23:50:00,PH,1\nT100,23:58:00,23:58:00,BP,2\n');
+  fs.writeFileSync(path.join(dir, 'calendar.txt'), 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\nWK,1,1,1,1,1,0,0,20250101,20251231\n');
+
+  const ferrySchedule = new FerrySchedule(importGtfs(dir, [{ id: 'ph-bp', from: 'Paulus Hook', to: 'Brookfield' }]));
+  const [ferry] = roundTrip(feedAt(fixedClock('2025-08-01T23:30:00-04:00'), { ferrySchedule }).tripUpdates()).entity
+    .filter(entity => entity.tripUpdate.trip.routeId === 'NYW-PH')
+    .map(entity => entity.tripUpdate);
+
+  assert.strictEqual(ferry.trip.tripId, 'T100');
+  assert.strictEqual(ferry.trip.startTime, '23:50:00');
+  assert.deepStrictEqual(ferry.stopTimeUpdate.map(update => update.stopId), ['PH', 'BP']);
+});
+
+test('service alerts on the line become alert entities', () => {
+  const feed = roundTrip(feedAt().alerts());
+
+  // The Newark Light Rail suspension is on another line
+  assert.deepStrictEqual(feed.entity.map(entity => entity.id), ['light-rail:HBLR-1042', 'light-rail:HBLR-1043', 'light-rail:HBLR-0997']);
+  const [delay, elevator, singleTrack] = feed.entity.map(entity => entity.alert);
+
+  assert.deepStrictEqual(delay.activePeriod, [{ start: seconds('2025-08-02T22:30:00-04:00'), end: seconds('2025-08-03T02:00:00-04:00') }]);
+  assert.deepStrictEqual(delay.informedEntity, [{ routeId: 'HBLR' }]);
+  assert.deepStrictEqual([delay.effect, delay.cause, delay.severityLevel], ['SIGNIFICANT_DELAYS', 'TECHNICAL_PROBLEM', 'WARNING']);
+  assert.deepStrictEqual(delay.headerText, { translation: [{ text: 'HBLR: 15 minute delays', language: 'en' }] });
+
+  assert.deepStrictEqual(elevator.informedEntity, [{ routeId: 'HBLR', stopId: 'essex-street' }]);
+  assert.deepStrictEqual([elevator.effect, elevator.severityLevel], ['ACCESSIBILITY_ISSUE', 'INFO']);
+  assert.deepStrictEqual(elevator.activePeriod, []);
+
+  // Names stations that aren't monitored, so it informs the whole route
+  assert.deepStrictEqual(singleTrack.informedEntity, [{ routeId: 'HBLR' }]);
+  assert.strictEqual(singleTrack.effect, 'REDUCED_SERVICE');
+});
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Parsed copy of a recorded GraphQL payload, e.g. graphqlFixture('bus-getBusDV5')
+function graphqlFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'graphql', `${name}.json`), 'utf8'));
+}
+
+function fixturePath(...parts) {
+  return path.join(FIXTURES_DIR, ...parts);
+}
+
+// A `now` function stopped at `iso`, for scrapers and the ferry scheduler. set() and advance() move it.
+function fixedClock(iso) {
+  let current = new Date(iso);
+  const now = () => new Date(current);
+  now.set = value => {
+    current = new Date(value);
+  };
+  now.advance = minutes => {
+    current = new Date(current.getTime() + minutes * 60000);
+  };
+  return now;
+}
+
+module.exports = {
+  fixedClock,
+  fixturePath,
+  graphqlFixture
+};
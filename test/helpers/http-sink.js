@@ -0,0 +1,46 @@
+const http = require('http');
+
+/**
+ * Local webhook receiver for notification rules. Every request is kept in
+ * `requests` as { method, path, headers, body }; `respondWith(status)`
+ * changes the status it answers with (204 by default).
+ */
+class HttpSink {
+  constructor() {
+    this.requests = [];
+    this.status = 204;
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        this.requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+        res.writeHead(this.status);
+        res.end();
+      });
+    });
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  close() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  respondWith(status) {
+    this.status = status;
+  }
+
+  // Bodies of the JSON requests received so far
+  json() {
+    return this.requests.map(request => JSON.parse(request.body));
+  }
+}
+
+module.exports = HttpSink;
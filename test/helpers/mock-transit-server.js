@@ -0,0 +1,88 @@
+const fs = require('fs');
+const http = require('http');
+const { fixturePath, graphqlFixture } = require('./fixtures');
+
+// Static pages served in place of njtransit.com
+const PAGES = {
+  '/dv-to': 'departure-vision.html',
+  '/redeployed/dv-to': 'departure-vision.html',
+  '/bus-to': 'bus.html'
+};
+
+// Recorded payload answered for each GraphQL operation the pages send
+const DEFAULT_RESPONSES = {
+  getSystemStatus: 'system-status',
+  departures: 'rail-departures',
+  lightRailDV: 'light-rail-lightRailDV',
+  getBusDV5: 'bus-getBusDV5'
+};
+
+/**
+ * Local stand-in for njtransit.com: the DepartureVision pages under /dv-to
+ * and /bus-to, and a /graphql endpoint answering with recorded payloads.
+ * Every GraphQL request is kept in `requests`; `respondWith()` overrides the
+ * answer for one operation, e.g. `{ status: 401 }`.
+ */
+class MockTransitServer {
+  constructor() {
+    this.requests = [];
+    this.overrides = {};
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  close() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  respondWith(operationName, { status = 200, body = null }) {
+    this.overrides[operationName] = { status, body };
+  }
+
+  // GraphQL requests for one operation, as { operationName, variables, headers }
+  requestsFor(operationName) {
+    return this.requests.filter(request => request.operationName === operationName);
+  }
+
+  handle(req, res) {
+    const { pathname } = new URL(req.url, this.url);
+    if (req.method === 'GET' && PAGES[pathname]) {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+      res.end(fs.readFileSync(fixturePath('pages', PAGES[pathname])));
+      return;
+    }
+    if (req.method === 'POST' && pathname === '/graphql') {
+      let raw = '';
+      req.on('data', chunk => {
+        raw += chunk;
+      });
+      req.on('end', () => this.answerGraphql(JSON.parse(raw), req.headers, res));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  }
+
+  answerGraphql(body, headers, res) {
+    const { operationName = null, variables = {} } = body;
+    this.requests.push({ operationName, variables, headers });
+
+    const override = this.overrides[operationName];
+    if (override) {
+      res.writeHead(override.status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(override.body || { errors: [{ message: `HTTP ${override.status}` }] }));
+      return;
+    }
+    const fixture = DEFAULT_RESPONSES[operationName];
+    res.writeHead(fixture ? 200 : 400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(fixture ? graphqlFixture(fixture) : { errors: [{ message: `Unknown operation ${operationName}` }] }));
+  }
+}
+
+module.exports = MockTransitServer;
@@ -0,0 +1,22 @@
+const STATIONS = {
+  'light-rail': { id: 'essex-street', name: 'ESSEX STREET LIGHT RAIL STATION', line: 'Hudson-Bergen Light Rail' },
+  rail: { id: 'hoboken', name: 'HOBOKEN' },
+  bus: { id: 'journal-square', name: 'JOURNAL SQUARE', stopId: '20883' }
+};
+
+// A scraper for one station that tries once and never waits between attempts
+function buildScraper(ScraperClass, { station = STATIONS[ScraperClass.mode], ...options } = {}) {
+  const scraper = new ScraperClass({
+    stations: [station],
+    defaultStationId: station.id,
+    retry: { attempts: 1 },
+    ...options
+  });
+  scraper.sleep = async () => {};
+  return scraper;
+}
+
+module.exports = {
+  STATIONS,
+  buildScraper
+};
@@ -0,0 +1,8 @@
+// Preloaded into every test file by `npm test`
+
+// Times are worked out in New York whatever the process timezone; run far from it
+// (a different calendar day for most of the fixtures) so any slip into local time fails
+process.env.TZ = 'Asia/Tokyo';
+
+// Expected failures still log errors; LOG_LEVEL=debug shows the whole scrape flow
+require('../../lib/logger').logger.configure({ level: process.env.LOG_LEVEL || 'error' });
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LightRailScraper } = require('../lib/scrapers');
+const ScraperRegistry = require('../lib/registry');
+const { HistoryStore } = require('../lib/history/store');
+const { parseHistoryFilters } = require('../lib/history/filters');
+const { fixedClock, graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+const SCRAPED_AT = '2025-08-02T23:15:00-04:00';
+
+// Scrape the fixture board, then one without its trains so all five are recorded as departed
+function recordedHistory(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const now = fixedClock(SCRAPED_AT);
+  const station = STATIONS['light-rail'];
+  const scraper = buildScraper(LightRailScraper, { now });
+  const registry = new ScraperRegistry();
+  registry.register(scraper);
+  const store = new HistoryStore(registry, { dir, now });
+
+  scraper.applyBoard(station, scraper.processData(graphqlFixture('light-rail-lightRailDV').data.lightRailDV, station));
+  store.recordScrape(scraper.mode, station.id, scraper.lastData[station.id].lastUpdated);
+  now.advance(70);
+  scraper.applyBoard(station, { northbound: [], southbound: [], unknown: [] });
+  store.recordScrape(scraper.mode, station.id, scraper.lastData[station.id].lastUpdated);
+  return { store, now };
+}
+
+test('?time= picks the departures scheduled at that New York clock time', t => {
+  const { store, now } = recordedHistory(t);
+  assert.strictEqual(store.query().length, 5);
+
+  for (const time of ['11:38 PM', '23:38']) {
+    const filters = parseHistoryFilters({ time }, { now: now() });
+    const matches = store.query({ clock: filters.clock, since: filters.since });
+    assert.deepStrictEqual(matches.map(record => [record.destination, record.delayMinutes]), [['8TH STREET', 6]], time);
+  }
+
+  const afterMidnight = parseHistoryFilters({ time: '00:05' }, { now: now() });
+  assert.deepStrictEqual(store.query({ clock: afterMidnight.clock }).map(record => record.destination), ['HOBOKEN TERMINAL']);
+  assert.strictEqual(store.query({ clock: parseHistoryFilters({ time: '7:45' }).clock }).length, 0);
+  assert.throws(() => parseHistoryFilters({ time: '25:00' }), /time must be HH:MM/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LocatorReport, SUBMIT_LOCATORS, describeLocator, fieldLocators, tabLocators } = require('../lib/scrapers/locators');
+
+const TAB = { buttonId: '__BVID__343___BV_tab_button__', label: 'Light Rail' };
+
+test('locators go from ARIA roles to generated ids', () => {
+  assert.deepStrictEqual(tabLocators(TAB).map(locator => locator.by), ['role', 'text', 'attribute', 'id']);
+  assert.deepStrictEqual(tabLocators({ label: 'Rail' }).map(locator => locator.by), ['role', 'text', 'attribute']);
+  assert.deepStrictEqual(fieldLocators({ step: 'origin', id: 'the-origin' }).map(describeLocator), [
+    'role=combobox|textbox "origin"',
+    'label "origin"',
+    '[name="origin"], [data-field="origin"], [data-testid="origin"]',
+    '#the-origin'
+  ]);
+});
+
+test('the report flags steps found by a fallback or not at all', () => {
+  const report = new LocatorReport();
+  const tab = tabLocators(TAB);
+
+  report.record('tab', tab, 0);
+  report.record('submit', SUBMIT_LOCATORS, 0);
+  assert.deepStrictEqual(report.getStatus().driftedSteps, []);
+  assert.strictEqual(report.drift, false);
+
+  report.record('tab', tab, 3);
+  assert.deepStrictEqual(report.getStatus().driftedSteps, ['tab']);
+  assert.deepStrictEqual(report.steps.tab, {
+    ...report.steps.tab,
+    locator: '#__BVID__343___BV_tab_button__',
+    preferred: 'role=tab "Light Rail"',
+    rank: 3,
+    drift: true,
+    located: 2,
+    fallbacks: 1,
+    misses: 0
+  });
+
+  const { lastLocatedAt } = report.steps.tab;
+  report.record('tab', tab, -1);
+  assert.strictEqual(report.steps.tab.locator, null);
+  assert.strictEqual(report.steps.tab.misses, 1);
+  assert.strictEqual(report.steps.tab.lastLocatedAt, lastLocatedAt);
+
+  // Drift clears as soon as the preferred locator matches again
+  report.record('tab', tab, 0);
+  assert.strictEqual(report.drift, false);
+  assert.strictEqual(report.steps.tab.fallbacks, 1);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { LightRailScraper } = require('../lib/scrapers');
+const ScraperRegistry = require('../lib/registry');
+const FerryScheduler = require('../lib/ferry/scheduler');
+const { loadFerrySchedule } = require('../lib/ferry/schedule');
+const MqttPublisher = require('../lib/mqtt-publisher');
+const { fixedClock, fixturePath, graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+const SCRAPED_AT = '2025-08-02T23:15:00-04:00';
+
+// An in-process broker on a free port, recording the last payload per topic
+async function startBroker(t) {
+  const { Aedes } = await import('aedes');
+  const broker = await Aedes.createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => broker.close(() => server.close(resolve))));
+
+  const messages = new Map();
+  broker.on('publish', (packet, client) => {
+    if (client) {
+      messages.set(packet.topic, packet.payload.toString());
+    }
+  });
+  return { url: `mqtt://127.0.0.1:${server.address().port}`, messages };
+}
+
+function publisherFor(url) {
+  const now = fixedClock(SCRAPED_AT);
+  const station = STATIONS['light-rail'];
+  const scraper = buildScraper(LightRailScraper, { now });
+  scraper.applyBoard(station, scraper.processData(graphqlFixture('light-rail-lightRailDV').data.lightRailDV, station));
+  const registry = new ScraperRegistry();
+  registry.register(scraper);
+  const ferryScheduler = new FerryScheduler(loadFerrySchedule({ FERRY_SCHEDULE_FILE: fixturePath('ferry', 'schedules.json') }), { now });
+  return new MqttPublisher({ url, clientId: 'transit-scrapers-test', registry, ferryScheduler });
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for MQTT messages');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('publishes discovery, state and availability to the broker', async t => {
+  const { url, messages } = await startBroker(t);
+  const publisher = publisherFor(url);
+  publisher.start();
+  t.after(() => publisher.stop());
+
+  const stateTopic = 'transit-scrapers/light-rail/essex-street/northbound';
+  const discoveryTopic = 'homeassistant/sensor/transit_scrapers_light_rail_essex_street/northbound/config';
+  await waitFor(() => messages.has(stateTopic) && messages.has(discoveryTopic) && messages.has('transit-scrapers/ferry/next'));
+
+  assert.strictEqual(messages.get('transit-scrapers/status'), 'online');
+  const discovery = JSON.parse(messages.get(discoveryTopic));
+  assert.strictEqual(discovery.state_topic, stateTopic);
+  assert.strictEqual(discovery.availability_topic, 'transit-scrapers/status');
+  assert.strictEqual(discovery.unique_id, 'transit_scrapers_light_rail_essex_street_northbound');
+
+  const state = JSON.parse(messages.get(stateTopic));
+  assert.deepStrictEqual([state.status, state.destination, state.departureTime], ['in 12 mins', 'TONNELLE AVENUE', '2025-08-03T03:27:00.000Z']);
+  assert.strictEqual(JSON.parse(messages.get('transit-scrapers/light-rail/essex-street/health')).problem, false);
+
+  await publisher.stop();
+  assert.strictEqual(messages.get('transit-scrapers/status'), 'offline');
+});
+
+test('stop() returns promptly when the broker is unreachable', async () => {
+  // A port nothing listens on
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  const publisher = publisherFor(`mqtt://127.0.0.1:${port}`);
+  publisher.start();
+  const started = Date.now();
+  await publisher.stop();
+  assert.ok(Date.now() - started < 1000, `stop() took ${Date.now() - started}ms`);
+});
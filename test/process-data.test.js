@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LightRailScraper, RailScraper, BusScraper } = require('../lib/scrapers');
+const { graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+test('extractDepartures finds the departures in each recorded payload shape', () => {
+  const cases = [
+    [LightRailScraper, 'light-rail-lightRailDV', 5],
+    [RailScraper, 'rail-departures', 2],
+    [BusScraper, 'bus-getBusDV5', 3]
+  ];
+  for (const [ScraperClass, fixture, count] of cases) {
+    const departures = buildScraper(ScraperClass).extractDepartures(graphqlFixture(fixture));
+    assert.strictEqual(departures.length, count, fixture);
+  }
+});
+
+test('extractDepartures ignores payloads without departures', () => {
+  const scraper = buildScraper(LightRailScraper);
+  assert.strictEqual(scraper.extractDepartures(graphqlFixture('system-status')), null);
+  assert.strictEqual(scraper.extractDepartures({ errors: [{ message: 'Unauthorized' }] }), null);
+});
+
+test('light rail departures are split by direction from the station', () => {
+  const scraper = buildScraper(LightRailScraper);
+  const { lightRailDV } = graphqlFixture('light-rail-lightRailDV').data;
+  const boards = scraper.processData(lightRailDV, STATIONS['light-rail']);
+
+  assert.deepStrictEqual(boards.northbound.map(train => train.destination), ['TONNELLE AVENUE', 'HOBOKEN TERMINAL']);
+  assert.deepStrictEqual(boards.southbound.map(train => train.destination), ['WEST SIDE AVENUE', '8TH STREET']);
+  assert.deepStrictEqual(boards.unknown.map(train => train.destination), ['SPECIAL EVENT SERVICE']);
+  assert.deepStrictEqual(boards.southbound[1], {
+    destination: '8TH STREET',
+    time: '11:44 PM',
+    status: 'Delayed',
+    scheduledTime: '8/2/2025 11:38:00 PM'
+  });
+});
+
+test('rail departures accept both field spellings', () => {
+  const scraper = buildScraper(RailScraper);
+  const { departures } = scraper.processData(graphqlFixture('rail-departures').data.departures);
+
+  assert.deepStrictEqual(departures, [
+    {
+      destination: 'New York Penn Station',
+      line: 'Northeast Corridor',
+      track: '2',
+      trainId: '3878',
+      time: '11:23 PM',
+      status: 'All Aboard',
+      scheduledTime: '8/2/2025 11:23:00 PM'
+    },
+    {
+      destination: 'Trenton',
+      line: 'NEC',
+      track: '',
+      trainId: '3881',
+      time: '11:41 PM',
+      status: 'On Time',
+      scheduledTime: '8/2/2025 11:41:00 PM'
+    }
+  ]);
+});
+
+test('bus departures can be restricted to the routes a stop is configured for', () => {
+  const { getBusDV5 } = graphqlFixture('bus-getBusDV5').data;
+  const stop = { ...STATIONS.bus, routes: [126] };
+  const { departures } = buildScraper(BusScraper, { station: stop }).processData(getBusDV5, stop);
+
+  assert.deepStrictEqual(departures.map(bus => bus.time), ['11:22 PM', '11:52 PM']);
+  assert.ok(departures.every(bus => bus.route === '126'));
+
+  const unfiltered = buildScraper(BusScraper).processData(getBusDV5, STATIONS.bus);
+  assert.strictEqual(unfiltered.departures.length, 3);
+});
@@ -0,0 +1,301 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LightRailScraper } = require('../lib/scrapers');
+const ScraperRegistry = require('../lib/registry');
+const FerryScheduler = require('../lib/ferry/scheduler');
+const { loadFerrySchedule } = require('../lib/ferry/schedule');
+const RuleEngine = require('../lib/rules/engine');
+const { RuleError, isScheduled, parseRule } = require('../lib/rules/definition');
+const { buildRequest } = require('../lib/rules/webhooks');
+const { zonedParts } = require('../lib/time');
+const HttpSink = require('./helpers/http-sink');
+const { fixedClock, fixturePath, graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+const ESSEX = STATIONS['light-rail'];
+// Saturday 11:15 PM in New York, twelve minutes before the first northbound train in the fixture
+const SCRAPED_AT = '2025-08-02T23:15:00-04:00';
+
+let sink;
+
+test.before(async () => {
+  sink = await new HttpSink().start();
+});
+
+test.after(() => sink.close());
+
+test.beforeEach(() => {
+  sink.requests = [];
+  sink.respondWith(204);
+});
+
+// A rule engine over a light rail board scraped at SCRAPED_AT and the ferry fixture
+function engineAt(now = fixedClock(SCRAPED_AT), { board = graphqlFixture('light-rail-lightRailDV').data.lightRailDV, file = null } = {}) {
+  const scraper = buildScraper(LightRailScraper, { now });
+  scraper.applyBoard(ESSEX, scraper.processData(board, ESSEX));
+  const registry = new ScraperRegistry();
+  registry.register(scraper);
+  const ferryScheduler = new FerryScheduler(loadFerrySchedule({ FERRY_SCHEDULE_FILE: fixturePath('ferry', 'schedules.json') }), { now });
+  return new RuleEngine({ registry, ferryScheduler, file, now });
+}
+
+function northboundRule(overrides = {}) {
+  return {
+    id: 'essex-north',
+    name: 'Essex northbound',
+    trigger: 'departure',
+    station: 'essex-street',
+    direction: 'northbound',
+    minMinutes: 8,
+    maxMinutes: 12,
+    webhook: { url: `${sink.url}/hook` },
+    ...overrides
+  };
+}
+
+test('rules are validated and completed with defaults', () => {
+  const engine = engineAt();
+  const rule = parseRule({ trigger: 'departure', maxMinutes: 10, days: 'weekdays', from: '07:00', to: '09:00', webhook: { url: 'http://sink.local/hook' } }, engine);
+  assert.strictEqual(rule.mode, 'light-rail');
+  assert.strictEqual(rule.station, 'essex-street');
+  assert.strictEqual(rule.direction, null);
+  assert.strictEqual(rule.minMinutes, 0);
+  assert.deepStrictEqual(rule.days, ['mon', 'tue', 'wed', 'thu', 'fri']);
+  assert.strictEqual(rule.webhook.format, 'json');
+  assert.strictEqual(rule.enabled, true);
+
+  assert.throws(() => parseRule({
+    trigger: 'departure',
+    station: 'nowhere',
+    direction: 'eastbound',
+    minMinutes: 12,
+    maxMinutes: 8,
+    days: ['someday'],
+    from: '7am',
+    webhook: { url: 'ftp://sink.local', format: 'pager' }
+  }, engine), error => {
+    assert.ok(error instanceof RuleError);
+    assert.deepStrictEqual(error.errors, [
+      'station: unknown light-rail station "nowhere"',
+      'direction: expected one of: northbound, southbound, unknown',
+      'minMinutes: must not be more than maxMinutes',
+      'days: unknown day "someday" (use mon..sun, weekdays, weekends or daily)',
+      'from/to: give both ends of the time window, or neither',
+      'from: expected a time like "07:30"',
+      'webhook.url: expected an http(s) URL',
+      'webhook.format: expected one of: json, ntfy, homeassistant'
+    ]);
+    return true;
+  });
+  assert.throws(() => parseRule({ trigger: 'ferry', route: 'nowhere', maxMinutes: 10, webhook: { url: 'http://sink.local' } }, engine), /Unknown ferry route: nowhere/);
+});
+
+test('days and time windows are read in New York time', () => {
+  const weekdayMornings = { days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '07:00', to: '09:00' };
+  const at = iso => zonedParts(new Date(iso));
+  assert.strictEqual(isScheduled(weekdayMornings, at('2025-08-05T07:00:00-04:00')), true);
+  assert.strictEqual(isScheduled(weekdayMornings, at('2025-08-05T08:59:00-04:00')), true);
+  assert.strictEqual(isScheduled(weekdayMornings, at('2025-08-05T09:00:00-04:00')), false);
+  assert.strictEqual(isScheduled(weekdayMornings, at('2025-08-02T08:00:00-04:00')), false);
+
+  const overnight = { days: ['sat'], from: '23:00', to: '01:00' };
+  assert.strictEqual(isScheduled(overnight, at('2025-08-02T23:15:00-04:00')), true);
+  assert.strictEqual(isScheduled(overnight, at('2025-08-02T12:00:00-04:00')), false);
+});
+
+test('a departure rule fires once per train while it is in the window', async () => {
+  const now = fixedClock(SCRAPED_AT);
+  const engine = engineAt(now);
+  engine.create(northboundRule());
+
+  const [notification] = await engine.evaluate();
+  assert.strictEqual(notification.event.destination, 'TONNELLE AVENUE');
+  assert.strictEqual(notification.event.minutesUntil, 12);
+  assert.strictEqual(notification.message, 'TONNELLE AVENUE in 12 mins (11:27 PM) from ESSEX STREET LIGHT RAIL STATION, northbound');
+
+  now.advance(2);
+  await engine.evaluate({ mode: 'light-rail' });
+  now.advance(5);
+  await engine.evaluate();
+
+  assert.strictEqual(sink.requests.length, 1);
+  const [request] = sink.requests;
+  assert.strictEqual(request.path, '/hook');
+  assert.strictEqual(request.headers['content-type'], 'application/json');
+  const body = JSON.parse(request.body);
+  assert.deepStrictEqual(body.rule, { id: 'essex-north', name: 'Essex northbound' });
+  assert.strictEqual(body.event.direction, 'northbound');
+  assert.strictEqual(body.test, false);
+  assert.strictEqual(engine.get('essex-north').state.fired, 1);
+});
+
+test('rules outside their days or hours stay quiet', async () => {
+  const engine = engineAt();
+  engine.create(northboundRule({ days: 'weekdays', from: '07:00', to: '09:00' }));
+  engine.create(northboundRule({ id: 'disabled', enabled: false }));
+  assert.deepStrictEqual(await engine.evaluate(), []);
+  assert.strictEqual(sink.requests.length, 0);
+});
+
+test('an empty board fires once until trains come back', async () => {
+  const now = fixedClock(SCRAPED_AT);
+  const engine = engineAt(now, { board: [] });
+  engine.create({ id: 'no-south', trigger: 'no_departures', direction: 'southbound', message: 'Nothing heading {{direction}} from {{stationName}}', webhook: { url: sink.url } });
+
+  await engine.evaluate();
+  await engine.evaluate();
+  assert.deepStrictEqual(sink.requests.map(request => JSON.parse(request.body).message), ['Nothing heading southbound from ESSEX STREET LIGHT RAIL STATION']);
+
+  // A failed scrape, then a stale board, don't mean the board had trains again
+  const scraper = engine.registry.get('light-rail');
+  scraper.lastData[ESSEX.id].status = 'error';
+  await engine.evaluate();
+  scraper.lastData[ESSEX.id].status = 'success';
+  await engine.evaluate();
+  now.advance(20);
+  await engine.evaluate();
+  scraper.applyBoard(ESSEX, scraper.processData([], ESSEX));
+  await engine.evaluate();
+  assert.strictEqual(sink.requests.length, 1);
+
+  scraper.applyBoard(ESSEX, scraper.processData(graphqlFixture('light-rail-lightRailDV').data.lightRailDV, ESSEX));
+  await engine.evaluate();
+  scraper.applyBoard(ESSEX, scraper.processData([], ESSEX));
+  await engine.evaluate();
+  assert.strictEqual(sink.requests.length, 2);
+});
+
+test('ferry rules fire for the trip leaving in the window', async () => {
+  const now = fixedClock('2025-08-05T08:19:00-04:00');
+  const engine = engineAt(now);
+  engine.create({ id: 'ferry-10', trigger: 'ferry', minMinutes: 10, maxMinutes: 10, webhook: { url: sink.url, format: 'homeassistant' } });
+
+  await engine.evaluate({ mode: 'light-rail' });
+  assert.strictEqual(sink.requests.length, 0, 'ferry rules only run on the tick');
+  await engine.evaluate();
+  assert.strictEqual(sink.requests.length, 0);
+
+  now.advance(1);
+  await engine.evaluate();
+  now.advance(1);
+  await engine.evaluate();
+
+  assert.deepStrictEqual(sink.json(), [{
+    rule: 'ferry-10',
+    ruleName: 'ferry rule ferry-10',
+    message: 'Paulus Hook to Brookfield Place/WTC ferry in 10 mins (8:30 AM)',
+    firedAt: '2025-08-05T12:20:00.000Z',
+    test: false,
+    type: 'ferry',
+    route: 'paulus-hook-wtc',
+    routeName: 'Paulus Hook to Brookfield Place/WTC',
+    origin: 'Paulus Hook',
+    destination: 'Brookfield Place/WTC',
+    departureAt: '2025-08-05T12:30:00.000Z',
+    departureTime: '8:30 AM',
+    minutesUntil: 10,
+    status: 'in 10 mins'
+  }]);
+});
+
+test('scraper runs trigger the rules of their mode', async t => {
+  const engine = engineAt();
+  engine.create(northboundRule());
+  const scraper = engine.registry.get('light-rail');
+  scraper.scrapeStation = async () => graphqlFixture('light-rail-lightRailDV').data.lightRailDV;
+  engine.start();
+  t.after(() => engine.stop());
+
+  const fired = new Promise(resolve => {
+    const check = setInterval(() => {
+      if (sink.requests.length > 0) {
+        clearInterval(check);
+        resolve();
+      }
+    }, 10);
+  });
+  await scraper.scrapeData();
+  await fired;
+  assert.strictEqual(sink.requests.length, 1);
+});
+
+test('ntfy notifications carry the message as text with title, priority and tags headers', () => {
+  const notification = { rule: { id: 'r', name: 'Fähre' }, message: 'Ferry in 10 mins', event: {}, firedAt: SCRAPED_AT, test: false };
+  const request = buildRequest({ format: 'ntfy', url: 'https://ntfy.sh/commute', priority: 'high', tags: ['ferry'], headers: { Authorization: 'Bearer tk_1' } }, notification);
+  assert.strictEqual(request.body, 'Ferry in 10 mins');
+  assert.deepStrictEqual(request.headers, {
+    Authorization: 'Bearer tk_1',
+    'content-type': 'text/plain; charset=utf-8',
+    Title: '=?UTF-8?B?RsOkaHJl?=',
+    Priority: 'high',
+    Tags: 'ferry'
+  });
+});
+
+test('failed deliveries are retried while the rule still matches', async () => {
+  const now = fixedClock(SCRAPED_AT);
+  const engine = engineAt(now);
+  engine.create(northboundRule());
+
+  sink.respondWith(500);
+  assert.deepStrictEqual(await engine.evaluate(), []);
+  const { state } = engine.get('essex-north');
+  assert.strictEqual(state.failures, 1);
+  assert.strictEqual(state.lastDelivery.error, 'Webhook returned 500');
+
+  sink.respondWith(200);
+  now.advance(1);
+  assert.strictEqual((await engine.evaluate()).length, 1);
+  assert.strictEqual(sink.requests.length, 2);
+});
+
+test('testing a rule sends its current match, or a sample, regardless of schedule', async () => {
+  const engine = engineAt();
+  engine.create(northboundRule({ days: 'weekdays' }));
+  engine.create({ id: 'ferry', trigger: 'ferry', maxMinutes: 5, webhook: { url: sink.url } });
+
+  const result = await engine.test('essex-north');
+  assert.strictEqual(result.matched, true);
+  assert.strictEqual(result.delivery.ok, true);
+  assert.strictEqual(result.notification.test, true);
+
+  const sample = await engine.test('ferry');
+  assert.strictEqual(sample.matched, false);
+  assert.strictEqual(sample.notification.event.sample, true);
+  assert.strictEqual(sample.notification.event.status, 'in 5 mins');
+  assert.strictEqual(sink.requests.length, 2);
+  assert.strictEqual(engine.get('essex-north').state.fired, 0);
+  assert.strictEqual(await engine.test('missing'), null);
+});
+
+test('sample notifications follow the configured countdown wording', async () => {
+  const engine = engineAt();
+  engine.registry.get('light-rail').configure({ countdown: { locale: 'es' } });
+  engine.ferryScheduler.configure({ countdown: { compact: true } });
+  engine.create(northboundRule({ id: 'late', minMinutes: 90, maxMinutes: 95 }));
+  engine.create({ id: 'ferry', trigger: 'ferry', maxMinutes: 5, webhook: { url: sink.url } });
+
+  assert.strictEqual((await engine.test('late')).notification.event.status, 'en 1 h 35 min');
+  assert.strictEqual((await engine.test('ferry')).notification.event.status, '5m');
+});
+
+test('rules are saved to and reloaded from the rules file', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'rules.json');
+
+  const engine = engineAt(undefined, { file });
+  engine.create(northboundRule());
+  engine.create(northboundRule({ id: 'second' }));
+  assert.throws(() => engine.create(northboundRule()), /already exists/);
+  engine.replace('second', northboundRule({ name: 'Renamed', maxMinutes: 15 }));
+  engine.remove('essex-north');
+
+  const reloaded = engineAt(undefined, { file });
+  assert.deepStrictEqual(reloaded.list().map(rule => [rule.id, rule.name, rule.maxMinutes]), [['second', 'Renamed', 15]]);
+  assert.strictEqual(reloaded.replace('missing', northboundRule()), null);
+  assert.strictEqual(reloaded.remove('missing'), false);
+});
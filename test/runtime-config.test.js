@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ScraperRegistry = require('../lib/registry');
+const { DEFAULT_CONFIG, RuntimeConfig, mergeConfig, validateConfig } = require('../lib/config');
+const { fixedClock, graphqlFixture } = require('./helpers/fixtures');
+
+const SCRAPED_AT = '2025-08-02T23:15:00-04:00';
+const ENV = { STATIONS: 'ESSEX STREET LIGHT RAIL STATION' };
+const withStations = modes => mergeConfig(DEFAULT_CONFIG, { modes });
+
+test('configured stations are validated', () => {
+  assert.deepStrictEqual(validateConfig(withStations({
+    'light-rail': { stations: ['EXCHANGE PLACE', { name: 'Exchange Place' }] },
+    rail: { stations: [], defaultStation: 'hoboken' },
+    bus: { defaultStation: 'journal-square' }
+  })), [
+    'modes.light-rail.stations: Duplicate light-rail station id: exchange-place',
+    'modes.bus.defaultStation: only applies together with modes.bus.stations',
+    'modes.rail.stations: expected a non-empty list of station names or { "name": ... } objects, got []'
+  ]);
+  assert.deepStrictEqual(validateConfig(withStations({ 'light-rail': { stations: ['EXCHANGE PLACE'], defaultStation: 'hoboken' } })),
+    ['modes.light-rail.stations: Default light-rail station "hoboken" is not in the configured stations']);
+  assert.deepStrictEqual(validateConfig(withStations({ 'light-rail': { stations: ['EXCHANGE PLACE', { id: 'essex', name: 'ESSEX STREET LIGHT RAIL STATION' }], defaultStation: 'essex' } })), []);
+});
+
+test('stations change live through the runtime config and revert to stations.json/env', () => {
+  const registry = new ScraperRegistry().discover(ENV, DEFAULT_CONFIG);
+  const scraper = registry.get('light-rail');
+  scraper.now = fixedClock(SCRAPED_AT);
+  const essex = scraper.getStation('essex-street');
+  scraper.applyBoard(essex, scraper.processData(graphqlFixture('light-rail-lightRailDV').data.lightRailDV, essex));
+  const changes = [];
+  scraper.on('stations', change => changes.push(change));
+
+  registry.applyConfig(withStations({ 'light-rail': { stations: ['ESSEX STREET LIGHT RAIL STATION', 'EXCHANGE PLACE'], defaultStation: 'exchange-place' } }));
+  assert.deepStrictEqual(scraper.stations.map(station => [station.id, station.line]), [
+    ['essex-street', 'Hudson-Bergen Light Rail'],
+    ['exchange-place', 'Hudson-Bergen Light Rail']
+  ]);
+  assert.strictEqual(scraper.defaultStationId, 'exchange-place');
+  // Essex Street keeps its board; Exchange Place waits for its first scrape
+  assert.strictEqual(scraper.getCachedData('essex-street').status, 'success');
+  assert.strictEqual(scraper.getCachedData().status, 'initializing');
+
+  registry.applyConfig(DEFAULT_CONFIG);
+  assert.deepStrictEqual(scraper.stations.map(station => station.id), ['essex-street']);
+  assert.strictEqual(scraper.getCachedData('exchange-place'), null);
+  assert.deepStrictEqual(changes, [
+    { mode: 'light-rail', stationIds: ['essex-street', 'exchange-place'] },
+    { mode: 'light-rail', stationIds: ['essex-street'] }
+  ]);
+
+  // Applying the same stations again is not a change
+  registry.applyConfig(DEFAULT_CONFIG);
+  assert.strictEqual(changes.length, 2);
+});
+
+test('a configured scrape interval replaces the schedule file default between its windows', () => {
+  // Tuesday noon in New York, outside config/schedule.json's windows
+  const now = fixedClock('2025-08-05T12:00:00-04:00');
+  const registry = new ScraperRegistry().discover(ENV, DEFAULT_CONFIG);
+  const scraper = registry.get('light-rail');
+  scraper.now = now;
+  assert.strictEqual(scraper.currentSchedule().intervalMinutes, 10);
+
+  registry.applyConfig(mergeConfig(DEFAULT_CONFIG, { scraping: { intervalMinutes: 5 } }));
+  assert.deepStrictEqual(scraper.currentSchedule(), { window: null, paused: false, intervalMinutes: 5 });
+  // Windows keep their own interval and pauses
+  now.set('2025-08-05T07:00:00-04:00');
+  assert.strictEqual(scraper.currentSchedule().intervalMinutes, 1);
+  now.set('2025-08-05T02:00:00-04:00');
+  assert.strictEqual(scraper.currentSchedule().paused, true);
+
+  now.set('2025-08-05T12:00:00-04:00');
+  registry.applyConfig(DEFAULT_CONFIG);
+  assert.strictEqual(scraper.currentSchedule().intervalMinutes, 10);
+
+  assert.strictEqual(RuntimeConfig.load({ ...ENV, SCRAPE_INTERVAL_MINUTES: '5' }).config.scraping.intervalMinutes, 5);
+  assert.throws(() => RuntimeConfig.load({ ...ENV, SCRAPE_INTERVAL_MINUTES: 'often' }), /scraping.intervalMinutes \(from env SCRAPE_INTERVAL_MINUTES\): expected a positive number/);
+});
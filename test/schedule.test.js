@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LightRailScraper } = require('../lib/scrapers');
+const { SchedulePolicy } = require('../lib/schedule-policy');
+const { fixedClock, graphqlFixture } = require('./helpers/fixtures');
+const { STATIONS, buildScraper } = require('./helpers/scrapers');
+
+const POLICY = {
+  intervalMinutes: 10,
+  windows: [
+    { name: 'Overnight', start: '01:00', end: '05:00', paused: true },
+    { name: 'Morning commute', days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '06:00', end: '09:30', intervalMinutes: 1 }
+  ]
+};
+
+function scheduledScraper(now) {
+  return buildScraper(LightRailScraper, { now, schedulePolicy: new SchedulePolicy(POLICY) });
+}
+
+test('schedule windows follow the injected clock', () => {
+  // Tuesday 7:00 AM in New York
+  const now = fixedClock('2025-08-05T07:00:00-04:00');
+  const scraper = scheduledScraper(now);
+  assert.deepStrictEqual(scraper.currentSchedule(), { window: 'Morning commute', paused: false, intervalMinutes: 1 });
+
+  now.set('2025-08-05T02:00:00-04:00');
+  assert.deepStrictEqual(scraper.currentSchedule(), { window: 'Overnight', paused: true, intervalMinutes: null });
+});
+
+test('the next scheduled scrape is timed from the injected clock', t => {
+  const now = fixedClock('2025-08-05T09:25:00-04:00');
+  const scraper = scheduledScraper(now);
+  scraper.scheduledScraping = true;
+  t.after(() => scraper.stopScheduledScraping());
+
+  scraper.scheduleNextScrape();
+  assert.strictEqual(scraper.nextScrapeAt.toISOString(), '2025-08-05T13:26:00.000Z');
+  assert.strictEqual(scraper.getStatus().nextScrapeIn, '1 minutes or less');
+
+  // Paused overnight: wake up when the pause ends
+  now.set('2025-08-05T02:00:00-04:00');
+  clearTimeout(scraper.scrapeTimer);
+  scraper.scheduleNextScrape();
+  assert.strictEqual(scraper.nextScrapeAt.toISOString(), '2025-08-05T09:00:00.000Z');
+});
+
+test('the interval runs from the start of the last scrape on the injected clock', async t => {
+  const now = fixedClock('2025-08-05T07:00:00-04:00');
+  const scraper = scheduledScraper(now);
+  scraper.scheduledScraping = true;
+  t.after(() => scraper.stopScheduledScraping());
+  // A scrape that takes 40 seconds
+  scraper.scrapeData = async () => now.advance(40 / 60);
+
+  await scraper.runScheduledScrape();
+  assert.strictEqual(scraper.nextScrapeAt.toISOString(), '2025-08-05T11:01:00.000Z');
+});
+
+test('a mode in a scheduled pause stays ready while its boards go stale', () => {
+  const now = fixedClock('2025-08-05T00:50:00-04:00');
+  const scraper = scheduledScraper(now);
+  const station = STATIONS['light-rail'];
+  scraper.applyBoard(station, scraper.processData(graphqlFixture('light-rail-lightRailDV').data.lightRailDV, station));
+  assert.deepStrictEqual([scraper.readiness().ready, scraper.readiness().scheduledPause], [true, null]);
+
+  // 1:30 AM: the last scrape is 40 minutes old, but scraping is paused until 5
+  now.set('2025-08-05T01:30:00-04:00');
+  const paused = scraper.readiness();
+  assert.deepStrictEqual([paused.ready, paused.scheduledPause, paused.stations[0].stale], [true, 'Overnight', true]);
+
+  // 5:30 AM: scraping should have resumed, so stale boards mean not ready again
+  now.set('2025-08-05T05:30:00-04:00');
+  assert.deepStrictEqual([scraper.readiness().ready, scraper.readiness().scheduledPause], [false, null]);
+});